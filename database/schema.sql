@@ -160,4 +160,511 @@ DROP TRIGGER IF EXISTS update_budgets_updated_at ON budgets;
 CREATE TRIGGER update_budgets_updated_at BEFORE UPDATE ON budgets FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 DROP TRIGGER IF EXISTS update_events_updated_at ON events;
-CREATE TRIGGER update_events_updated_at BEFORE UPDATE ON events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+CREATE TRIGGER update_events_updated_at BEFORE UPDATE ON events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 8. Đồng bộ đa thực thể theo cursor của từng thiết bị
+-- Mỗi bản ghi lưu transaction id (txid) lần ghi cuối; cursor là txid_snapshot tại lần đồng bộ trước,
+-- nên thay đổi nào chưa "nhìn thấy" trong snapshot đó sẽ được gửi đúng một lần (không phụ thuộc đồng hồ client).
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS client_id VARCHAR(100);
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS client_id VARCHAR(100);
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
+
+ALTER TABLE todos ADD COLUMN IF NOT EXISTS sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS sync_txid BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS sync_txid BIGINT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_todos_sync ON todos(user_id, sync_txid);
+CREATE INDEX IF NOT EXISTS idx_expenses_sync ON expenses(user_id, sync_txid);
+CREATE INDEX IF NOT EXISTS idx_events_sync ON events(user_id, sync_txid);
+CREATE INDEX IF NOT EXISTS idx_categories_sync ON categories(user_id, sync_txid);
+CREATE INDEX IF NOT EXISTS idx_budgets_sync ON budgets(user_id, sync_txid);
+
+-- Tombstone cho bản ghi bị xóa cứng (categories, budgets, hoặc xóa vĩnh viễn)
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    table_name VARCHAR(50) NOT NULL,
+    record_id INTEGER NOT NULL,
+    client_id VARCHAR(100),
+    deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sync_txid BIGINT NOT NULL DEFAULT txid_current()
+);
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_user ON sync_tombstones(user_id, sync_txid);
+
+-- Trạng thái đồng bộ của từng thiết bị
+CREATE TABLE IF NOT EXISTS sync_devices (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id VARCHAR(100) NOT NULL,
+    last_cursor TEXT,
+    last_synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, device_id)
+);
+
+CREATE OR REPLACE FUNCTION set_sync_txid()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.sync_txid = txid_current();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Bản ghi đã xóa mềm trước đó giữ nguyên txid cũ để thiết bị đã nhận tombstone không nhận lại lần nữa
+CREATE OR REPLACE FUNCTION record_sync_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO sync_tombstones (user_id, table_name, record_id, client_id, sync_txid)
+    VALUES (
+        OLD.user_id, TG_TABLE_NAME, OLD.id, OLD.client_id,
+        CASE WHEN COALESCE((to_jsonb(OLD)->>'is_deleted')::boolean, false) THEN OLD.sync_txid ELSE txid_current() END
+    );
+    RETURN OLD;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_todos_sync_txid ON todos;
+CREATE TRIGGER set_todos_sync_txid BEFORE INSERT OR UPDATE ON todos FOR EACH ROW EXECUTE FUNCTION set_sync_txid();
+DROP TRIGGER IF EXISTS set_expenses_sync_txid ON expenses;
+CREATE TRIGGER set_expenses_sync_txid BEFORE INSERT OR UPDATE ON expenses FOR EACH ROW EXECUTE FUNCTION set_sync_txid();
+DROP TRIGGER IF EXISTS set_events_sync_txid ON events;
+CREATE TRIGGER set_events_sync_txid BEFORE INSERT OR UPDATE ON events FOR EACH ROW EXECUTE FUNCTION set_sync_txid();
+DROP TRIGGER IF EXISTS set_categories_sync_txid ON categories;
+CREATE TRIGGER set_categories_sync_txid BEFORE INSERT OR UPDATE ON categories FOR EACH ROW EXECUTE FUNCTION set_sync_txid();
+DROP TRIGGER IF EXISTS set_budgets_sync_txid ON budgets;
+CREATE TRIGGER set_budgets_sync_txid BEFORE INSERT OR UPDATE ON budgets FOR EACH ROW EXECUTE FUNCTION set_sync_txid();
+
+DROP TRIGGER IF EXISTS tombstone_todos ON todos;
+CREATE TRIGGER tombstone_todos AFTER DELETE ON todos FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone();
+DROP TRIGGER IF EXISTS tombstone_expenses ON expenses;
+CREATE TRIGGER tombstone_expenses AFTER DELETE ON expenses FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone();
+DROP TRIGGER IF EXISTS tombstone_events ON events;
+CREATE TRIGGER tombstone_events AFTER DELETE ON events FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone();
+DROP TRIGGER IF EXISTS tombstone_categories ON categories;
+CREATE TRIGGER tombstone_categories AFTER DELETE ON categories FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone();
+DROP TRIGGER IF EXISTS tombstone_budgets ON budgets;
+CREATE TRIGGER tombstone_budgets AFTER DELETE ON budgets FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone();
+
+-- 9. Refresh token (rotation theo family, thu hồi khi phát hiện dùng lại)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    jti VARCHAR(64) UNIQUE NOT NULL,
+    family_id VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30),
+    replaced_by VARCHAR(64),
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+
+-- 10. Chống brute-force cho các route xác thực
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+    bucket_key VARCHAR(255) PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    window_start TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON rate_limits(expires_at);
+
+-- 11. OTP: chỉ lưu HMAC của mã, tách theo mục đích (registration | password_reset | email_change)
+CREATE TABLE IF NOT EXISTS otp_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) CHECK (purpose IN ('registration', 'password_reset', 'email_change')) NOT NULL,
+    code_hash VARCHAR(128) NOT NULL,
+    target_email VARCHAR(255),
+    expires_at TIMESTAMP NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, purpose)
+);
+
+-- users.otp_code (mã dạng plaintext) không còn được dùng: xóa mã cũ còn lưu trong DB
+UPDATE users SET otp_code = NULL, otp_expires_at = NULL WHERE otp_code IS NOT NULL;
+
+-- 12. Nhật ký gửi thông báo (chống gửi trùng theo từng mốc của từng lần diễn ra)
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    source_type VARCHAR(30) NOT NULL,
+    source_id INTEGER NOT NULL,
+    occurrence_at TIMESTAMP NOT NULL,
+    offset_minutes INTEGER NOT NULL DEFAULT 0,
+    delivered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(source_type, source_id, occurrence_at, offset_minutes)
+);
+
+-- 13. Hàng đợi job chạy nền (nhắc nhở, thông báo...), worker thuê job bằng FOR UPDATE SKIP LOCKED
+CREATE TABLE IF NOT EXISTS jobs (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) CHECK (status IN ('pending', 'running', 'completed', 'failed')) NOT NULL DEFAULT 'pending',
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    interval_seconds INTEGER, -- Khác NULL: job định kỳ, tự lên lịch lại sau mỗi lần chạy
+    dedupe_key VARCHAR(255) UNIQUE,
+    locked_by VARCHAR(255),
+    locked_until TIMESTAMP,
+    last_error TEXT,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_lease ON jobs(locked_until) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, updated_at);
+
+-- Quyền quản trị (xem hàng đợi job)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT false;
+
+-- 14. Hộp thư đi: email được ghi vào đây rồi job "send_email" gửi nền và thử lại khi lỗi
+-- payload (dữ liệu template, có thể chứa mã OTP) được mã hóa và bị xóa sau khi gửi xong hoặc thất bại hẳn
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL, -- registration | password_reset | email_change | password_changed
+    to_email VARCHAR(255) NOT NULL,
+    template VARCHAR(100) NOT NULL,
+    lang VARCHAR(5) NOT NULL DEFAULT 'vi',
+    payload TEXT,
+    status VARCHAR(20) CHECK (status IN ('queued', 'sent', 'failed', 'bounced')) NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    last_attempt_at TIMESTAMP,
+    expires_at TIMESTAMP, -- Quá hạn mà chưa gửi được thì bỏ (vd. OTP đã hết hiệu lực)
+    transport VARCHAR(20),
+    provider_message_id VARCHAR(255),
+    sent_at TIMESTAMP,
+    bounced_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_user ON email_outbox(user_id, purpose, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_provider ON email_outbox(provider_message_id);
+
+-- 15. Chuyển số dư ngân sách sang kỳ sau (rollover) và hạn mức theo từng kỳ
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS rollover_mode VARCHAR(10) DEFAULT 'none';
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_rollover_mode_check;
+ALTER TABLE budgets ADD CONSTRAINT budgets_rollover_mode_check CHECK (rollover_mode IN ('none', 'surplus', 'deficit', 'both'));
+
+-- Hạn mức đã áp dụng cho các kỳ đã qua (lưu lại khi số tiền ngân sách thay đổi)
+CREATE TABLE IF NOT EXISTS budget_periods (
+    budget_id INTEGER NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    limit_amount DECIMAL(12, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (budget_id, period_start)
+);
+
+-- 16. Ngân sách cho nhiều danh mục hoặc toàn bộ chi tiêu
+-- category_ids rỗng = ngân sách tổng (mọi khoản chi, kể cả chưa phân loại).
+-- category_id được giữ cho client cũ: bằng danh mục duy nhất nếu ngân sách chỉ có một danh mục, ngược lại NULL.
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS category_ids INTEGER[] NOT NULL DEFAULT '{}';
+UPDATE budgets SET category_ids = ARRAY[category_id] WHERE category_id IS NOT NULL AND category_ids = '{}';
+CREATE INDEX IF NOT EXISTS idx_budgets_category_ids ON budgets USING GIN (category_ids);
+
+CREATE OR REPLACE FUNCTION normalize_budget_categories()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.category_ids := COALESCE(NEW.category_ids, '{}');
+    -- Client cũ chỉ gửi category_id: suy ra category_ids
+    IF TG_OP = 'INSERT' THEN
+        IF cardinality(NEW.category_ids) = 0 AND NEW.category_id IS NOT NULL THEN
+            NEW.category_ids := ARRAY[NEW.category_id];
+        END IF;
+    ELSIF NEW.category_id IS DISTINCT FROM OLD.category_id AND NEW.category_ids IS NOT DISTINCT FROM OLD.category_ids THEN
+        NEW.category_ids := CASE WHEN NEW.category_id IS NULL THEN '{}'::INTEGER[] ELSE ARRAY[NEW.category_id] END;
+    END IF;
+
+    SELECT COALESCE(array_agg(DISTINCT c ORDER BY c), '{}') INTO NEW.category_ids
+    FROM unnest(NEW.category_ids) AS c WHERE c IS NOT NULL;
+    NEW.category_id := CASE WHEN cardinality(NEW.category_ids) = 1 THEN NEW.category_ids[1] END;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS normalize_budget_categories ON budgets;
+CREATE TRIGGER normalize_budget_categories BEFORE INSERT OR UPDATE ON budgets FOR EACH ROW EXECUTE FUNCTION normalize_budget_categories();
+
+-- Xóa danh mục: bỏ khỏi các ngân sách nhiều danh mục, xóa ngân sách chỉ còn danh mục đó (như ON DELETE CASCADE trước đây)
+CREATE OR REPLACE FUNCTION remove_category_from_budgets()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM budgets WHERE user_id = OLD.user_id AND category_ids = ARRAY[OLD.id];
+    UPDATE budgets SET category_ids = array_remove(category_ids, OLD.id)
+    WHERE user_id = OLD.user_id AND OLD.id = ANY(category_ids);
+    RETURN OLD;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS remove_category_from_budgets ON categories;
+CREATE TRIGGER remove_category_from_budgets AFTER DELETE ON categories FOR EACH ROW EXECUTE FUNCTION remove_category_from_budgets();
+
+-- 17. Kỳ ngân sách theo múi giờ, ngày bắt đầu tuần của user và mốc neo start_date
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'Asia/Ho_Chi_Minh';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS week_start SMALLINT DEFAULT 1;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_week_start_check;
+ALTER TABLE users ADD CONSTRAINT users_week_start_check CHECK (week_start BETWEEN 0 AND 6);
+
+-- calendar: kỳ theo lịch (tuần/tháng/năm); start_date: kỳ lặp lại tính từ ngày bắt đầu ngân sách
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS period_anchor VARCHAR(10) DEFAULT 'calendar';
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_period_anchor_check;
+ALTER TABLE budgets ADD CONSTRAINT budgets_period_anchor_check CHECK (period_anchor IN ('calendar', 'start_date'));
+
+-- 18. Lịch sử cảnh báo ngân sách: mỗi ngưỡng (alert_threshold và 100%) chỉ báo một lần cho mỗi kỳ của ngân sách
+CREATE TABLE IF NOT EXISTS budget_alerts (
+    id BIGSERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    budget_id INTEGER NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    threshold SMALLINT NOT NULL,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('warning', 'danger')),
+    percentage DECIMAL(7, 1) NOT NULL,
+    spent DECIMAL(12, 2) NOT NULL,
+    available DECIMAL(12, 2) NOT NULL,
+    message TEXT NOT NULL,
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (budget_id, period_start, threshold)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_alerts_user ON budget_alerts(user_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_budget_alerts_unread ON budget_alerts(user_id) WHERE is_read = false;
+
+-- Tắt email cảnh báo ngân sách (vẫn nhận qua Socket.IO và lịch sử)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS budget_alert_emails BOOLEAN DEFAULT true;
+
+-- 19. Giao dịch định kỳ (tiền nhà, lương, gói thuê bao...)
+CREATE TABLE IF NOT EXISTS recurring_transactions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount DECIMAL(12, 2) NOT NULL,
+    type VARCHAR(20) CHECK (type IN ('income', 'expense')) NOT NULL,
+    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    description TEXT,
+    payment_method VARCHAR(50),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count BETWEEN 1 AND 365),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_date DATE, -- lần lặp kế tiếp chưa được tạo giao dịch (NULL = đã hết lịch)
+    is_active BOOLEAN DEFAULT true,
+    last_run_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_user ON recurring_transactions(user_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_due ON recurring_transactions(next_date) WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS update_recurring_transactions_updated_at ON recurring_transactions;
+CREATE TRIGGER update_recurring_transactions_updated_at BEFORE UPDATE ON recurring_transactions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Sửa riêng hoặc bỏ qua một lần lặp chưa được tạo giao dịch (cột NULL = dùng giá trị của mẫu)
+CREATE TABLE IF NOT EXISTS recurring_overrides (
+    recurring_id INTEGER NOT NULL REFERENCES recurring_transactions(id) ON DELETE CASCADE,
+    occurrence_date DATE NOT NULL,
+    is_skipped BOOLEAN NOT NULL DEFAULT false,
+    amount DECIMAL(12, 2),
+    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    description TEXT,
+    payment_method VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (recurring_id, occurrence_date)
+);
+
+-- Giao dịch được tạo từ mẫu: mỗi lần lặp chỉ tạo một giao dịch
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring_occurrence ON expenses(recurring_id, occurrence_date);
+
+-- 20. Hóa đơn của khoản thu/chi: tên file trong RECEIPT_DIR (không public), ảnh thu nhỏ và loại file
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_thumbnail VARCHAR(255);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_mime_type VARCHAR(100);
+
+-- 21. Đa tiền tệ: tiền tệ của từng khoản thu/chi (NULL = tiền tệ gốc của user) và tỷ giá do user nhập/import
+ALTER TABLE users ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3) NOT NULL DEFAULT 'VND';
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_base_currency_check;
+ALTER TABLE users ADD CONSTRAINT users_base_currency_check CHECK (base_currency ~ '^[A-Z]{3}$');
+ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_currency_check;
+ALTER TABLE expenses ADD CONSTRAINT expenses_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+
+-- 1 from_currency = rate to_currency vào ngày rate_date
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    from_currency VARCHAR(3) NOT NULL CHECK (from_currency ~ '^[A-Z]{3}$'),
+    to_currency VARCHAR(3) NOT NULL CHECK (to_currency ~ '^[A-Z]{3}$'),
+    rate NUMERIC(20, 10) NOT NULL CHECK (rate > 0),
+    rate_date DATE NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'import')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (from_currency <> to_currency),
+    UNIQUE (user_id, from_currency, to_currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair ON exchange_rates(user_id, from_currency, to_currency, rate_date DESC);
+
+DROP TRIGGER IF EXISTS update_exchange_rates_updated_at ON exchange_rates;
+CREATE TRIGGER update_exchange_rates_updated_at BEFORE UPDATE ON exchange_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 22. Tài khoản/ví và chuyển tiền giữa các tài khoản
+CREATE TABLE IF NOT EXISTS accounts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('cash', 'bank', 'credit_card', 'e_wallet')),
+    currency VARCHAR(3) NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+    opening_balance DECIMAL(14, 2) NOT NULL DEFAULT 0,
+    color VARCHAR(7),
+    icon VARCHAR(50),
+    is_archived BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_accounts_user ON accounts(user_id);
+
+DROP TRIGGER IF EXISTS update_accounts_updated_at ON accounts;
+CREATE TRIGGER update_accounts_updated_at BEFORE UPDATE ON accounts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Giao dịch thuộc một tài khoản; chuyển tiền: account_id = nguồn, to_account_id = đích,
+-- to_amount = số tiền nhận theo tiền tệ của tài khoản đích (NULL = bằng amount)
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS to_account_id INTEGER REFERENCES accounts(id);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS to_amount DECIMAL(12, 2) CHECK (to_amount > 0);
+ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_type_check;
+ALTER TABLE expenses ADD CONSTRAINT expenses_type_check CHECK (type IN ('income', 'expense', 'transfer'));
+ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_transfer_accounts_check;
+ALTER TABLE expenses ADD CONSTRAINT expenses_transfer_accounts_check CHECK (
+    type <> 'transfer' OR (account_id IS NOT NULL AND to_account_id IS NOT NULL AND account_id <> to_account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expenses_account ON expenses(account_id) WHERE account_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_expenses_to_account ON expenses(to_account_id) WHERE to_account_id IS NOT NULL;
+
+-- 23. Import sao kê ngân hàng (CSV/OFX/QIF) theo lô có thể hoàn tác và quy tắc tự gán danh mục
+CREATE TABLE IF NOT EXISTS category_rules (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    keyword VARCHAR(100) NOT NULL, -- mô tả chứa từ khóa (không phân biệt hoa thường/dấu)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_rules_user ON category_rules(user_id);
+
+DROP TRIGGER IF EXISTS update_category_rules_updated_at ON category_rules;
+CREATE TRIGGER update_category_rules_updated_at BEFORE UPDATE ON category_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS import_batches (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'ofx', 'qif')),
+    file_name VARCHAR(255),
+    account_id INTEGER REFERENCES accounts(id) ON DELETE SET NULL,
+    row_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reverted_at TIMESTAMP -- đã hoàn tác: các giao dịch của lô bị xóa mềm
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_user ON import_batches(user_id, created_at DESC);
+
+-- Giao dịch tạo từ import: lô và mã giao dịch của ngân hàng (OFX FITID) để nhận diện trùng
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS import_batch_id INTEGER REFERENCES import_batches(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS import_external_id VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_expenses_import_batch ON expenses(import_batch_id) WHERE import_batch_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_expenses_import_external ON expenses(user_id, import_external_id) WHERE import_external_id IS NOT NULL;
+
+-- 24. Quy tắc tự gán danh mục: điều kiện số tiền, phương thức thanh toán, loại giao dịch và độ ưu tiên
+ALTER TABLE category_rules ALTER COLUMN keyword DROP NOT NULL;
+ALTER TABLE category_rules ADD COLUMN IF NOT EXISTS min_amount DECIMAL(15, 2);
+ALTER TABLE category_rules ADD COLUMN IF NOT EXISTS max_amount DECIMAL(15, 2);
+ALTER TABLE category_rules ADD COLUMN IF NOT EXISTS payment_method VARCHAR(50);
+ALTER TABLE category_rules ADD COLUMN IF NOT EXISTS type VARCHAR(20); -- NULL: áp dụng cho cả thu và chi
+ALTER TABLE category_rules ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 0; -- lớn hơn được xét trước
+ALTER TABLE category_rules ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+
+ALTER TABLE category_rules DROP CONSTRAINT IF EXISTS category_rules_type_check;
+ALTER TABLE category_rules ADD CONSTRAINT category_rules_type_check CHECK (type IS NULL OR type IN ('income', 'expense'));
+
+-- Quy tắc phải có ít nhất một điều kiện
+ALTER TABLE category_rules DROP CONSTRAINT IF EXISTS category_rules_condition_check;
+ALTER TABLE category_rules ADD CONSTRAINT category_rules_condition_check CHECK (
+    keyword IS NOT NULL OR min_amount IS NOT NULL OR max_amount IS NOT NULL OR payment_method IS NOT NULL
+);
+
+ALTER TABLE category_rules DROP CONSTRAINT IF EXISTS category_rules_amount_range_check;
+ALTER TABLE category_rules ADD CONSTRAINT category_rules_amount_range_check CHECK (
+    min_amount IS NULL OR max_amount IS NULL OR min_amount <= max_amount
+);
+
+-- 25. Tách khoản thu/chi thành nhiều phần theo danh mục (vd. hóa đơn siêu thị: thực phẩm + đồ gia dụng)
+-- Tổng các phần bằng expenses.amount (cùng tiền tệ); expenses.category_id giữ danh mục của phần lớn nhất
+CREATE TABLE IF NOT EXISTS expense_splits (
+    id SERIAL PRIMARY KEY,
+    expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_expense_splits_expense ON expense_splits(expense_id);
+CREATE INDEX IF NOT EXISTS idx_expense_splits_category ON expense_splits(category_id);
+
+-- Các dòng phân bổ theo danh mục: mỗi phần tách của khoản thu/chi, hoặc cả khoản nếu không tách.
+-- Ngân sách và thống kê theo danh mục tính trên view này (id là id của khoản thu/chi).
+CREATE OR REPLACE VIEW expense_lines AS
+SELECT e.id, s.id AS split_id, e.user_id, e.type, s.category_id, s.amount, e.currency, e.date,
+       COALESCE(s.description, e.description) AS description, e.payment_method, e.is_deleted
+FROM expenses e
+JOIN expense_splits s ON s.expense_id = e.id
+UNION ALL
+SELECT e.id, NULL::int, e.user_id, e.type, e.category_id, e.amount, e.currency, e.date,
+       e.description, e.payment_method, e.is_deleted
+FROM expenses e
+WHERE NOT EXISTS (SELECT 1 FROM expense_splits s WHERE s.expense_id = e.id);
+
+-- 26. Thu hồi access token: token mang token_version lúc cấp, đặt lại mật khẩu / đăng xuất mọi thiết bị tăng số này
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+-- 27. Socket.IO Postgres adapter: gói tin lớn hơn giới hạn của NOTIFY được lưu tạm ở đây
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    payload BYTEA
+);
+
+-- 28. Giao dịch định kỳ thuộc một tài khoản và mang tiền tệ như khoản thu/chi được tạo từ nó
+-- (không gửi currency thì lấy tiền tệ của tài khoản, rồi tới tiền tệ gốc của user)
+ALTER TABLE recurring_transactions ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id);
+ALTER TABLE recurring_transactions ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
+ALTER TABLE recurring_transactions DROP CONSTRAINT IF EXISTS recurring_transactions_currency_check;
+ALTER TABLE recurring_transactions ADD CONSTRAINT recurring_transactions_currency_check CHECK (currency ~ '^[A-Z]{3}$');
+
+-- 29. Cursor cấp trước last_cursor: cho phép thiết bị gửi lại lần đồng bộ bị mất phản hồi
+ALTER TABLE sync_devices ADD COLUMN IF NOT EXISTS previous_cursor TEXT;
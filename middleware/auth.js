@@ -1,4 +1,12 @@
 const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+
+// Access token chỉ còn hiệu lực khi tv (token_version lúc cấp) khớp users.token_version:
+// đặt lại mật khẩu hoặc đăng xuất mọi thiết bị tăng token_version nên các token đã cấp bị vô hiệu ngay
+const isTokenCurrent = async (payload) => {
+    const result = await query('SELECT token_version FROM users WHERE id = $1', [payload.id]);
+    return Boolean(result.rows[0]) && result.rows[0].token_version === (payload.tv || 0);
+};
 
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
@@ -20,32 +28,88 @@ const authenticateToken = (req, res, next) => {
             });
         }
 
-        req.user = user;
-        next();
+        isTokenCurrent(user)
+            .then((current) => {
+                if (!current) {
+                    return res.status(401).json({
+                        success: false,
+                        message: 'Token has been revoked'
+                    });
+                }
+                req.user = user;
+                next();
+            })
+            .catch((error) => {
+                console.error('Authenticate token error:', error);
+                res.status(500).json({
+                    success: false,
+                    message: 'Server error'
+                });
+            });
     });
 };
 
+// Chỉ cho phép user có is_admin = true (đặt sau authenticateToken).
+// Quyền được đọc lại từ DB mỗi lần để thu hồi có hiệu lực ngay, không phụ thuộc token cũ.
+const requireAdmin = async (req, res, next) => {
+    try {
+        const result = await query('SELECT is_admin FROM users WHERE id = $1', [req.user.id]);
+        if (!result.rows[0] || !result.rows[0].is_admin) {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin access required'
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Require admin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Verify access token (dùng chung cho HTTP và Socket.IO), trả về payload hoặc null
+const verifyAccessToken = (token) => {
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+};
+
 // Generate access token
+// Sống ngắn (mặc định 15 phút): client gia hạn qua /api/auth/refresh, nên token bị lộ sau khi
+// đăng xuất một thiết bị chỉ còn dùng được trong thời gian ngắn
 const generateAccessToken = (user) => {
     return jwt.sign(
         {
             id: user.id,
-            email: user.email
+            email: user.email,
+            tv: user.token_version || 0
         },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRATION || '7d' }
+        { expiresIn: process.env.JWT_EXPIRATION || '15m' }
     );
 };
 
 // Generate refresh token
-const generateRefreshToken = (user) => {
+// jti định danh từng token, familyId gom các token sinh ra từ cùng một lần đăng nhập (dùng cho rotation)
+const generateRefreshToken = (user, { jti, familyId } = {}) => {
+    const payload = {
+        id: user.id,
+        email: user.email
+    };
+    if (familyId) payload.fam = familyId;
+
     return jwt.sign(
-        {
-            id: user.id,
-            email: user.email
-        },
+        payload,
         process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRATION || '30d' }
+        {
+            expiresIn: process.env.JWT_REFRESH_EXPIRATION || '30d',
+            ...(jti ? { jwtid: jti } : {})
+        }
     );
 };
 
@@ -60,6 +124,9 @@ const verifyRefreshToken = (token) => {
 
 module.exports = {
     authenticateToken,
+    requireAdmin,
+    verifyAccessToken,
+    isTokenCurrent,
     generateAccessToken,
     generateRefreshToken,
     verifyRefreshToken
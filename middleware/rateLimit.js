@@ -0,0 +1,66 @@
+const { pool } = require('../config/database');
+
+// Rate limit theo cửa sổ cố định, lưu trong Postgres để dùng chung giữa nhiều instance server.
+// Mỗi bucket (vd: "login:ip:1.2.3.4") đếm số request trong cửa sổ hiện tại.
+
+const hitBucket = async (bucketKey, windowSeconds) => {
+    const result = await pool.query(
+        `INSERT INTO rate_limits (bucket_key, hits, window_start, expires_at)
+         VALUES ($1, 1, NOW(), NOW() + make_interval(secs => $2))
+         ON CONFLICT (bucket_key) DO UPDATE SET
+            hits = CASE WHEN rate_limits.expires_at <= NOW() THEN 1 ELSE rate_limits.hits + 1 END,
+            window_start = CASE WHEN rate_limits.expires_at <= NOW() THEN NOW() ELSE rate_limits.window_start END,
+            expires_at = CASE WHEN rate_limits.expires_at <= NOW() THEN NOW() + make_interval(secs => $2) ELSE rate_limits.expires_at END
+         RETURNING hits, CEIL(EXTRACT(EPOCH FROM (expires_at - NOW())))::int AS retry_after`,
+        [bucketKey, windowSeconds]
+    );
+
+    // Thỉnh thoảng dọn các bucket đã hết hạn
+    if (Math.random() < 0.01) {
+        pool.query('DELETE FROM rate_limits WHERE expires_at < NOW()').catch(err => console.error('Rate limit cleanup error:', err.message));
+    }
+
+    return result.rows[0];
+};
+
+// Cách lấy khóa bucket từ request; trả về null để bỏ qua giới hạn
+const KEY_EXTRACTORS = {
+    ip: (req) => req.ip,
+    // Theo tài khoản: email trong body (không phân biệt hoa thường)
+    email: (req) => {
+        const email = req.body && req.body.email;
+        return email ? String(email).trim().toLowerCase() : null;
+    }
+};
+
+/**
+ * Tạo middleware giới hạn số request.
+ * @param {object} options
+ * @param {string} options.name - tên nhóm route, dùng làm tiền tố bucket
+ * @param {number} options.max - số request tối đa trong một cửa sổ
+ * @param {number} options.windowSeconds - độ dài cửa sổ (giây)
+ * @param {'ip'|'email'} [options.by='ip'] - giới hạn theo IP hay theo tài khoản
+ */
+const rateLimit = ({ name, max, windowSeconds, by = 'ip', message = 'Quá nhiều yêu cầu, vui lòng thử lại sau' }) => {
+    const extractKey = KEY_EXTRACTORS[by];
+
+    return async (req, res, next) => {
+        const value = extractKey(req);
+        if (!value) return next();
+
+        try {
+            const { hits, retry_after: retryAfter } = await hitBucket(`${name}:${by}:${value}`, windowSeconds);
+            if (hits > max) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ success: false, message, retryAfter });
+            }
+            next();
+        } catch (error) {
+            // Không chặn người dùng khi bảng rate limit gặp sự cố
+            console.error('Rate limit error:', error.message);
+            next();
+        }
+    };
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const { query, pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { ACCOUNT_TYPES, getAccountsWithBalance, getAccountTransactions } = require('../services/accountService');
+const { isCurrencyCode, normalizeCurrency } = require('../services/currencyService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const accountValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Tên tài khoản không được để trống'),
+        field('type').isIn(ACCOUNT_TYPES).withMessage('Loại tài khoản không hợp lệ'),
+        body('currency').optional().custom(isCurrencyCode).withMessage('Mã tiền tệ không hợp lệ (3 chữ cái, vd. USD)'),
+        body('opening_balance').optional().isFloat().withMessage('Số dư đầu kỳ không hợp lệ'),
+        body('is_archived').optional().isBoolean().withMessage('is_archived phải là true/false')
+    ];
+};
+
+// @route   GET /api/accounts
+// @desc    Danh sách tài khoản kèm số dư
+// @access  Private
+/**
+ * @swagger
+ * /api/accounts:
+ *   get:
+ *     summary: Danh sách tài khoản/ví kèm số dư hiện tại
+ *     tags: [Accounts]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: includeArchived
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200:
+ *         description: Danh sách tài khoản (balance = opening_balance + thu - chi +/- chuyển tiền)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const accounts = await getAccountsWithBalance(pool, req.user.id, {
+            includeArchived: req.query.includeArchived === 'true'
+        });
+        res.json({ success: true, data: accounts });
+    } catch (error) {
+        console.error('Get accounts error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   GET /api/accounts/:id
+// @desc    Chi tiết tài khoản kèm số dư
+// @access  Private
+router.get('/:id', async (req, res) => {
+    try {
+        const [account] = await getAccountsWithBalance(pool, req.user.id, { accountId: req.params.id });
+        if (!account) return res.status(404).json({ success: false, message: 'Không tìm thấy tài khoản' });
+        res.json({ success: true, data: account });
+    } catch (error) {
+        console.error('Get account error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   GET /api/accounts/:id/transactions
+// @desc    Giao dịch của tài khoản kèm số dư sau mỗi giao dịch
+// @access  Private
+/**
+ * @swagger
+ * /api/accounts/{id}/transactions:
+ *   get:
+ *     summary: Giao dịch của tài khoản (mới nhất trước) kèm running_balance
+ *     tags: [Accounts]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 500 }
+ *       - in: query
+ *         name: offset
+ *         schema: { type: integer, default: 0 }
+ *     responses:
+ *       200:
+ *         description: Giao dịch kèm movement (biến động số dư) và running_balance (số dư sau giao dịch)
+ *       404:
+ *         description: Không tìm thấy
+ */
+router.get('/:id/transactions', [
+    queryParam('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit phải từ 1 đến 500'),
+    queryParam('offset').optional().isInt({ min: 0 }).withMessage('offset không hợp lệ')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const accountRes = await query('SELECT * FROM accounts WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+        const account = accountRes.rows[0];
+        if (!account) return res.status(404).json({ success: false, message: 'Không tìm thấy tài khoản' });
+
+        const transactions = await getAccountTransactions(pool, account, {
+            limit: parseInt(req.query.limit, 10) || 50,
+            offset: parseInt(req.query.offset, 10) || 0
+        });
+        res.json({ success: true, data: transactions });
+    } catch (error) {
+        console.error('Get account transactions error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   POST /api/accounts
+// @desc    Tạo tài khoản
+// @access  Private
+/**
+ * @swagger
+ * /api/accounts:
+ *   post:
+ *     summary: Tạo tài khoản/ví
+ *     tags: [Accounts]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, type]
+ *             properties:
+ *               name: { type: string }
+ *               type: { type: string, enum: [cash, bank, credit_card, e_wallet] }
+ *               currency: { type: string, description: 'Mặc định là tiền tệ gốc của user' }
+ *               opening_balance: { type: number, default: 0 }
+ *               color: { type: string }
+ *               icon: { type: string }
+ *     responses:
+ *       201:
+ *         description: Tạo thành công
+ */
+router.post('/', accountValidation(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const { name, type, opening_balance = 0, color = null, icon = null } = req.body;
+        const result = await query(
+            `INSERT INTO accounts (user_id, name, type, currency, opening_balance, color, icon)
+             VALUES ($1, $2, $3, COALESCE($4, (SELECT base_currency FROM users WHERE id = $1)), $5, $6, $7)
+             RETURNING *`,
+            [req.user.id, name, type, normalizeCurrency(req.body.currency), opening_balance, color, icon]
+        );
+        const [account] = await getAccountsWithBalance(pool, req.user.id, { accountId: result.rows[0].id });
+        res.status(201).json({ success: true, data: account });
+    } catch (error) {
+        console.error('Create account error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   PUT /api/accounts/:id
+// @desc    Cập nhật tài khoản (không đổi được tiền tệ khi đã có giao dịch)
+// @access  Private
+router.put('/:id', accountValidation(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const userId = req.user.id;
+        const [existing] = await getAccountsWithBalance(pool, userId, { accountId: req.params.id });
+        if (!existing) return res.status(404).json({ success: false, message: 'Không tìm thấy tài khoản' });
+
+        const currency = normalizeCurrency(req.body.currency);
+        if (currency && currency !== existing.currency && existing.transaction_count > 0) {
+            return res.status(400).json({ success: false, message: 'Không thể đổi tiền tệ của tài khoản đã có giao dịch' });
+        }
+
+        const { name, type, opening_balance, color, icon, is_archived } = req.body;
+        await query(
+            `UPDATE accounts SET
+               name = COALESCE($1, name),
+               type = COALESCE($2, type),
+               currency = COALESCE($3, currency),
+               opening_balance = COALESCE($4, opening_balance),
+               color = COALESCE($5, color),
+               icon = COALESCE($6, icon),
+               is_archived = COALESCE($7, is_archived)
+             WHERE id = $8 AND user_id = $9`,
+            [name, type, currency, opening_balance, color, icon, is_archived, existing.id, userId]
+        );
+        const [account] = await getAccountsWithBalance(pool, userId, { accountId: existing.id });
+        res.json({ success: true, data: account });
+    } catch (error) {
+        console.error('Update account error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   DELETE /api/accounts/:id
+// @desc    Xóa tài khoản; tài khoản đã có giao dịch (hoặc giao dịch định kỳ) chỉ được lưu trữ (is_archived) để giữ lịch sử
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const result = await query(
+            `DELETE FROM accounts a
+             WHERE a.id = $1 AND a.user_id = $2
+               AND NOT EXISTS (SELECT 1 FROM expenses e WHERE e.account_id = a.id OR e.to_account_id = a.id)
+               AND NOT EXISTS (SELECT 1 FROM recurring_transactions r WHERE r.account_id = a.id)
+             RETURNING id`,
+            [req.params.id, userId]
+        );
+        if (result.rows.length) {
+            return res.json({ success: true, message: 'Đã xóa tài khoản', id: result.rows[0].id });
+        }
+
+        const archived = await query(
+            'UPDATE accounts SET is_archived = true WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, userId]
+        );
+        if (archived.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy tài khoản' });
+        }
+        res.json({ success: true, message: 'Tài khoản đã có giao dịch nên được lưu trữ', id: archived.rows[0].id, archived: true });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { query: queryParam, param, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require an admin account
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/jobs
+// @desc    Xem hàng đợi job (mặc định: job đang chờ, đang chạy và thất bại)
+// @access  Admin
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: Xem hàng đợi job chạy nền
+ *     tags: [Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, running, completed, failed] }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Thống kê theo trạng thái và danh sách job
+ *       403:
+ *         description: Không có quyền quản trị
+ */
+router.get('/jobs', [
+    queryParam('status').optional().isIn(['pending', 'running', 'completed', 'failed']).withMessage('Trạng thái không hợp lệ'),
+    queryParam('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit phải từ 1 đến 200')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { status, type } = req.query;
+        const limit = parseInt(req.query.limit, 10) || 50;
+
+        const conditions = [];
+        const params = [];
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        } else {
+            conditions.push("status IN ('pending', 'running', 'failed')");
+        }
+        if (type) {
+            params.push(type);
+            conditions.push(`type = $${params.length}`);
+        }
+        params.push(limit);
+
+        const [jobsRes, statsRes] = await Promise.all([
+            query(
+                `SELECT id, type, payload, status, run_at, attempts, max_attempts, interval_seconds,
+                        dedupe_key, locked_by, locked_until, last_error, completed_at, created_at, updated_at,
+                        (status = 'pending' AND run_at < NOW() - INTERVAL '5 minutes') AS overdue
+                 FROM jobs
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY CASE status WHEN 'failed' THEN 0 WHEN 'running' THEN 1 ELSE 2 END, run_at
+                 LIMIT $${params.length}`,
+                params
+            ),
+            query(
+                `SELECT status, COUNT(*)::int AS count,
+                        COUNT(*) FILTER (WHERE status = 'pending' AND run_at <= NOW())::int AS due
+                 FROM jobs GROUP BY status`
+            )
+        ]);
+
+        const stats = { pending: 0, running: 0, completed: 0, failed: 0, due: 0 };
+        statsRes.rows.forEach(row => {
+            stats[row.status] = row.count;
+            stats.due += row.due;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                stats,
+                jobs: jobsRes.rows
+            }
+        });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy danh sách job'
+        });
+    }
+});
+
+// @route   POST /api/admin/jobs/:id/retry
+// @desc    Đưa job thất bại trở lại hàng đợi để chạy ngay
+// @access  Admin
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Chạy lại job thất bại
+ *     tags: [Admin]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Job đã được đưa lại vào hàng đợi
+ *       404:
+ *         description: Không tìm thấy job thất bại
+ */
+router.post('/jobs/:id/retry', [
+    param('id').isInt({ min: 1 }).withMessage('ID không hợp lệ')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const result = await query(
+            `UPDATE jobs SET status = 'pending', run_at = NOW(), attempts = 0, updated_at = NOW()
+             WHERE id = $1 AND status = 'failed'
+             RETURNING id, type, status, run_at`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Không tìm thấy job thất bại'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Đã đưa job trở lại hàng đợi',
+            data: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Retry job error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi chạy lại job'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,12 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
-const { sendOTPEmail } = require('../services/emailService');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { queueOtpEmail, queuePasswordChangedEmail, getLatestEmailStatus } = require('../services/emailOutbox');
+const { languageFromRequest } = require('../services/emailTemplates');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllForUser } = require('../services/tokenService');
+const { issueOtp, verifyOtp } = require('../services/otpService');
 
-// Tạo mã OTP ngẫu nhiên
-const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
+// --- CHỐNG BRUTE-FORCE ---
+const LOGIN_LOCK_THRESHOLD = 5; // Số lần đăng nhập sai liên tiếp trước khi bị khóa
+const LOGIN_LOCK_MAX_MINUTES = 24 * 60;
+
+// Giới hạn theo IP và theo tài khoản (email), lưu trong Postgres
+const limiters = {
+    register: [
+        rateLimit({ name: 'register', by: 'ip', max: 10, windowSeconds: 60 * 60 })
+    ],
+    login: [
+        rateLimit({ name: 'login', by: 'ip', max: 20, windowSeconds: 15 * 60 }),
+        rateLimit({ name: 'login', by: 'email', max: 10, windowSeconds: 15 * 60 })
+    ],
+    verifyOtp: [
+        rateLimit({ name: 'verify-otp', by: 'ip', max: 20, windowSeconds: 15 * 60 }),
+        rateLimit({ name: 'verify-otp', by: 'email', max: 10, windowSeconds: 15 * 60 })
+    ],
+    sendOtp: [
+        rateLimit({ name: 'send-otp', by: 'ip', max: 10, windowSeconds: 60 * 60 }),
+        rateLimit({ name: 'send-otp', by: 'email', max: 5, windowSeconds: 60 * 60 })
+    ],
+    emailStatus: [
+        rateLimit({ name: 'email-status', by: 'ip', max: 60, windowSeconds: 15 * 60 })
+    ]
+};
+
+// Ghi nhận đăng nhập sai; từ lần thứ LOGIN_LOCK_THRESHOLD khóa tài khoản 1, 2, 4, 8... phút
+const recordLoginFailure = async (userId) => {
+    const result = await pool.query(
+        'UPDATE users SET failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1 WHERE id = $1 RETURNING failed_login_attempts',
+        [userId]
+    );
+    const attempts = result.rows[0].failed_login_attempts;
+    if (attempts < LOGIN_LOCK_THRESHOLD) return null;
+
+    const minutes = Math.min(2 ** (attempts - LOGIN_LOCK_THRESHOLD), LOGIN_LOCK_MAX_MINUTES);
+    const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    await pool.query('UPDATE users SET locked_until = $1 WHERE id = $2', [lockedUntil, userId]);
+    return lockedUntil;
+};
+
+const sendTooMany = (res, retryAfter, message) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, message, retryAfter });
+};
+
+const sendLocked = (res, lockedUntil) => {
+    const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+    return sendTooMany(res, retryAfter, `Tài khoản tạm khóa do đăng nhập sai nhiều lần, vui lòng thử lại sau ${Math.ceil(retryAfter / 60)} phút`);
+};
+
+// Thông tin thiết bị lưu kèm refresh token
+const clientMeta = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+// Loại OTP client gửi lên => mục đích trong otpService
+// (mã đăng ký không dùng được để đặt lại mật khẩu và ngược lại)
+const OTP_TYPES = {
+    registration: 'registration',
+    forgot_password: 'password_reset',
+    password_reset: 'password_reset',
+    reset_password: 'password_reset'
+};
+
+// Chính sách mật khẩu: tối thiểu 8 ký tự, có chữ và số, không trùng email
+const validatePassword = (password, email) => {
+    if (typeof password !== 'string' || password.length < 8) return 'Mật khẩu phải có ít nhất 8 ký tự';
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) return 'Mật khẩu phải chứa cả chữ và số';
+    if (email && password.toLowerCase() === String(email).toLowerCase()) return 'Mật khẩu không được trùng với email';
+    return null;
+};
 
 /**
  * @swagger
@@ -30,7 +102,7 @@ const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString()
  *         description: Đăng ký thành công, OTP đã được gửi
  */
 // 1. REGISTER: Lưu user (chưa active) và gửi OTP
-router.post('/register', async (req, res) => {
+router.post('/register', limiters.register, async (req, res) => {
     const { email, password, full_name, fullName } = req.body;
     const name = full_name || fullName; // Support both snake_case and camelCase
 
@@ -38,33 +110,43 @@ router.post('/register', async (req, res) => {
         return res.status(400).json({ success: false, message: 'Vui lòng nhập họ tên' });
     }
 
+    const client = await pool.connect();
     try {
         // Kiểm tra user tồn tại
-        const userCheck = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+        const userCheck = await client.query('SELECT * FROM users WHERE email = $1', [email]);
         if (userCheck.rows.length > 0) {
             return res.status(400).json({ success: false, message: 'Email đã tồn tại' });
         }
 
         const hashedPassword = await bcrypt.hash(password, 10);
-        const otp = generateOTP();
-        const otpExpires = new Date(Date.now() + 10 * 60 * 1000); // Hết hạn sau 10 phút
+
+        // User, OTP và email chứa OTP được ghi cùng một transaction:
+        // không còn trường hợp tài khoản đã tạo nhưng không có mã nào được gửi
+        await client.query('BEGIN');
 
         // Insert user với is_active = false
-        await pool.query(
-            'INSERT INTO users (email, password_hash, full_name, otp_code, otp_expires_at, is_active) VALUES ($1, $2, $3, $4, $5, false)',
-            [email, hashedPassword, name, otp, otpExpires]
+        const inserted = await client.query(
+            'INSERT INTO users (email, password_hash, full_name, is_active) VALUES ($1, $2, $3, false) RETURNING id',
+            [email, hashedPassword, name]
         );
 
-        console.log(`[REGISTER] Generated OTP for ${email}: ${otp}`);
+        const userId = inserted.rows[0].id;
+        const issued = await issueOtp(client, { userId, purpose: 'registration' });
+        await queueOtpEmail(client, { userId, to: email, purpose: 'registration', issued, lang: languageFromRequest(req) });
 
-        // Gửi email qua SendGrid
-        await sendOTPEmail(email, otp, 'registration');
+        await client.query('COMMIT');
 
         res.json({ success: true, message: 'Đăng ký thành công, vui lòng kiểm tra email để lấy OTP', requireOtp: true, email });
 
     } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') {
+            return res.status(400).json({ success: false, message: 'Email đã tồn tại' });
+        }
         console.error(err);
         res.status(500).json({ success: false, message: 'Lỗi server' });
+    } finally {
+        client.release();
     }
 });
 
@@ -89,7 +171,7 @@ router.post('/register', async (req, res) => {
  *         description: Xác thực thành công
  */
 // 2. VERIFY OTP: Kích hoạt tài khoản
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', limiters.verifyOtp, async (req, res) => {
     const { email, otp } = req.body;
     try {
         const userRes = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
@@ -97,20 +179,15 @@ router.post('/verify-otp', async (req, res) => {
 
         const user = userRes.rows[0];
 
-        // Kiểm tra OTP
-        if (user.otp_code !== otp) {
-            return res.status(400).json({ success: false, message: 'Mã OTP không chính xác' });
-        }
-        if (new Date() > new Date(user.otp_expires_at)) {
-            return res.status(400).json({ success: false, message: 'Mã OTP đã hết hạn' });
-        }
+        // Kiểm tra OTP (chỉ chấp nhận mã đăng ký)
+        const verified = await verifyOtp(pool, { userId: user.id, purpose: 'registration', code: otp });
+        if (!verified.success) return res.status(400).json({ success: false, message: verified.message });
 
-        // Active user và xóa OTP
-        await pool.query('UPDATE users SET is_active = true, otp_code = NULL, otp_expires_at = NULL WHERE id = $1', [user.id]);
+        // Active user
+        await pool.query('UPDATE users SET is_active = true WHERE id = $1', [user.id]);
 
         // Tạo tokens để đăng nhập luôn
-        const accessToken = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-        const refreshToken = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+        const { accessToken, refreshToken } = await issueTokens(user, clientMeta(req));
 
         res.json({
             success: true,
@@ -153,7 +230,7 @@ router.post('/verify-otp', async (req, res) => {
  *         description: Đăng nhập thành công
  */
 // 3. LOGIN: Đăng nhập thông thường
-router.post('/login', async (req, res) => {
+router.post('/login', limiters.login, async (req, res) => {
     const { email, password } = req.body;
     try {
         const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
@@ -161,14 +238,24 @@ router.post('/login', async (req, res) => {
 
         const user = result.rows[0];
 
+        if (user.locked_until && new Date(user.locked_until) > new Date()) return sendLocked(res, user.locked_until);
+
         if (!user.is_active) return res.status(400).json({ success: false, message: 'Tài khoản chưa kích hoạt. Vui lòng xác thực OTP.' });
 
         const isMatch = await bcrypt.compare(password, user.password_hash);
-        if (!isMatch) return res.status(400).json({ success: false, message: 'Sai email hoặc mật khẩu' });
+        if (!isMatch) {
+            const lockedUntil = await recordLoginFailure(user.id);
+            if (lockedUntil) return sendLocked(res, lockedUntil);
+            return res.status(400).json({ success: false, message: 'Sai email hoặc mật khẩu' });
+        }
+
+        await pool.query(
+            'UPDATE users SET failed_login_attempts = 0, locked_until = NULL, last_login = NOW() WHERE id = $1',
+            [user.id]
+        );
 
         // Generate both access and refresh tokens
-        const accessToken = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-        const refreshToken = jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+        const { accessToken, refreshToken } = await issueTokens(user, clientMeta(req));
 
         res.json({
             success: true,
@@ -190,22 +277,234 @@ router.post('/login', async (req, res) => {
 });
 
 // 4. SEND OTP (Resend or Forgot Password)
-router.post('/send-otp', async (req, res) => {
-    const { email, type } = req.body;
+router.post('/send-otp', limiters.sendOtp, async (req, res) => {
+    const { email, type = 'registration' } = req.body;
+    const purpose = OTP_TYPES[type];
+    if (!purpose) return res.status(400).json({ success: false, message: 'Loại OTP không hợp lệ' });
+
     try {
         const userRes = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
         if (userRes.rows.length === 0) return res.status(400).json({ success: false, message: 'User không tồn tại' });
 
-        const otp = generateOTP();
-        const otpExpires = new Date(Date.now() + 10 * 60 * 1000);
+        // Mã mới thay thế mã cũ cùng mục đích; bị từ chối nếu chưa hết cooldown
+        const userId = userRes.rows[0].id;
+        const issued = await issueOtp(pool, { userId, purpose });
+        if (!issued.success) return sendTooMany(res, issued.retryAfter, issued.message);
+
+        await queueOtpEmail(pool, { userId, to: email, purpose, issued, lang: languageFromRequest(req) });
+
+        res.json({ success: true, message: 'Đã gửi lại mã OTP' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Lỗi server' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Đặt lại mật khẩu bằng OTP (gửi qua /send-otp với type forgot_password)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, otp, newPassword]
+ *             properties:
+ *               email: { type: string }
+ *               otp: { type: string, minLength: 6, maxLength: 6 }
+ *               newPassword: { type: string, minLength: 8, description: 'Tối thiểu 8 ký tự, gồm chữ và số' }
+ *     responses:
+ *       200:
+ *         description: Đặt lại mật khẩu thành công, mọi phiên đăng nhập cũ bị thu hồi
+ *       400:
+ *         description: OTP sai/hết hạn hoặc mật khẩu không đạt yêu cầu
+ */
+// 5. RESET PASSWORD: Đặt lại mật khẩu bằng OTP quên mật khẩu
+router.post('/reset-password', limiters.verifyOtp, async (req, res) => {
+    const { email, otp } = req.body;
+    const newPassword = req.body.newPassword || req.body.new_password;
+
+    const passwordError = validatePassword(newPassword, email);
+    if (passwordError) return res.status(400).json({ success: false, message: passwordError });
 
-        await pool.query('UPDATE users SET otp_code = $1, otp_expires_at = $2 WHERE email = $3', [otp, otpExpires, email]);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const userRes = await client.query('SELECT * FROM users WHERE email = $1 FOR UPDATE', [email]);
+        const user = userRes.rows[0];
 
-        console.log(`[RESEND] Generated OTP for ${email}: ${otp}`);
+        if (!user) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, message: 'Mã OTP không chính xác' });
+        }
+        const verified = await verifyOtp(client, { userId: user.id, purpose: 'password_reset', code: otp });
+        if (!verified.success) {
+            // COMMIT để giữ lại số lượt nhập sai
+            await client.query('COMMIT');
+            return res.status(400).json({ success: false, message: verified.message });
+        }
 
-        await sendOTPEmail(email, otp, type || 'registration');
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        // Xác thực OTP qua email cũng chứng minh quyền sở hữu email => kích hoạt tài khoản nếu chưa
+        await client.query(
+            `UPDATE users SET password_hash = $1, is_active = true, failed_login_attempts = 0, locked_until = NULL
+             WHERE id = $2`,
+            [hashedPassword, user.id]
+        );
+        // Thu hồi mọi phiên đăng nhập hiện có
+        await revokeAllForUser(user.id, 'password_reset', client);
+        await queuePasswordChangedEmail(client, { userId: user.id, to: user.email, lang: languageFromRequest(req) });
+        await client.query('COMMIT');
 
-        res.json({ success: true, message: 'Đã gửi lại mã OTP' });
+        res.json({ success: true, message: 'Đặt lại mật khẩu thành công, vui lòng đăng nhập lại' });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Lỗi server' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Đổi refresh token lấy cặp token mới (refresh token cũ bị thu hồi)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: Cặp token mới
+ *       401:
+ *         description: Refresh token không hợp lệ, hết hạn hoặc đã bị dùng lại
+ */
+// 6. REFRESH: Rotation refresh token
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ success: false, message: 'Thiếu refresh token' });
+
+    try {
+        const result = await rotateRefreshToken(refreshToken, clientMeta(req));
+        if (!result.success) return res.status(401).json({ success: false, message: result.message });
+
+        res.json({ success: true, data: result.tokens });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Lỗi server' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Đăng xuất thiết bị hiện tại (thu hồi refresh token)
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken: { type: string }
+ *     responses:
+ *       200:
+ *         description: Đăng xuất thành công
+ */
+// 7. LOGOUT: Thu hồi phiên đăng nhập hiện tại
+router.post('/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ success: false, message: 'Thiếu refresh token' });
+
+    try {
+        await revokeRefreshToken(refreshToken);
+        res.json({ success: true, message: 'Đăng xuất thành công' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Lỗi server' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Đăng xuất khỏi tất cả thiết bị
+ *     tags: [Auth]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Đã thu hồi toàn bộ refresh token và vô hiệu các access token đã cấp
+ */
+// 8. LOGOUT ALL: Thu hồi mọi phiên đăng nhập của user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await revokeAllForUser(req.user.id);
+        res.json({ success: true, message: 'Đã đăng xuất khỏi tất cả thiết bị', data: { revokedSessions: result.rowCount } });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ success: false, message: 'Lỗi server' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/email-status:
+ *   get:
+ *     summary: Trạng thái gửi của email OTP gần nhất (queued | sent | failed | bounced)
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [registration, forgot_password], default: registration }
+ *     responses:
+ *       200:
+ *         description: Trạng thái email (data = null nếu chưa gửi email nào hoặc email chưa đăng ký)
+ */
+// 9. EMAIL STATUS: Client kiểm tra email OTP đã được gửi chưa (vd. khi người dùng báo không nhận được mã)
+router.get('/email-status', limiters.emailStatus, async (req, res) => {
+    const { email, type = 'registration' } = req.query;
+    const purpose = OTP_TYPES[type];
+    if (!email) return res.status(400).json({ success: false, message: 'Vui lòng nhập email' });
+    if (!purpose) return res.status(400).json({ success: false, message: 'Loại OTP không hợp lệ' });
+
+    try {
+        // Email chưa đăng ký trả về giống như chưa gửi email nào để không lộ email nào đã có tài khoản
+        const userRes = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+        const status = userRes.rows.length ? await getLatestEmailStatus(userRes.rows[0].id, purpose) : null;
+        res.json({
+            success: true,
+            data: status && {
+                status: status.status,
+                attempts: status.attempts,
+                createdAt: status.created_at,
+                lastAttemptAt: status.last_attempt_at,
+                nextAttemptAt: status.next_attempt_at,
+                sentAt: status.sent_at,
+                bouncedAt: status.bounced_at,
+                // Thất bại hoặc bị trả về: cho phép client gợi ý người dùng gửi lại / kiểm tra địa chỉ email
+                canResend: status.status === 'failed' || status.status === 'bounced'
+            }
+        });
     } catch (err) {
         console.error(err);
         res.status(500).json({ success: false, message: 'Lỗi server' });
@@ -1,7 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { query, pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const {
+    ROLLOVER_MODES,
+    getUserBudgetSettings,
+    getBudgetHistory,
+    getBudgetSummary,
+    prepareBudgetUpdate,
+    resolveBudgetCategories
+} = require('../services/budgetService');
+const { PERIOD_ANCHORS, today, diffDays } = require('../services/budgetPeriods');
+const { evaluateBudgetAlerts, listBudgetAlerts, markBudgetAlertsRead } = require('../services/budgetAlertService');
+const { languageFromRequest } = require('../services/emailTemplates');
 
 const router = express.Router();
 
@@ -11,9 +22,22 @@ router.use(authenticateToken);
 // Validation rules
 const budgetValidation = [
     body('amount').isFloat({ min: 0 }).withMessage('Số tiền phải lớn hơn hoặc bằng 0'),
-    body('period').isIn(['daily', 'weekly', 'monthly', 'yearly']).withMessage('Chu kỳ không hợp lệ')
+    body('period').isIn(['daily', 'weekly', 'monthly', 'yearly']).withMessage('Chu kỳ không hợp lệ'),
+    body('rollover_mode').optional().isIn(ROLLOVER_MODES).withMessage('Chế độ chuyển kỳ không hợp lệ'),
+    body('period_anchor').optional().isIn(PERIOD_ANCHORS).withMessage('Mốc tính kỳ không hợp lệ'),
+    body('category_ids').optional({ nullable: true }).isArray({ max: 50 }).withMessage('category_ids phải là mảng'),
+    body('category_id').optional({ nullable: true }).isInt().withMessage('Danh mục không hợp lệ')
 ];
 
+// Tên các danh mục của ngân sách (rỗng với ngân sách tổng)
+const CATEGORY_NAMES_SQL = 'ARRAY(SELECT cn.name FROM categories cn WHERE cn.id = ANY(b.category_ids) AND cn.user_id = b.user_id ORDER BY cn.name) AS category_names';
+
+// Danh mục từ body: category_ids (mảng, rỗng = mọi khoản chi) hoặc category_id (client cũ)
+const requestedCategoryIds = (body) => {
+    if (body.category_ids !== undefined) return body.category_ids || [];
+    return body.category_id ? [body.category_id] : [];
+};
+
 // @route   GET /api/budgets
 // @desc    Get all budgets for user
 // @access  Private
@@ -45,9 +69,9 @@ router.get('/', async (req, res) => {
         const { is_active } = req.query;
 
         let queryText = `
-      SELECT b.*, c.name as category_name, c.color as category_color
+      SELECT b.*, c.name as category_name, c.color as category_color, ${CATEGORY_NAMES_SQL}
       FROM budgets b
-      LEFT JOIN categories c ON b.category_id = c.id
+      LEFT JOIN categories c ON b.category_id = c.id AND c.user_id = b.user_id
       WHERE b.user_id = $1
     `;
         const params = [userId];
@@ -75,6 +99,180 @@ router.get('/', async (req, res) => {
     }
 });
 
+// @route   GET /api/budgets/summary
+// @desc    Tổng quan mọi ngân sách đang hiệu lực (thay cho gọi /:id/status từng ngân sách)
+// @access  Private
+/**
+ * @swagger
+ * /api/budgets/summary:
+ *   get:
+ *     summary: Tổng quan các ngân sách đang hiệu lực trong kỳ hiện tại
+ *     tags: [Budgets]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Ngày tính (asOf), múi giờ và danh sách ngân sách
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     asOf: { type: string, format: date }
+ *                     timezone: { type: string }
+ *                     budgets:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id: { type: integer }
+ *                           category_ids: { type: array, items: { type: integer } }
+ *                           category_names: { type: array, items: { type: string } }
+ *                           period: { type: string }
+ *                           periodStart: { type: string, format: date }
+ *                           periodEnd: { type: string, format: date }
+ *                           daysLeft: { type: integer, description: 'Số ngày còn lại của kỳ, tính cả hôm nay' }
+ *                           daysElapsed: { type: integer }
+ *                           budgetAmount: { type: number }
+ *                           carriedOver: { type: number }
+ *                           availableAmount: { type: number }
+ *                           spent: { type: number }
+ *                           remaining: { type: number }
+ *                           percentage: { type: number }
+ *                           isOverBudget: { type: boolean }
+ *                           projectedSpend: { type: number, description: 'Dự báo chi tới cuối kỳ theo mức chi trung bình mỗi ngày' }
+ *                           isProjectedOverBudget: { type: boolean }
+ */
+router.get('/summary', async (req, res) => {
+    try {
+        const summary = await getBudgetSummary(pool, req.user.id);
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        console.error('Get budget summary error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy tổng quan ngân sách',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/budgets/alerts
+// @desc    Lịch sử cảnh báo vượt ngưỡng ngân sách (mới nhất trước)
+// @access  Private
+/**
+ * @swagger
+ * /api/budgets/alerts:
+ *   get:
+ *     summary: Lịch sử cảnh báo ngân sách (mỗi ngưỡng một lần mỗi kỳ)
+ *     tags: [Budgets]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *       - in: query
+ *         name: before
+ *         description: Chỉ lấy cảnh báo có id nhỏ hơn (phân trang)
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Danh sách cảnh báo (id, budget_id, threshold, type, percentage, spent, available, message, period_start, period_end, is_read, created_at) và unreadCount
+ */
+router.get('/alerts', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const beforeId = parseInt(req.query.before, 10) || null;
+        const { alerts, unreadCount } = await listBudgetAlerts(req.user.id, {
+            unreadOnly: req.query.unread === 'true',
+            limit,
+            beforeId
+        });
+
+        res.json({ success: true, data: alerts, unreadCount });
+    } catch (error) {
+        console.error('Get budget alerts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy lịch sử cảnh báo ngân sách',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/budgets/alerts/read-all
+// @desc    Đánh dấu đã đọc mọi cảnh báo ngân sách
+// @access  Private
+/**
+ * @swagger
+ * /api/budgets/alerts/read-all:
+ *   post:
+ *     summary: Đánh dấu đã đọc mọi cảnh báo ngân sách
+ *     tags: [Budgets]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Số cảnh báo được đánh dấu (updated)
+ */
+router.post('/alerts/read-all', async (req, res) => {
+    try {
+        const updated = await markBudgetAlertsRead(req.user.id);
+        res.json({ success: true, data: { updated } });
+    } catch (error) {
+        console.error('Mark budget alerts read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật cảnh báo ngân sách',
+            error: error.message
+        });
+    }
+});
+
+// @route   PATCH /api/budgets/alerts/:alertId/read
+// @desc    Đánh dấu đã đọc một cảnh báo ngân sách
+// @access  Private
+/**
+ * @swagger
+ * /api/budgets/alerts/{alertId}/read:
+ *   patch:
+ *     summary: Đánh dấu đã đọc một cảnh báo ngân sách
+ *     tags: [Budgets]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Đã đánh dấu
+ *       404:
+ *         description: Không tìm thấy
+ */
+router.patch('/alerts/:alertId/read', async (req, res) => {
+    try {
+        const alertId = parseInt(req.params.alertId, 10);
+        const updated = alertId > 0 ? await markBudgetAlertsRead(req.user.id, alertId) : 0;
+        if (updated === 0) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy cảnh báo' });
+        }
+        res.json({ success: true, message: 'Đã đánh dấu đã đọc' });
+    } catch (error) {
+        console.error('Mark budget alert read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi cập nhật cảnh báo ngân sách',
+            error: error.message
+        });
+    }
+});
+
 // @route   GET /api/budgets/:id
 // @desc    Get single budget
 // @access  Private
@@ -108,9 +306,9 @@ router.get('/:id', async (req, res) => {
         const userId = req.user.id;
         const budgetId = req.params.id;
         const result = await query(
-            `SELECT b.*, c.name as category_name, c.color as category_color
+            `SELECT b.*, c.name as category_name, c.color as category_color, ${CATEGORY_NAMES_SQL}
              FROM budgets b
-             LEFT JOIN categories c ON b.category_id = c.id
+             LEFT JOIN categories c ON b.category_id = c.id AND c.user_id = b.user_id
              WHERE b.id = $1 AND b.user_id = $2`,
             [budgetId, userId]
         );
@@ -156,10 +354,21 @@ router.get('/:id', async (req, res) => {
  *                       type: object
  *                       properties:
  *                         totalSpent: { type: number }
- *                         budgetAmount: { type: number }
+ *                         budgetAmount: { type: number, description: 'Hạn mức của kỳ' }
+ *                         carriedOver: { type: number, description: 'Số dư chuyển từ kỳ trước (âm nếu kỳ trước tiêu lố)' }
+ *                         availableAmount: { type: number, description: 'budgetAmount + carriedOver' }
  *                         remaining: { type: number }
  *                         percentage: { type: string }
  *                         isOverBudget: { type: boolean }
+ *                         unconverted:
+ *                           type: array
+ *                           description: 'Khoản chi ngoại tệ chưa có tỷ giá trong kỳ, không tính vào totalSpent'
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               currency: { type: string }
+ *                               total: { type: number, description: 'Theo đồng tiền của giao dịch' }
+ *                               count: { type: integer }
  */
 router.get('/:id/status', async (req, res) => {
     try {
@@ -168,9 +377,9 @@ router.get('/:id/status', async (req, res) => {
 
         // Get budget info
         const budgetResult = await query(
-            `SELECT b.*, c.name as category_name
+            `SELECT b.*, c.name as category_name, ${CATEGORY_NAMES_SQL}
        FROM budgets b
-       LEFT JOIN categories c ON b.category_id = c.id
+       LEFT JOIN categories c ON b.category_id = c.id AND c.user_id = b.user_id
        WHERE b.id = $1 AND b.user_id = $2`,
             [budgetId, userId]
         );
@@ -184,53 +393,18 @@ router.get('/:id/status', async (req, res) => {
 
         const budget = budgetResult.rows[0];
 
-        // Calculate date range based on period
-        const now = new Date();
-        let startDate, endDate;
-
-        switch (budget.period) {
-            case 'daily':
-                startDate = new Date(now.setHours(0, 0, 0, 0));
-                endDate = new Date(now.setHours(23, 59, 59, 999));
-                break;
-            case 'weekly':
-                const dayOfWeek = now.getDay();
-                startDate = new Date(now);
-                startDate.setDate(now.getDate() - dayOfWeek);
-                startDate.setHours(0, 0, 0, 0);
-                endDate = new Date(startDate);
-                endDate.setDate(startDate.getDate() + 6);
-                endDate.setHours(23, 59, 59, 999);
-                break;
-            case 'monthly':
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-                break;
-            case 'yearly':
-                startDate = new Date(now.getFullYear(), 0, 1);
-                endDate = new Date(now.getFullYear(), 11, 31, 23, 59, 59, 999);
-                break;
-        }
-
-        // Get current spending
-        const spendingResult = await query(
-            `SELECT COALESCE(SUM(amount), 0) as total_spent
-       FROM expenses
-       WHERE user_id = $1 
-         AND type = 'expense'
-         AND category_id = $2
-         AND date >= $3 
-         AND date <= $4
-         AND is_deleted = false`,
-            [userId, budget.category_id, startDate, endDate]
-        );
-
-        const totalSpent = parseFloat(spendingResult.rows[0].total_spent);
-        const budgetAmount = parseFloat(budget.amount);
-        const percentage = budgetAmount > 0 ? (totalSpent / budgetAmount) * 100 : 0;
-        const remaining = budgetAmount - totalSpent;
-        const isOverBudget = totalSpent > budgetAmount;
-        const alertThresholdAmount = (budgetAmount * budget.alert_threshold) / 100;
+        // Kỳ hiện tại là kỳ cuối trong lịch sử (đã tính số dư chuyển từ các kỳ trước)
+        const settings = await getUserBudgetSettings(pool, userId);
+        const history = await getBudgetHistory(pool, budget, settings);
+        const current = history[history.length - 1];
+        const daysLeft = Math.max(diffDays(today(settings.timezone), current.periodEnd) + 1, 0);
+
+        const budgetAmount = current.limit;
+        const availableAmount = current.available;
+        const totalSpent = current.spent;
+        const percentage = availableAmount > 0 ? (totalSpent / availableAmount) * 100 : 0;
+        const isOverBudget = totalSpent > availableAmount;
+        const alertThresholdAmount = (availableAmount * budget.alert_threshold) / 100;
         const shouldAlert = totalSpent >= alertThresholdAmount;
 
         res.json({
@@ -238,16 +412,22 @@ router.get('/:id/status', async (req, res) => {
             data: {
                 budget,
                 spending: {
+                    currency: settings.baseCurrency,
                     totalSpent,
                     budgetAmount,
-                    remaining,
+                    carriedOver: current.carriedIn,
+                    availableAmount,
+                    remaining: current.remaining,
                     percentage: percentage.toFixed(2),
                     isOverBudget,
                     shouldAlert,
                     alertThreshold: budget.alert_threshold,
+                    unconverted: current.unconverted,
                     period: {
-                        startDate,
-                        endDate
+                        startDate: current.periodStart,
+                        endDate: current.periodEnd,
+                        daysLeft,
+                        timezone: settings.timezone
                     }
                 }
             }
@@ -262,6 +442,65 @@ router.get('/:id/status', async (req, res) => {
     }
 });
 
+// @route   GET /api/budgets/:id/history
+// @desc    Lịch sử theo kỳ: hạn mức, số chuyển kỳ, đã chi
+// @access  Private
+/**
+ * @swagger
+ * /api/budgets/{id}/history:
+ *   get:
+ *     summary: Lịch sử ngân sách theo từng kỳ (mới nhất trước)
+ *     tags: [Budgets]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 12, maximum: 120 }
+ *     responses:
+ *       200:
+ *         description: Danh sách kỳ gồm periodStart, periodEnd, limit, carriedIn, available, spent, remaining, carriedOut
+ *       404:
+ *         description: Không tìm thấy
+ */
+router.get('/:id/history', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const budgetId = req.params.id;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 120);
+
+        const budgetResult = await query(
+            'SELECT * FROM budgets WHERE id = $1 AND user_id = $2',
+            [budgetId, userId]
+        );
+        if (budgetResult.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy ngân sách' });
+        }
+
+        const settings = await getUserBudgetSettings(pool, userId);
+        const history = await getBudgetHistory(pool, budgetResult.rows[0], settings);
+        const currentStart = history[history.length - 1].periodStart;
+
+        res.json({
+            success: true,
+            data: history
+                .slice(-limit)
+                .reverse()
+                .map(period => ({ ...period, isCurrent: period.periodStart === currentStart }))
+        });
+    } catch (error) {
+        console.error('Get budget history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Lỗi khi lấy lịch sử ngân sách',
+            error: error.message
+        });
+    }
+});
+
 // @route   POST /api/budgets
 // @desc    Create new budget
 // @access  Private
@@ -278,14 +517,17 @@ router.get('/:id/status', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required: [category_id, amount, period]
+ *             required: [amount, period]
  *             properties:
- *               category_id: { type: integer }
+ *               category_ids: { type: array, items: { type: integer }, description: 'Các danh mục của ngân sách; bỏ trống = mọi khoản chi' }
+ *               category_id: { type: integer, description: 'Một danh mục (tương đương category_ids: [category_id])' }
  *               amount: { type: number }
  *               period: { type: string, enum: [daily, weekly, monthly, yearly] }
  *               start_date: { type: string, format: date-time }
  *               end_date: { type: string, format: date-time }
  *               alert_threshold: { type: integer }
+ *               rollover_mode: { type: string, enum: [none, surplus, deficit, both], description: 'Chuyển phần chưa tiêu / tiêu lố sang kỳ sau' }
+ *               period_anchor: { type: string, enum: [calendar, start_date], description: 'calendar = kỳ theo lịch; start_date = kỳ lặp lại từ ngày bắt đầu (vd. ngày nhận lương)' }
  *     responses:
  *       201:
  *         description: Tạo thành công
@@ -309,21 +551,28 @@ router.post('/', budgetValidation, async (req, res) => {
 
         const userId = req.user.id;
         const {
-            category_id,
             amount,
             period = 'monthly',
             start_date = new Date(),
             end_date,
-            alert_threshold = 80
+            alert_threshold = 80,
+            rollover_mode = 'none',
+            period_anchor = 'calendar'
         } = req.body;
 
+        const categoryIds = await resolveBudgetCategories(pool, userId, requestedCategoryIds(req.body));
+        if (!categoryIds) {
+            return res.status(400).json({ success: false, message: 'Danh mục không hợp lệ' });
+        }
+
+        // category_id do trigger suy ra từ category_ids
         const result = await query(
             `INSERT INTO budgets (
-        user_id, category_id, amount, period, start_date, 
-        end_date, alert_threshold
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        user_id, category_ids, amount, period, start_date, 
+        end_date, alert_threshold, rollover_mode, period_anchor
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *`,
-            [userId, category_id, amount, period, start_date, end_date, alert_threshold]
+            [userId, categoryIds, amount, period, start_date, end_date, alert_threshold, rollover_mode, period_anchor]
         );
 
         res.status(201).json({
@@ -363,6 +612,7 @@ router.post('/', budgetValidation, async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               category_ids: { type: array, items: { type: integer }, description: 'Bỏ trống (cùng category_id) để giữ nguyên danh mục' }
  *               category_id: { type: integer }
  *               amount: { type: number }
  *               period: { type: string, enum: [daily, weekly, monthly, yearly] }
@@ -370,6 +620,8 @@ router.post('/', budgetValidation, async (req, res) => {
  *               end_date: { type: string, format: date-time }
  *               alert_threshold: { type: integer }
  *               is_active: { type: boolean }
+ *               rollover_mode: { type: string, enum: [none, surplus, deficit, both] }
+ *               period_anchor: { type: string, enum: [calendar, start_date] }
  *     responses:
  *       200:
  *         description: Cập nhật thành công
@@ -382,57 +634,88 @@ router.post('/', budgetValidation, async (req, res) => {
  *                 data: { $ref: '#/components/schemas/Budget' }
  */
 router.put('/:id', budgetValidation, async (req, res) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({
-                success: false,
-                errors: errors.array()
-            });
-        }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            errors: errors.array()
+        });
+    }
 
+    const client = await pool.connect();
+    try {
         const userId = req.user.id;
         const budgetId = req.params.id;
         const {
-            category_id,
             amount,
             period,
             start_date,
             end_date,
             alert_threshold,
-            is_active
+            is_active,
+            rollover_mode,
+            period_anchor
         } = req.body;
 
-        const result = await query(
-            `UPDATE budgets 
-       SET category_id = $1, amount = $2, period = $3, 
-           start_date = $4, end_date = $5, alert_threshold = $6,
-           is_active = $7
-       WHERE id = $8 AND user_id = $9
-       RETURNING *`,
-            [category_id, amount, period, start_date, end_date,
-                alert_threshold, is_active, budgetId, userId]
-        );
+        // Không gửi category_ids lẫn category_id thì giữ nguyên danh mục của ngân sách
+        const keepCategories = req.body.category_ids === undefined && req.body.category_id === undefined;
+        const categoryIds = keepCategories
+            ? null
+            : await resolveBudgetCategories(client, userId, requestedCategoryIds(req.body));
+        if (!keepCategories && !categoryIds) {
+            return res.status(400).json({ success: false, message: 'Danh mục không hợp lệ' });
+        }
 
-        if (result.rows.length === 0) {
+        await client.query('BEGIN');
+
+        const existingRes = await client.query(
+            'SELECT * FROM budgets WHERE id = $1 AND user_id = $2 FOR UPDATE',
+            [budgetId, userId]
+        );
+        if (existingRes.rows.length === 0) {
+            await client.query('ROLLBACK');
             return res.status(404).json({
                 success: false,
                 message: 'Không tìm thấy ngân sách'
             });
         }
 
+        // Giữ hạn mức cũ cho các kỳ đã qua trước khi đổi số tiền/chu kỳ/mốc tính kỳ
+        await prepareBudgetUpdate(client, existingRes.rows[0], { amount, period, period_anchor, start_date });
+
+        const result = await client.query(
+            `UPDATE budgets 
+       SET category_ids = COALESCE($1, category_ids), amount = $2, period = $3, 
+           start_date = $4, end_date = $5, alert_threshold = $6,
+           is_active = $7, rollover_mode = COALESCE($8, rollover_mode),
+           period_anchor = COALESCE($9, period_anchor), version = version + 1
+       WHERE id = $10 AND user_id = $11
+       RETURNING *`,
+            [categoryIds, amount, period, start_date, end_date,
+                alert_threshold, is_active, rollover_mode, period_anchor, budgetId, userId]
+        );
+
+        await client.query('COMMIT');
+
+        // Đổi số tiền/ngưỡng có thể làm ngân sách vượt ngưỡng ngay
+        const { notified } = await evaluateBudgetAlerts(userId, undefined, { lang: languageFromRequest(req) });
+
         res.json({
             success: true,
             message: 'Cập nhật ngân sách thành công',
-            data: result.rows[0]
+            data: result.rows[0],
+            budgetAlerts: notified
         });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Update budget error:', error);
         res.status(500).json({
             success: false,
             message: 'Lỗi khi cập nhật ngân sách',
             error: error.message
         });
+    } finally {
+        client.release();
     }
 });
 
@@ -196,7 +196,7 @@ router.put('/:id', categoryValidation, async (req, res) => {
 
         const result = await query(
             `UPDATE categories 
-       SET name = $1, color = $2, icon = $3, type = $4
+       SET name = $1, color = $2, icon = $3, type = $4, version = version + 1
        WHERE id = $5 AND user_id = $6
        RETURNING *`,
             [name, color, icon, type, categoryId, userId]
@@ -254,8 +254,9 @@ router.delete('/:id', async (req, res) => {
             [categoryId, userId]
         );
 
+        // Kể cả các phần tách của khoản thu/chi
         const usedInExpenses = await query(
-            'SELECT id FROM expenses WHERE category_id = $1 AND user_id = $2 LIMIT 1',
+            'SELECT id FROM expense_lines WHERE category_id = $1 AND user_id = $2 LIMIT 1',
             [categoryId, userId]
         );
 
@@ -0,0 +1,235 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { RULE_TYPES, reapplyCategoryRules } = require('../services/categoryRuleService');
+const { evaluateBudgetAlerts } = require('../services/budgetAlertService');
+const { languageFromRequest } = require('../services/emailTemplates');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Các trường của quy tắc; điều kiện bỏ trống (null) là không xét
+const RULE_FIELDS = ['category_id', 'keyword', 'min_amount', 'max_amount', 'payment_method', 'type', 'priority', 'is_active'];
+const CONDITION_FIELDS = ['keyword', 'min_amount', 'max_amount', 'payment_method'];
+
+const ruleValidators = (isUpdate) => [
+    isUpdate
+        ? body('category_id').optional().isInt().withMessage('Danh mục không hợp lệ')
+        : body('category_id').isInt().withMessage('Danh mục không hợp lệ'),
+    body('keyword').optional({ values: 'null' }).trim().isLength({ min: 1, max: 100 }).withMessage('Từ khóa tối đa 100 ký tự'),
+    body(['min_amount', 'max_amount']).optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Khoảng số tiền không hợp lệ'),
+    body('payment_method').optional({ values: 'null' }).trim().isLength({ min: 1, max: 50 }).withMessage('Phương thức thanh toán không hợp lệ'),
+    body('type').optional({ values: 'null' }).isIn(RULE_TYPES).withMessage('Loại phải là income hoặc expense'),
+    body('priority').optional().isInt({ min: -1000, max: 1000 }).withMessage('Độ ưu tiên phải là số nguyên từ -1000 đến 1000'),
+    body('is_active').optional().isBoolean().withMessage('is_active phải là boolean')
+];
+
+// Kiểm tra quy tắc sau khi gộp với bản ghi cũ (khi sửa); trả về thông báo lỗi hoặc null
+const validateRule = async (userId, rule) => {
+    if (CONDITION_FIELDS.every(field => rule[field] === null || rule[field] === undefined)) {
+        return 'Quy tắc cần ít nhất một điều kiện: keyword, min_amount, max_amount hoặc payment_method';
+    }
+    if (rule.min_amount != null && rule.max_amount != null && Number(rule.min_amount) > Number(rule.max_amount)) {
+        return 'min_amount không được lớn hơn max_amount';
+    }
+    const category = await query('SELECT id FROM categories WHERE id = $1 AND user_id = $2', [rule.category_id, userId]);
+    return category.rows.length === 0 ? 'Danh mục không hợp lệ' : null;
+};
+
+// @route   GET /api/category-rules
+// @desc    Danh sách quy tắc tự gán danh mục (theo thứ tự xét khớp)
+// @access  Private
+/**
+ * @swagger
+ * /api/category-rules:
+ *   get:
+ *     summary: Danh sách quy tắc tự gán danh mục, theo thứ tự xét khớp
+ *     tags: [CategoryRules]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Danh sách quy tắc kèm category_name
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await query(
+            `SELECT r.*, c.name AS category_name
+             FROM category_rules r
+             JOIN categories c ON c.id = r.category_id
+             WHERE r.user_id = $1
+             ORDER BY r.is_active DESC, r.priority DESC, length(COALESCE(r.keyword, '')) DESC, r.id`,
+            [req.user.id]
+        );
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Get category rules error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   POST /api/category-rules/apply
+// @desc    Áp dụng lại quy tắc cho các giao dịch đã có (mặc định chỉ xem trước)
+// @access  Private
+/**
+ * @swagger
+ * /api/category-rules/apply:
+ *   post:
+ *     summary: Áp dụng lại quy tắc cho giao dịch cũ (dry_run mặc định true - chỉ xem trước)
+ *     tags: [CategoryRules]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dry_run: { type: boolean, default: true }
+ *               only_uncategorized: { type: boolean, default: true, description: 'false - ghi đè cả giao dịch đã có danh mục' }
+ *               start_date: { type: string, format: date }
+ *               end_date: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: changed (số giao dịch đổi danh mục) và changes (tối đa 500) { id, from_category_id, to_category_id, rule_id }
+ */
+router.post('/apply', [
+    body(['dry_run', 'only_uncategorized']).optional().isBoolean().withMessage('Giá trị phải là boolean'),
+    body(['start_date', 'end_date']).optional({ values: 'falsy' }).isISO8601({ strict: true }).withMessage('Ngày không hợp lệ (YYYY-MM-DD)')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const userId = req.user.id;
+        const dryRun = String(req.body.dry_run) !== 'false';
+        const result = await reapplyCategoryRules(userId, {
+            dryRun,
+            onlyUncategorized: String(req.body.only_uncategorized) !== 'false',
+            startDate: req.body.start_date || null,
+            endDate: req.body.end_date || null
+        });
+
+        // Danh mục thay đổi thì số đã chi của các ngân sách cũng thay đổi
+        let budgetAlerts = [];
+        if (!dryRun && result.changed) {
+            ({ notified: budgetAlerts } = await evaluateBudgetAlerts(userId, undefined, { lang: languageFromRequest(req) }));
+        }
+
+        res.json({
+            success: true,
+            message: dryRun ? `${result.changed} giao dịch sẽ được đổi danh mục` : `Đã đổi danh mục ${result.changed} giao dịch`,
+            data: { dryRun, ...result },
+            budgetAlerts
+        });
+    } catch (error) {
+        console.error('Apply category rules error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   POST /api/category-rules
+// @desc    Tạo quy tắc tự gán danh mục
+// @access  Private
+/**
+ * @swagger
+ * /api/category-rules:
+ *   post:
+ *     summary: Tạo quy tắc tự gán danh mục (khớp khi mọi điều kiện đã đặt đều thỏa)
+ *     tags: [CategoryRules]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [category_id]
+ *             properties:
+ *               category_id: { type: integer }
+ *               keyword: { type: string, example: Grab, description: 'Mô tả chứa từ khóa (không phân biệt hoa thường/dấu)' }
+ *               min_amount: { type: number }
+ *               max_amount: { type: number }
+ *               payment_method: { type: string, example: momo }
+ *               type: { type: string, enum: [income, expense], description: 'Bỏ trống - cả thu và chi' }
+ *               priority: { type: integer, default: 0, description: 'Lớn hơn được xét trước' }
+ *               is_active: { type: boolean, default: true }
+ *     responses:
+ *       201:
+ *         description: Tạo thành công
+ *       400:
+ *         description: Thiếu điều kiện, khoảng số tiền sai hoặc danh mục không hợp lệ
+ */
+router.post('/', ruleValidators(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const userId = req.user.id;
+        const rule = {};
+        RULE_FIELDS.forEach((field) => { rule[field] = req.body[field] === undefined ? null : req.body[field]; });
+        const ruleError = await validateRule(userId, rule);
+        if (ruleError) return res.status(400).json({ success: false, message: ruleError });
+
+        const result = await query(
+            `INSERT INTO category_rules (user_id, category_id, keyword, min_amount, max_amount, payment_method, type, priority, is_active)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 0), COALESCE($9, true)) RETURNING *`,
+            [userId, ...RULE_FIELDS.map(field => rule[field])]
+        );
+        res.status(201).json({ success: true, data: result.rows[0] });
+    } catch (error) {
+        console.error('Create category rule error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   PUT /api/category-rules/:id
+// @desc    Sửa quy tắc (gửi null để bỏ một điều kiện)
+// @access  Private
+router.put('/:id', ruleValidators(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const userId = req.user.id;
+        const existing = await query('SELECT * FROM category_rules WHERE id = $1 AND user_id = $2', [req.params.id, userId]);
+        if (existing.rows.length === 0) return res.status(404).json({ success: false, message: 'Không tìm thấy quy tắc' });
+
+        const rule = { ...existing.rows[0] };
+        RULE_FIELDS.forEach((field) => { if (req.body[field] !== undefined) rule[field] = req.body[field]; });
+        const ruleError = await validateRule(userId, rule);
+        if (ruleError) return res.status(400).json({ success: false, message: ruleError });
+
+        const result = await query(
+            `UPDATE category_rules
+             SET category_id = $1, keyword = $2, min_amount = $3, max_amount = $4, payment_method = $5,
+                 type = $6, priority = $7, is_active = $8
+             WHERE id = $9 AND user_id = $10 RETURNING *`,
+            [...RULE_FIELDS.map(field => rule[field]), req.params.id, userId]
+        );
+        res.json({ success: true, data: result.rows[0] });
+    } catch (error) {
+        console.error('Update category rule error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   DELETE /api/category-rules/:id
+// @desc    Xóa quy tắc
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await query(
+            'DELETE FROM category_rules WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.user.id]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Không tìm thấy quy tắc' });
+        res.json({ success: true, message: 'Đã xóa quy tắc', id: result.rows[0].id });
+    } catch (error) {
+        console.error('Delete category rule error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
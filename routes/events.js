@@ -2,18 +2,31 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { query, pool } = require('../config/database'); // [FIX] Import pool
 const { authenticateToken } = require('../middleware/auth');
+const { normalizeNotificationTimes } = require('../services/eventNotifier');
 
 const router = express.Router();
 
 router.use(authenticateToken);
 
+// notification_times: số phút trước event_date cần nhắc, vd [1440, 60, 0] = trước 1 ngày, 1 giờ và lúc bắt đầu
+const notificationTimesValidation = [
+    body('notification_times')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('notification_times phải là mảng (tối đa 10 mốc)'),
+    body('notification_times.*')
+        .isInt({ min: 0, max: 525600 })
+        .withMessage('Mỗi mốc thông báo phải là số phút từ 0 đến 525600')
+];
+
 const eventValidation = [
     body('title').trim().notEmpty().withMessage('Tiêu đề không được để trống'),
     body('event_date').isISO8601().withMessage('Ngày sự kiện không hợp lệ'),
     body('recurrence_pattern')
         .optional()
         .isIn(['daily', 'weekly', 'monthly', 'yearly'])
-        .withMessage('Kiểu lặp lại không hợp lệ')
+        .withMessage('Kiểu lặp lại không hợp lệ'),
+    ...notificationTimesValidation
 ];
 
 // @route   GET /api/events
@@ -27,7 +40,7 @@ router.get('/', async (req, res) => {
                 id, user_id, title, description,
                 -- Trả về chuỗi thời gian nguyên bản (không kèm timezone offset) để client tự xử lý
                 TO_CHAR(event_date, 'YYYY-MM-DD"T"HH24:MI:SS') AS event_date,
-                event_type, color, is_recurring, recurrence_pattern, notification_enabled,
+                event_type, color, is_recurring, recurrence_pattern, notification_enabled, notification_times,
                 created_at, updated_at, deleted_at, is_deleted,
                 CASE 
                     WHEN event_date > NOW() THEN
@@ -67,7 +80,7 @@ router.get('/:id', async (req, res) => {
             `SELECT 
                 id, user_id, title, description,
                 TO_CHAR(event_date, 'YYYY-MM-DD"T"HH24:MI:SS') AS event_date,
-                event_type, color, is_recurring, recurrence_pattern, notification_enabled,
+                event_type, color, is_recurring, recurrence_pattern, notification_enabled, notification_times,
                 created_at, updated_at, deleted_at, is_deleted
              FROM events WHERE id = $1 AND user_id = $2`,
             [req.params.id, req.user.id]
@@ -86,7 +99,7 @@ router.post('/', eventValidation, async (req, res) => {
         if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
 
         const userId = req.user.id;
-        const { title, description, event_date, event_type, color, is_recurring, notification_enabled, recurrence_pattern, client_id } = req.body;
+        const { title, description, event_date, event_type, color, is_recurring, notification_enabled, recurrence_pattern, notification_times, client_id } = req.body;
 
         // Idempotency by client_id
         if (client_id) {
@@ -104,8 +117,8 @@ router.post('/', eventValidation, async (req, res) => {
 
         // Lưu event_date như giờ địa phương VN: bỏ timezone để tránh lệch
         let result = await query(
-            `INSERT INTO events (user_id, title, description, event_date, event_type, color, is_recurring, recurrence_pattern, notification_enabled, client_id)
-             VALUES ($1, $2, $3, CAST($4 AS timestamp), $5, $6, $7, $8, $9, $10) RETURNING *`,
+            `INSERT INTO events (user_id, title, description, event_date, event_type, color, is_recurring, recurrence_pattern, notification_enabled, notification_times, client_id)
+             VALUES ($1, $2, $3, CAST($4 AS timestamp), $5, $6, $7, $8, $9, COALESCE($10, ARRAY[1440, 60, 0]), $11) RETURNING *`,
             [
                 userId,
                 title,
@@ -116,6 +129,7 @@ router.post('/', eventValidation, async (req, res) => {
                 !!is_recurring,
                 recurrence_pattern || null,
                 notification_enabled ?? true,
+                notification_times ? normalizeNotificationTimes(notification_times) : null,
                 client_id || null
             ]
         );
@@ -133,14 +147,19 @@ router.post('/', eventValidation, async (req, res) => {
 });
 
 // @route   PUT /api/events/:id
-router.put('/:id', async (req, res) => {
+router.put('/:id', notificationTimesValidation, async (req, res) => {
     try {
-        const { title, description, event_date, event_type, color, is_recurring, recurrence_pattern, notification_enabled } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const { title, description, event_date, event_type, color, is_recurring, recurrence_pattern, notification_enabled, notification_times } = req.body;
+        // notification_times không gửi lên => giữ nguyên giá trị cũ
         let result = await query(
             `UPDATE events 
              SET title = $1, description = $2, event_date = CAST($3 AS timestamp), event_type = $4, 
-                 color = $5, is_recurring = $6, recurrence_pattern = $7, notification_enabled = $8, updated_at = NOW()
-             WHERE id = $9 AND user_id = $10 RETURNING *`,
+                 color = $5, is_recurring = $6, recurrence_pattern = $7, notification_enabled = $8,
+                 notification_times = COALESCE($9, notification_times), version = version + 1, updated_at = NOW()
+             WHERE id = $10 AND user_id = $11 RETURNING *`,
             [
                 title,
                 description,
@@ -150,6 +169,7 @@ router.put('/:id', async (req, res) => {
                 !!is_recurring,
                 recurrence_pattern || null,
                 notification_enabled ?? true,
+                notification_times ? normalizeNotificationTimes(notification_times) : null,
                 req.params.id,
                 req.user.id
             ]
@@ -171,7 +191,7 @@ router.put('/:id', async (req, res) => {
 router.delete('/:id', async (req, res) => {
     try {
         const result = await query(
-            'UPDATE events SET is_deleted = true, deleted_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING id',
+            'UPDATE events SET is_deleted = true, deleted_at = NOW(), version = version + 1 WHERE id = $1 AND user_id = $2 RETURNING id',
             [req.params.id, req.user.id]
         );
         if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Not found' });
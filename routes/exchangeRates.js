@@ -0,0 +1,197 @@
+const express = require('express');
+const multer = require('multer');
+const { query: queryParam, validationResult } = require('express-validator');
+const { query, pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    isCurrencyCode,
+    normalizeCurrency,
+    validateRate,
+    parseRatesCsv,
+    upsertExchangeRates
+} = require('../services/currencyService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const DATE_FORMAT = { format: 'YYYY-MM-DD', strictMode: true };
+
+// File tỷ giá chỉ cần đọc một lần nên giữ trong bộ nhớ
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (/\.(csv|txt)$/i.test(file.originalname) || /^text\//.test(file.mimetype)) cb(null, true);
+        else cb(new Error('Chỉ hỗ trợ file CSV'));
+    },
+    limits: { fileSize: 1024 * 1024 } // 1MB
+});
+
+const ratesUpload = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (!err) return next();
+        const message = err.code === 'LIMIT_FILE_SIZE' ? 'File tỷ giá tối đa 1MB' : err.message;
+        res.status(400).json({ success: false, message });
+    });
+};
+
+// @route   GET /api/exchange-rates
+// @desc    Danh sách tỷ giá của user
+// @access  Private
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Danh sách tỷ giá (mới nhất trước)
+ *     tags: [ExchangeRates]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema: { type: string, example: USD }
+ *         description: Lọc các tỷ giá có đồng tiền này ở một trong hai phía
+ *       - in: query
+ *         name: start_date
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: end_date
+ *         schema: { type: string, format: date }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 100, maximum: 1000 }
+ *     responses:
+ *       200:
+ *         description: Danh sách { id, from_currency, to_currency, rate, rate_date, source } (1 from_currency = rate to_currency)
+ */
+router.get('/', [
+    queryParam('currency').optional().custom(isCurrencyCode).withMessage('Mã tiền tệ không hợp lệ'),
+    queryParam('start_date').optional().isDate(DATE_FORMAT).withMessage('Ngày không hợp lệ (YYYY-MM-DD)'),
+    queryParam('end_date').optional().isDate(DATE_FORMAT).withMessage('Ngày không hợp lệ (YYYY-MM-DD)'),
+    queryParam('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit phải từ 1 đến 1000')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const result = await query(
+            `SELECT * FROM exchange_rates
+             WHERE user_id = $1
+               AND ($2::text IS NULL OR from_currency = $2::text OR to_currency = $2::text)
+               AND ($3::date IS NULL OR rate_date >= $3::date)
+               AND ($4::date IS NULL OR rate_date <= $4::date)
+             ORDER BY rate_date DESC, from_currency, to_currency
+             LIMIT $5`,
+            [req.user.id, normalizeCurrency(req.query.currency), req.query.start_date || null,
+                req.query.end_date || null, parseInt(req.query.limit, 10) || 100]
+        );
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Get exchange rates error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Nhập tỷ giá thủ công (cùng cặp tiền + ngày thì ghi đè)
+// @access  Private
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   post:
+ *     summary: Nhập tỷ giá cho một ngày (ghi đè nếu đã có)
+ *     tags: [ExchangeRates]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from_currency, to_currency, rate, rate_date]
+ *             properties:
+ *               from_currency: { type: string, example: USD }
+ *               to_currency: { type: string, example: VND }
+ *               rate: { type: number, example: 25400 }
+ *               rate_date: { type: string, format: date }
+ *     responses:
+ *       201:
+ *         description: Tỷ giá đã lưu
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { rate, error } = validateRate(req.body);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const [saved] = await upsertExchangeRates(pool, req.user.id, [rate], 'manual');
+        res.status(201).json({ success: true, data: saved });
+    } catch (error) {
+        console.error('Create exchange rate error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import tỷ giá từ file CSV
+// @access  Private
+/**
+ * @swagger
+ * /api/exchange-rates/import:
+ *   post:
+ *     summary: Import tỷ giá từ file CSV (rate_date,from_currency,to_currency,rate)
+ *     description: Có dòng lỗi thì không lưu dòng nào. Cùng cặp tiền + ngày thì ghi đè.
+ *     tags: [ExchangeRates]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Số tỷ giá đã lưu
+ *       400:
+ *         description: File không hợp lệ (errors - danh sách { line, message })
+ */
+router.post('/import', ratesUpload, async (req, res) => {
+    if (!req.file) return res.status(400).json({ success: false, message: 'Chưa chọn file tỷ giá' });
+
+    const { rates, errors } = parseRatesCsv(req.file.buffer.toString('utf8'));
+    if (errors.length) {
+        return res.status(400).json({ success: false, message: 'File tỷ giá có dòng không hợp lệ', errors });
+    }
+    if (!rates.length) return res.status(400).json({ success: false, message: 'File không có tỷ giá nào' });
+
+    try {
+        // Một câu INSERT cho cả file: lỗi thì không dòng nào được lưu
+        const saved = await upsertExchangeRates(pool, req.user.id, rates, 'import');
+        res.json({ success: true, message: `Đã import ${saved.length} tỷ giá`, data: { imported: saved.length } });
+    } catch (error) {
+        console.error('Import exchange rates error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Xóa một tỷ giá
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await query(
+            'DELETE FROM exchange_rates WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.user.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy tỷ giá' });
+        }
+        res.json({ success: true, message: 'Đã xóa tỷ giá', id: result.rows[0].id });
+    } catch (error) {
+        console.error('Delete exchange rate error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
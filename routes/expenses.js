@@ -1,7 +1,31 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { query, pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { applyUpserts } = require('../services/syncService');
+const { evaluateBudgetAlerts } = require('../services/budgetAlertService');
+const { languageFromRequest } = require('../services/emailTemplates');
+const { getUserBudgetSettings } = require('../services/budgetService');
+const { resolveStatisticsOptions, getExpenseStatistics } = require('../services/statisticsService');
+const {
+    PDF_PLACEHOLDER_SVG,
+    receiptUpload,
+    processUploadedReceipt,
+    receiptPath,
+    removeReceiptFiles
+} = require('../services/receiptStorage');
+const { isCurrencyCode, normalizeCurrency } = require('../services/currencyService');
+const { validateTransactionAccounts } = require('../services/accountService');
+const { loadCategoryRules, matchCategoryRule } = require('../services/categoryRuleService');
+const {
+    parseSplits,
+    validateSplits,
+    mainCategoryId,
+    splitCategoryIds,
+    replaceExpenseSplits,
+    loadExpenseSplits,
+    splitsJsonSql
+} = require('../services/expenseSplitService');
 
 const router = express.Router();
 
@@ -10,88 +34,39 @@ router.use(authenticateToken);
 
 // --- HELPER FUNCTIONS ---
 
-// Tính ngày bắt đầu và kết thúc của chu kỳ ngân sách
-const getBudgetPeriod = (period) => {
-    const now = new Date();
-    let start = new Date(now);
-    let end = new Date(now);
-
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
-
-    if (period === 'weekly') {
-        const day = now.getDay();
-        const diff = now.getDate() - day + (day === 0 ? -6 : 1); // Thứ 2 là đầu tuần
-        start.setDate(diff);
-        end.setDate(start.getDate() + 6);
-    } else if (period === 'monthly') {
-        start.setDate(1);
-        end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-    } else if (period === 'yearly') {
-        start.setMonth(0, 1);
-        end.setMonth(11, 31);
-    }
-    return { start, end };
+// Cảnh báo của mọi ngân sách chứa danh mục này (ngân sách riêng, nhiều danh mục và ngân sách tổng).
+// categoryId là mảng với khoản chi tách nhiều danh mục.
+// Gọi sau khi khoản chi đã được lưu nên số đã chi đã bao gồm khoản đó.
+// Ngưỡng mới vượt được lưu vào lịch sử và thông báo qua Socket.IO/email (mỗi ngưỡng một lần mỗi kỳ).
+const checkBudgetOverflow = async (req, categoryId) => {
+    const { alerts } = await evaluateBudgetAlerts(req.user.id, categoryId, { lang: languageFromRequest(req) });
+    return alerts;
 };
 
-// Kiểm tra xem khoản chi mới có làm vượt ngân sách không
-const checkBudgetOverflow = async (userId, categoryId, newAmount) => {
-    try {
-        // 1. Tìm ngân sách đang active cho danh mục này
-        const budgetRes = await query(
-            `SELECT * FROM budgets WHERE user_id = $1 AND category_id = $2 AND is_active = true`,
-            [userId, categoryId]
-        );
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+const ACCOUNT_FIELDS = ['account_id', 'to_account_id', 'to_amount'];
 
-        if (budgetRes.rows.length === 0) return null; // Không có ngân sách => Không cảnh báo
+// Giá trị tài khoản từ body (multipart gửi chuỗi rỗng để bỏ chọn)
+const accountFieldValue = (value) => (value === '' || value === undefined ? null : value);
 
-        const budget = budgetRes.rows[0];
-        const { start, end } = getBudgetPeriod(budget.period);
-
-        // 2. Tính tổng chi tiêu hiện tại trong kỳ (chưa bao gồm khoản mới)
-        const spendRes = await query(
-            `SELECT COALESCE(SUM(amount), 0) as total FROM expenses 
-             WHERE user_id = $1 AND category_id = $2 
-             AND date >= $3 AND date <= $4 AND is_deleted = false`,
-            [userId, categoryId, start, end]
-        );
-
-        const currentSpent = parseFloat(spendRes.rows[0].total);
-        const amountToAdd = parseFloat(newAmount);
-        const totalAfter = currentSpent + amountToAdd;
-        const limit = parseFloat(budget.amount);
-        const threshold = (limit * budget.alert_threshold) / 100;
-
-        // 3. Logic cảnh báo
-        if (totalAfter >= limit) {
-            return {
-                type: 'danger',
-                message: `Cảnh báo: Khoản chi này làm vượt quá ngân sách ${budget.period} (${(totalAfter / limit * 100).toFixed(1)}%)!`
-            };
-        } else if (totalAfter >= threshold) {
-            return {
-                type: 'warning',
-                message: `Chú ý: Bạn đã dùng ${(totalAfter / limit * 100).toFixed(1)}% ngân sách.`
-            };
-        }
-        return null;
-    } catch (e) {
-        console.error("Budget check error:", e);
-        return null;
-    }
+// Xóa file hóa đơn vừa upload khi request không được lưu (lỗi validate, trùng client_id, lỗi DB)
+const discardUploadedReceipt = async (req, receipt = null) => {
+    if (!req.file) return;
+    await removeReceiptFiles(req.file.filename, receipt && receipt.receipt_thumbnail);
 };
 
 // --- API ROUTES ---
 
 // @route   GET /api/expenses
-// @desc    Lấy danh sách chi tiêu (có lọc)
+// @desc    Lấy danh sách chi tiêu (có lọc), kèm các phần tách (splits)
 router.get('/', async (req, res) => {
     try {
         const userId = req.user.id;
         const { type, category_id, start_date, end_date, includeDeleted } = req.query;
 
         let queryText = `
-            SELECT e.*, c.name as category_name, c.color as category_color, c.icon as category_icon
+            SELECT e.*, c.name as category_name, c.color as category_color, c.icon as category_icon,
+                   ${splitsJsonSql('e')} AS splits
             FROM expenses e
             LEFT JOIN categories c ON e.category_id = c.id
             WHERE e.user_id = $1
@@ -106,8 +81,11 @@ router.get('/', async (req, res) => {
             queryText += ` AND e.type = $${idx++}`;
             params.push(type);
         }
+        // Khoản tách nhiều danh mục khớp khi một trong các phần thuộc danh mục
         if (category_id) {
-            queryText += ` AND e.category_id = $${idx++}`;
+            queryText += ` AND (e.category_id = $${idx} OR EXISTS (
+                SELECT 1 FROM expense_splits s WHERE s.expense_id = e.id AND s.category_id = $${idx}))`;
+            idx++;
             params.push(category_id);
         }
         if (start_date) {
@@ -131,118 +109,207 @@ router.get('/', async (req, res) => {
 
 // @route   POST /api/expenses
 // @desc    Tạo khoản thu/chi mới (Kèm kiểm tra ngân sách)
-router.post('/', [
+// Có thể gửi multipart/form-data kèm file hóa đơn ở field 'receipt' (PNG/JPG/WebP/PDF, tối đa 10MB)
+// Không gửi category_id thì danh mục được gán theo quy tắc của user; thu/chi không có quy tắc khớp trả về 400
+// splits: [{ category_id, amount, description }] tách khoản thành nhiều danh mục, tổng bằng amount
+router.post('/', receiptUpload, [
     body('amount').isFloat({ min: 0.01 }).withMessage('Số tiền không hợp lệ'),
-    body('type').isIn(['income', 'expense']).withMessage('Loại không hợp lệ'),
-    body('category_id').isInt().withMessage('Danh mục không hợp lệ')
+    body('type').isIn(TRANSACTION_TYPES).withMessage('Loại không hợp lệ'),
+    body('category_id').optional({ values: 'falsy' }).isInt().withMessage('Danh mục không hợp lệ'),
+    body(ACCOUNT_FIELDS.slice(0, 2)).optional({ values: 'falsy' }).isInt().withMessage('Tài khoản không hợp lệ'),
+    body('to_amount').optional({ values: 'falsy' }).isFloat({ min: 0.01 }).withMessage('Số tiền nhận không hợp lệ'),
+    body('currency').optional({ nullable: true }).custom(isCurrencyCode).withMessage('Mã tiền tệ không hợp lệ (3 chữ cái, vd. USD)')
 ], async (req, res) => {
+    let receipt = null;
     try {
         const errors = validationResult(req);
-        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+        if (!errors.isEmpty()) {
+            await discardUploadedReceipt(req);
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
 
         const userId = req.user.id;
-        const { amount, type, category_id, description, date, payment_method, client_id } = req.body;
+        const { amount, type, description, date, payment_method, client_id } = req.body;
+        let category_id = accountFieldValue(req.body.category_id);
+        const currency = normalizeCurrency(req.body.currency);
+        const [account_id, to_account_id, to_amount] = ACCOUNT_FIELDS.map(field => accountFieldValue(req.body[field]));
+        const parsedSplits = parseSplits(req.body.splits);
+        if (parsedSplits === null) {
+            await discardUploadedReceipt(req);
+            return res.status(400).json({ success: false, message: 'splits phải là mảng [{ category_id, amount }]' });
+        }
+        const splits = parsedSplits || [];
 
         // Idempotency by client_id
         if (client_id) {
             const exists = await query('SELECT * FROM expenses WHERE user_id = $1 AND client_id = $2', [userId, client_id]);
             if (exists.rows.length) {
-                return res.status(200).json({ success: true, data: exists.rows[0] });
+                await discardUploadedReceipt(req);
+                const splitsOfExisting = await loadExpenseSplits(pool, exists.rows[0].id);
+                return res.status(200).json({ success: true, data: { ...exists.rows[0], splits: splitsOfExisting } });
             }
         }
 
-        // 1. Insert vào DB
-        const result = await query(
-            `INSERT INTO expenses (user_id, amount, type, category_id, description, date, payment_method, client_id)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
-            [userId, amount, type, category_id, description, date || new Date(), payment_method, client_id || null]
-        );
+        const accountError = await validateTransactionAccounts(pool, userId, { type, account_id, to_account_id, to_amount })
+            || await validateSplits(pool, userId, splits, { amount, type });
+        if (accountError) {
+            await discardUploadedReceipt(req);
+            return res.status(400).json({ success: false, message: accountError });
+        }
+
+        // Khoản tách nhiều danh mục lấy danh mục của phần lớn nhất; chuyển tiền giữa hai tài khoản không cần danh mục
+        let categoryRule = null;
+        if (splits.length) {
+            category_id = mainCategoryId(splits);
+        } else if (category_id === null && type !== 'transfer') {
+            categoryRule = matchCategoryRule(await loadCategoryRules(pool, userId), { amount, type, description, payment_method });
+            if (categoryRule) category_id = categoryRule.category_id;
+        }
+        if (category_id === null && type !== 'transfer') {
+            await discardUploadedReceipt(req);
+            return res.status(400).json({ success: false, message: 'Vui lòng chọn danh mục (không có quy tắc nào khớp giao dịch)' });
+        }
+
+        if (req.file) receipt = await processUploadedReceipt(req.file);
+
+        // 1. Insert vào DB cùng các phần tách trong một transaction
+        // (không ghi tiền tệ thì lấy tiền tệ của tài khoản, rồi tới tiền tệ gốc của user)
+        const client = await pool.connect();
+        let newExpense;
+        let savedSplits = [];
+        try {
+            await client.query('BEGIN');
+            const result = await client.query(
+                `INSERT INTO expenses (user_id, amount, type, category_id, description, date, payment_method, client_id,
+                                       receipt_image, receipt_thumbnail, receipt_mime_type, currency,
+                                       account_id, to_account_id, to_amount)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+                         COALESCE($12, (SELECT currency FROM accounts WHERE id = $13), (SELECT base_currency FROM users WHERE id = $1)),
+                         $13, $14, $15) RETURNING *`,
+                [userId, amount, type, category_id, description, date || new Date(), payment_method, client_id || null,
+                    receipt && receipt.receipt_image, receipt && receipt.receipt_thumbnail, receipt && receipt.receipt_mime_type,
+                    currency, account_id, to_account_id, to_amount]
+            );
+            newExpense = result.rows[0];
+            if (splits.length) savedSplits = await replaceExpenseSplits(client, newExpense.id, splits);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
-        const newExpense = result.rows[0];
-        let budgetAlert = null;
+        let budgetAlerts = [];
 
-        // 2. Kiểm tra ngân sách nếu là khoản chi
+        // 2. Kiểm tra ngân sách nếu là khoản chi (mọi danh mục của các phần tách)
         if (type === 'expense') {
-            budgetAlert = await checkBudgetOverflow(userId, category_id, amount);
+            budgetAlerts = await checkBudgetOverflow(req, splitCategoryIds(newExpense, savedSplits));
         }
 
         res.status(201).json({
             success: true,
-            data: newExpense,
-            budgetAlert: budgetAlert // Client sẽ hiển thị popup nếu có dữ liệu này
+            data: { ...newExpense, splits: savedSplits },
+            categoryRuleId: categoryRule ? categoryRule.id : null, // Quy tắc đã gán danh mục
+            budgetAlert: budgetAlerts[0] || null, // Cảnh báo nặng nhất (client cũ hiển thị popup)
+            budgetAlerts
         });
     } catch (error) {
+        await discardUploadedReceipt(req, receipt);
         console.error('Create expense error:', error);
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
 // @route   GET /api/expenses/statistics
-// @desc    Thống kê thu chi
+// @desc    Thống kê thu chi theo múi giờ của user
+// Query: start_date, end_date (YYYY-MM-DD, mặc định tháng hiện tại), type, category_id (vd. 1,2),
+//        group_by (day | week | month), top (số khoản chi lớn nhất, mặc định 5)
 router.get('/statistics', async (req, res) => {
     try {
         const userId = req.user.id;
-        const { start_date, end_date } = req.query;
-
-        // Mặc định tháng hiện tại nếu không truyền ngày
-        let startDate = start_date ? new Date(start_date) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
-        let endDate = end_date ? new Date(end_date) : new Date(new Date().getFullYear(), new Date().getMonth() + 1, 0, 23, 59, 59);
-
-        const result = await query(
-            `SELECT 
-                COALESCE(SUM(CASE WHEN type = 'income' THEN amount ELSE 0 END), 0) as total_income,
-                COALESCE(SUM(CASE WHEN type = 'expense' THEN amount ELSE 0 END), 0) as total_expense
-             FROM expenses 
-             WHERE user_id = $1 
-             AND date >= $2 AND date <= $3
-             AND is_deleted = false`,
-            [userId, startDate, endDate]
-        );
+        const settings = await getUserBudgetSettings(pool, userId);
+        const { options, error } = resolveStatisticsOptions(req.query, settings);
+        if (error) return res.status(400).json({ success: false, message: error });
 
-        const stats = result.rows[0];
-        res.json({
-            success: true,
-            data: {
-                totalIncome: parseFloat(stats.total_income),
-                totalExpense: parseFloat(stats.total_expense),
-                balance: parseFloat(stats.total_income) - parseFloat(stats.total_expense)
-            }
-        });
+        const stats = await getExpenseStatistics(pool, userId, options);
+        res.json({ success: true, data: stats });
     } catch (error) {
+        console.error('Expense statistics error:', error);
         res.status(500).json({ success: false, message: error.message });
     }
 });
+
 // @route   POST /api/expenses/sync
-// @desc    Đồng bộ dữ liệu chi tiêu
+// @desc    Đồng bộ dữ liệu chi tiêu hai chiều
+// Body: { lastSyncTime, deviceId, expenses: [...] }
+//  - Mỗi phần tử là trạng thái cuối của khoản chi: chưa có trên server => tạo (theo client_id),
+//    có id/version => cập nhật (version lệch => xung đột, server thắng), is_deleted = true => xóa mềm
 router.post('/sync', async (req, res) => {
-    const client = await require('../config/database').pool.connect();
+    const { expenses, lastSyncTime, deviceId } = req.body;
+    if (expenses !== undefined && !Array.isArray(expenses)) {
+        return res.status(400).json({ success: false, message: 'expenses phải là mảng' });
+    }
+
+    const client = await pool.connect();
+    let result;
+    let serverChangesRes;
     try {
         await client.query('BEGIN');
         const userId = req.user.id;
-        const { expenses, lastSyncTime } = req.body;
 
-        // 1. Lấy thay đổi từ Server
-        const serverChangesRes = await client.query(
+        // 1. Lấy thay đổi từ Server (trước khi áp dụng thay đổi của Client)
+        serverChangesRes = await client.query(
             `SELECT * FROM expenses WHERE user_id = $1 AND updated_at > $2`,
             [userId, lastSyncTime || '1970-01-01']
         );
 
-        await client.query('COMMIT');
+        // 2. Áp dụng thay đổi của Client
+        result = await applyUpserts(client, { table: 'expenses', userId, items: expenses, deviceId });
 
-        res.json({
-            success: true,
-            data: {
-                serverChanges: serverChangesRes.rows,
-                syncTime: new Date().toISOString()
-            }
-        });
+        await client.query('COMMIT');
     } catch (error) {
         await client.query('ROLLBACK');
         console.error('Sync Expenses Error:', error);
-        res.status(500).json({ success: false, message: error.message });
+        return res.status(500).json({ success: false, message: error.message });
     } finally {
         client.release();
     }
+
+    // 3. Kiểm tra ngân sách cho từng khoản chi đã áp dụng (sau COMMIT để tính cả dữ liệu vừa đồng bộ)
+    // Khoản chi tách nhiều danh mục (phần tách được giữ khi sửa không đổi số tiền) kiểm tra theo từng phần.
+    // Mỗi tập danh mục chỉ kiểm tra một lần; mỗi ngân sách chỉ báo một lần dù nhiều danh mục cùng thuộc ngân sách đó
+    const budgetAlerts = [];
+    const reportedBudgets = new Set();
+    const alertsByCategory = new Map();
+    for (const item of result.applied) {
+        const expense = item.record;
+        item.budgetAlerts = [];
+        if (expense.type !== 'expense' || expense.is_deleted) continue;
+
+        const categoryIds = splitCategoryIds(expense, await loadExpenseSplits(pool, expense.id));
+        const categoryKey = [].concat(categoryIds || []).sort((a, b) => a - b).join(',');
+        if (!alertsByCategory.has(categoryKey)) {
+            const alerts = await checkBudgetOverflow(req, categoryIds || null);
+            alertsByCategory.set(categoryKey, alerts);
+            const fresh = alerts.filter(alert => !reportedBudgets.has(alert.budget_id));
+            fresh.forEach(alert => reportedBudgets.add(alert.budget_id));
+            budgetAlerts.push(...fresh);
+        }
+        item.budgetAlerts = alertsByCategory.get(categoryKey);
+    }
+
+    res.json({
+        success: true,
+        data: {
+            applied: result.applied,
+            conflicts: result.conflicts,
+            failed: result.failed,
+            budgetAlerts,
+            serverChanges: serverChangesRes.rows,
+            syncTime: new Date().toISOString()
+        }
+    });
 });
 
 module.exports = router;
@@ -250,18 +317,35 @@ module.exports = router;
 
 // @route   PUT /api/expenses/:id
 // @desc    Cập nhật khoản thu/chi
-router.put('/:id', [
+// multipart/form-data: field 'receipt' thay hóa đơn cũ; remove_receipt=true xóa hóa đơn
+// splits thay các phần tách (mảng rỗng: bỏ tách); gửi category_id mà không gửi splits cũng bỏ tách
+router.put('/:id', receiptUpload, [
     body('amount').optional().isFloat({ min: 0.01 }).withMessage('Số tiền không hợp lệ'),
-    body('type').optional().isIn(['income', 'expense']).withMessage('Loại không hợp lệ'),
-    body('category_id').optional().isInt().withMessage('Danh mục không hợp lệ')
+    body('type').optional().isIn(TRANSACTION_TYPES).withMessage('Loại không hợp lệ'),
+    body('category_id').optional().isInt().withMessage('Danh mục không hợp lệ'),
+    body(ACCOUNT_FIELDS.slice(0, 2)).optional({ values: 'falsy' }).isInt().withMessage('Tài khoản không hợp lệ'),
+    body('to_amount').optional({ values: 'falsy' }).isFloat({ min: 0.01 }).withMessage('Số tiền nhận không hợp lệ'),
+    body('remove_receipt').optional().isBoolean().withMessage('remove_receipt không hợp lệ'),
+    body('currency').optional({ nullable: true }).custom(isCurrencyCode).withMessage('Mã tiền tệ không hợp lệ (3 chữ cái, vd. USD)')
 ], async (req, res) => {
+    let receipt = null;
     try {
         const errors = validationResult(req);
-        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+        if (!errors.isEmpty()) {
+            await discardUploadedReceipt(req);
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
 
         const userId = req.user.id;
         const expenseId = req.params.id;
-        const { amount, type, category_id, description, date, payment_method } = req.body;
+        const { amount, type, description, date, payment_method } = req.body;
+        let { category_id } = req.body;
+        const currency = normalizeCurrency(req.body.currency);
+        let splits = parseSplits(req.body.splits);
+        if (splits === null) {
+            await discardUploadedReceipt(req);
+            return res.status(400).json({ success: false, message: 'splits phải là mảng [{ category_id, amount }]' });
+        }
 
         // Lấy bản ghi cũ để so sánh ngân sách nếu cần
         const oldRes = await query(
@@ -269,34 +353,99 @@ router.put('/:id', [
             [expenseId, userId]
         );
         if (oldRes.rows.length === 0) {
+            await discardUploadedReceipt(req);
             return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch' });
         }
         const oldExpense = oldRes.rows[0];
 
-        const updateRes = await query(
-            `UPDATE expenses SET
-              amount = COALESCE($1, amount),
-              type = COALESCE($2, type),
-              category_id = COALESCE($3, category_id),
-              description = COALESCE($4, description),
-              date = COALESCE($5, date),
-              payment_method = COALESCE($6, payment_method),
-              updated_at = NOW()
-             WHERE id = $7 AND user_id = $8 AND is_deleted = false
-             RETURNING *`,
-            [amount, type, category_id, description, date, payment_method, expenseId, userId]
-        );
+        // Trường tài khoản có mặt trong body thì ghi đè (kể cả null để bỏ chọn), vắng mặt thì giữ nguyên
+        const accountChanges = {};
+        ACCOUNT_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) accountChanges[field] = accountFieldValue(req.body[field]);
+        });
+        const accountError = await validateTransactionAccounts(pool, userId, {
+            ...oldExpense,
+            type: type || oldExpense.type,
+            ...accountChanges
+        });
+        if (accountError) {
+            await discardUploadedReceipt(req);
+            return res.status(400).json({ success: false, message: accountError });
+        }
+        const accountParams = ACCOUNT_FIELDS.flatMap(field => [field in accountChanges, accountChanges[field] ?? null]);
+
+        // Không gửi splits thì các phần tách hiện có được giữ nên vẫn phải khớp số tiền và loại mới
+        const oldSplits = await loadExpenseSplits(pool, expenseId);
+        if (splits === undefined && category_id != null && oldSplits.length) splits = [];
+        const splitError = await validateSplits(pool, userId, splits !== undefined ? splits : oldSplits, {
+            amount: amount != null ? amount : oldExpense.amount,
+            type: type || oldExpense.type
+        });
+        if (splitError) {
+            await discardUploadedReceipt(req);
+            return res.status(400).json({ success: false, message: splitError });
+        }
+        if (splits && splits.length) category_id = mainCategoryId(splits);
+
+        // Hóa đơn mới thay hóa đơn cũ; remove_receipt xóa hóa đơn (file cũ được xóa sau khi cập nhật)
+        const replaceReceipt = Boolean(req.file) || String(req.body.remove_receipt) === 'true';
+        if (req.file) receipt = await processUploadedReceipt(req.file);
+
+        const client = await pool.connect();
+        let updateRes;
+        let savedSplits = oldSplits;
+        try {
+            await client.query('BEGIN');
+            updateRes = await client.query(
+                `UPDATE expenses SET
+                  amount = COALESCE($1, amount),
+                  type = COALESCE($2, type),
+                  category_id = COALESCE($3, category_id),
+                  description = COALESCE($4, description),
+                  date = COALESCE($5, date),
+                  payment_method = COALESCE($6, payment_method),
+                  receipt_image = CASE WHEN $9::boolean THEN $10 ELSE receipt_image END,
+                  receipt_thumbnail = CASE WHEN $9::boolean THEN $11 ELSE receipt_thumbnail END,
+                  receipt_mime_type = CASE WHEN $9::boolean THEN $12 ELSE receipt_mime_type END,
+                  currency = COALESCE($13, currency),
+                  account_id = CASE WHEN $14::boolean THEN $15::int ELSE account_id END,
+                  to_account_id = CASE WHEN $16::boolean THEN $17::int ELSE to_account_id END,
+                  to_amount = CASE WHEN $18::boolean THEN $19::numeric ELSE to_amount END,
+                  version = version + 1,
+                  updated_at = NOW()
+                 WHERE id = $7 AND user_id = $8 AND is_deleted = false
+                 RETURNING *`,
+                [amount, type, category_id, description, date, payment_method, expenseId, userId, replaceReceipt,
+                    receipt && receipt.receipt_image, receipt && receipt.receipt_thumbnail, receipt && receipt.receipt_mime_type,
+                    currency, ...accountParams]
+            );
+            if (updateRes.rows[0] && splits !== undefined) {
+                savedSplits = await replaceExpenseSplits(client, updateRes.rows[0].id, splits);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
         const updated = updateRes.rows[0];
+        if (!updated) {
+            await discardUploadedReceipt(req, receipt);
+            return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch' });
+        }
+        if (replaceReceipt) await removeReceiptFiles(oldExpense.receipt_image, oldExpense.receipt_thumbnail);
 
-        let budgetAlert = null;
-        // Chỉ kiểm tra ngân sách nếu type là expense và amount thay đổi
-        if ((updated.type === 'expense') && amount != null && updated.category_id) {
-            budgetAlert = await checkBudgetOverflow(userId, updated.category_id, updated.amount);
+        let budgetAlerts = [];
+        // Chỉ kiểm tra ngân sách nếu type là expense và số tiền/danh mục/phần tách/tiền tệ thay đổi
+        if (updated.type === 'expense' && (amount != null || category_id != null || splits !== undefined || currency != null)) {
+            budgetAlerts = await checkBudgetOverflow(req, splitCategoryIds(updated, savedSplits));
         }
 
-        res.json({ success: true, data: updated, budgetAlert });
+        res.json({ success: true, data: { ...updated, splits: savedSplits }, budgetAlert: budgetAlerts[0] || null, budgetAlerts });
     } catch (error) {
+        await discardUploadedReceipt(req, receipt);
         console.error('Update expense error:', error);
         res.status(500).json({ success: false, message: error.message });
     }
@@ -312,17 +461,56 @@ router.delete('/:id', async (req, res) => {
 
         let sql;
         if (permanent) {
-            sql = 'DELETE FROM expenses WHERE id = $1 AND user_id = $2 RETURNING id';
+            sql = 'DELETE FROM expenses WHERE id = $1 AND user_id = $2 RETURNING id, receipt_image, receipt_thumbnail';
         } else {
-            sql = 'UPDATE expenses SET is_deleted = true, deleted_at = NOW(), updated_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING id';
+            sql = 'UPDATE expenses SET is_deleted = true, deleted_at = NOW(), updated_at = NOW(), version = version + 1 WHERE id = $1 AND user_id = $2 RETURNING id';
         }
         const delRes = await query(sql, [expenseId, userId]);
         if (delRes.rows.length === 0) {
             return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch' });
         }
+        // Xóa vĩnh viễn thì xóa luôn file hóa đơn (xóa mềm giữ lại để còn khôi phục)
+        if (permanent) await removeReceiptFiles(delRes.rows[0].receipt_image, delRes.rows[0].receipt_thumbnail);
         res.json({ success: true, message: permanent ? 'Đã xóa vĩnh viễn' : 'Đã xóa', id: delRes.rows[0].id });
     } catch (error) {
         console.error('Delete expense error:', error);
         res.status(500).json({ success: false, message: error.message });
     }
-});
\ No newline at end of file
+});
+
+// @route   GET /api/expenses/:id/receipt
+// @desc    Tải file hóa đơn của khoản thu/chi (chỉ chủ khoản chi); ?thumbnail=true lấy ảnh thu nhỏ
+//          (hóa đơn PDF chưa có ảnh thu nhỏ trả về biểu tượng PDF dạng SVG)
+router.get('/:id/receipt', async (req, res) => {
+    try {
+        const result = await query(
+            'SELECT receipt_image, receipt_thumbnail, receipt_mime_type FROM expenses WHERE id = $1 AND user_id = $2',
+            [req.params.id, req.user.id]
+        );
+        const expense = result.rows[0];
+        if (!expense || !expense.receipt_image) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy hóa đơn' });
+        }
+
+        const thumbnail = req.query.thumbnail === 'true';
+        if (thumbnail && !expense.receipt_thumbnail && expense.receipt_mime_type === 'application/pdf') {
+            res.set('Cache-Control', 'private, max-age=86400');
+            return res.type('image/svg+xml').send(PDF_PLACEHOLDER_SVG);
+        }
+        const filePath = receiptPath(thumbnail ? expense.receipt_thumbnail : expense.receipt_image);
+        if (!filePath) {
+            return res.status(404).json({ success: false, message: 'Hóa đơn chưa có ảnh thu nhỏ' });
+        }
+
+        res.set('Cache-Control', 'private, max-age=86400');
+        if (!thumbnail && expense.receipt_mime_type) res.type(expense.receipt_mime_type);
+        res.sendFile(filePath, (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ success: false, message: 'Không tìm thấy file hóa đơn' });
+            }
+        });
+    } catch (error) {
+        console.error('Get receipt error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
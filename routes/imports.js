@@ -0,0 +1,208 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { IMPORT_FORMATS, DATE_FORMATS, MAX_IMPORT_ROWS, detectFormat, parseStatement } = require('../services/importParsers');
+const { previewImport, commitImport, revertImport, listImportBatches } = require('../services/importService');
+const { evaluateBudgetAlerts } = require('../services/budgetAlertService');
+const { languageFromRequest } = require('../services/emailTemplates');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// File sao kê chỉ cần đọc một lần nên giữ trong bộ nhớ
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } }); // 5MB
+
+const statementUpload = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (!err) return next();
+        const message = err.code === 'LIMIT_FILE_SIZE' ? 'File sao kê tối đa 5MB' : err.message;
+        res.status(400).json({ success: false, message });
+    });
+};
+
+// mapping gửi qua multipart là chuỗi JSON
+const parseMapping = (value) => {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        const mapping = JSON.parse(value);
+        return mapping && typeof mapping === 'object' ? mapping : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// @route   GET /api/imports
+// @desc    Lịch sử các lô import
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const batches = await listImportBatches(pool, req.user.id);
+        res.json({ success: true, data: batches });
+    } catch (error) {
+        console.error('Get imports error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   POST /api/imports/preview
+// @desc    Đọc file sao kê và xem trước (không ghi dữ liệu)
+// @access  Private
+/**
+ * @swagger
+ * /api/imports/preview:
+ *   post:
+ *     summary: Xem trước file sao kê CSV/OFX/QIF (đánh dấu trùng, gợi ý danh mục)
+ *     tags: [Imports]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file: { type: string, format: binary }
+ *               format: { type: string, enum: [csv, ofx, qif], description: 'Mặc định theo phần mở rộng của file' }
+ *               mapping: { type: string, description: 'CSV - JSON { date, amount | debit + credit, description, type, payment_method, category, currency, external_id }: tên cột hoặc số thứ tự cột (từ 0)' }
+ *               date_format: { type: string, enum: [YYYY-MM-DD, DD/MM/YYYY, MM/DD/YYYY] }
+ *               decimal_separator: { type: string, enum: ['.', ','], description: 'Mặc định tự nhận' }
+ *               delimiter: { type: string, description: 'CSV - mặc định tự nhận (, ; hoặc tab)' }
+ *               has_header: { type: boolean, default: true }
+ *               invert_sign: { type: boolean, default: false, description: 'CSV - số dương là khoản chi (sao kê thẻ tín dụng)' }
+ *     responses:
+ *       200:
+ *         description: rows (kèm category_id, duplicate, selected), errors theo dòng và summary
+ */
+router.post('/preview', statementUpload, async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ success: false, message: 'Chưa chọn file sao kê' });
+
+        const format = req.body.format || detectFormat(req.file.originalname);
+        if (!IMPORT_FORMATS.includes(format)) return res.status(400).json({ success: false, message: 'Định dạng phải là csv, ofx hoặc qif' });
+        if (req.body.date_format && !DATE_FORMATS.includes(req.body.date_format)) {
+            return res.status(400).json({ success: false, message: `date_format phải là ${DATE_FORMATS.join(', ')}` });
+        }
+        if (req.body.decimal_separator && !['.', ','].includes(req.body.decimal_separator)) {
+            return res.status(400).json({ success: false, message: 'decimal_separator phải là . hoặc ,' });
+        }
+        const mapping = parseMapping(req.body.mapping);
+        if (!mapping) return res.status(400).json({ success: false, message: 'mapping phải là JSON' });
+
+        const { rows, errors } = parseStatement(req.file.buffer.toString('utf8'), format, {
+            mapping,
+            dateFormat: req.body.date_format || undefined,
+            decimalSeparator: req.body.decimal_separator || null,
+            delimiter: req.body.delimiter === 'tab' ? '\t' : (req.body.delimiter || undefined),
+            hasHeader: String(req.body.has_header) !== 'false',
+            invertSign: String(req.body.invert_sign) === 'true'
+        });
+
+        const preview = await previewImport(pool, req.user.id, rows);
+        res.json({
+            success: true,
+            data: { format, fileName: req.file.originalname, ...preview, errors }
+        });
+    } catch (error) {
+        console.error('Preview import error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   POST /api/imports
+// @desc    Ghi các dòng đã xác nhận thành một lô import
+// @access  Private
+/**
+ * @swagger
+ * /api/imports:
+ *   post:
+ *     summary: Xác nhận import - ghi các dòng đã chọn trong một transaction
+ *     tags: [Imports]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rows]
+ *             properties:
+ *               format: { type: string, enum: [csv, ofx, qif] }
+ *               file_name: { type: string }
+ *               account_id: { type: integer, description: 'Tài khoản gắn cho mọi giao dịch của lô' }
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [date, amount, type]
+ *                   properties:
+ *                     date: { type: string, format: date }
+ *                     amount: { type: number }
+ *                     type: { type: string, enum: [income, expense] }
+ *                     category_id: { type: integer, nullable: true }
+ *                     description: { type: string }
+ *                     payment_method: { type: string }
+ *                     currency: { type: string }
+ *                     external_id: { type: string }
+ *     responses:
+ *       201:
+ *         description: Lô import (id dùng để hoàn tác)
+ *       400:
+ *         description: Dòng không hợp lệ (errors - { index, message }), không dòng nào được ghi
+ */
+router.post('/', [
+    body('rows').isArray({ min: 1, max: MAX_IMPORT_ROWS }).withMessage(`rows phải là mảng 1-${MAX_IMPORT_ROWS} dòng`),
+    body('format').optional().isIn(IMPORT_FORMATS).withMessage('Định dạng phải là csv, ofx hoặc qif'),
+    body('account_id').optional({ nullable: true }).isInt().withMessage('Tài khoản không hợp lệ')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const userId = req.user.id;
+        const result = await commitImport(userId, req.body.rows, {
+            format: req.body.format || 'csv',
+            fileName: req.body.file_name || null,
+            accountId: req.body.account_id || null
+        });
+        if (result.errors.length) {
+            return res.status(400).json({ success: false, message: 'Có dòng không hợp lệ, chưa ghi dòng nào', errors: result.errors });
+        }
+
+        // Kiểm tra mọi ngân sách một lần cho cả lô
+        const { notified } = await evaluateBudgetAlerts(userId, undefined, { lang: languageFromRequest(req) });
+        res.status(201).json({
+            success: true,
+            message: `Đã import ${result.batch.row_count} giao dịch`,
+            data: result.batch,
+            budgetAlerts: notified
+        });
+    } catch (error) {
+        console.error('Commit import error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   DELETE /api/imports/:id
+// @desc    Hoàn tác lô import (xóa mềm các giao dịch của lô)
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await revertImport(req.user.id, req.params.id);
+        if (!result) return res.status(404).json({ success: false, message: 'Không tìm thấy lô import' });
+        if (result.alreadyReverted) {
+            return res.status(409).json({ success: false, message: 'Lô import đã được hoàn tác' });
+        }
+        res.json({ success: true, message: `Đã hoàn tác ${result.removed} giao dịch`, data: result.batch });
+    } catch (error) {
+        console.error('Revert import error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
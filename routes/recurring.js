@@ -0,0 +1,427 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { query, pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    FREQUENCIES,
+    OVERRIDE_FIELDS,
+    listOccurrences,
+    initialNextDate,
+    materializeRecurring,
+    materializeOccurrence,
+    checkCreatedExpenses,
+    getUpcomingOccurrences
+} = require('../services/recurringService');
+const { DEFAULT_TIMEZONE, toDateString } = require('../services/budgetPeriods');
+const { isCurrencyCode, normalizeCurrency } = require('../services/currencyService');
+const { loadOwnedAccounts, resolveTransactionCurrency } = require('../services/accountService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticateToken);
+
+const DATE_FORMAT = { format: 'YYYY-MM-DD', strictMode: true };
+const RULE_FIELDS = ['amount', 'type', 'category_id', 'description', 'payment_method', 'account_id', 'currency', 'frequency', 'interval_count', 'start_date', 'end_date', 'is_active'];
+
+const recurringValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('amount').isFloat({ min: 0.01 }).withMessage('Số tiền không hợp lệ'),
+        field('type').isIn(['income', 'expense']).withMessage('Loại không hợp lệ'),
+        field('frequency').isIn(FREQUENCIES).withMessage('Tần suất không hợp lệ'),
+        field('start_date').isDate(DATE_FORMAT).withMessage('Ngày bắt đầu không hợp lệ (YYYY-MM-DD)'),
+        body('interval_count').optional().isInt({ min: 1, max: 365 }).withMessage('interval_count phải từ 1 đến 365'),
+        body('end_date').optional({ nullable: true }).isDate(DATE_FORMAT).withMessage('Ngày kết thúc không hợp lệ (YYYY-MM-DD)'),
+        body('category_id').optional({ nullable: true }).isInt().withMessage('Danh mục không hợp lệ'),
+        body('account_id').optional({ nullable: true }).isInt().withMessage('Tài khoản không hợp lệ'),
+        body('currency').optional({ nullable: true }).custom(isCurrencyCode).withMessage('Mã tiền tệ không hợp lệ (3 chữ cái, vd. USD)'),
+        body('is_active').optional().isBoolean().withMessage('is_active phải là true/false')
+    ];
+};
+
+const occurrenceValidation = [
+    param('date').isDate(DATE_FORMAT).withMessage('Ngày không hợp lệ (YYYY-MM-DD)'),
+    body('skip').optional().isBoolean().withMessage('skip phải là true/false'),
+    body('amount').optional({ nullable: true }).isFloat({ min: 0.01 }).withMessage('Số tiền không hợp lệ'),
+    body('category_id').optional({ nullable: true }).isInt().withMessage('Danh mục không hợp lệ')
+];
+
+const categoryBelongsToUser = async (userId, categoryId) => {
+    if (categoryId === null || categoryId === undefined) return true;
+    const result = await query('SELECT id FROM categories WHERE id = $1 AND user_id = $2', [categoryId, userId]);
+    return result.rows.length > 0;
+};
+
+const getUserTimezone = async (userId) => {
+    const result = await query('SELECT timezone FROM users WHERE id = $1', [userId]);
+    return (result.rows[0] && result.rows[0].timezone) || DEFAULT_TIMEZONE;
+};
+
+// Tạo ngay giao dịch cho lần lặp hôm nay (nếu có) thay vì chờ job chạy nền
+const materializeNow = async (recurringId) => {
+    const created = await materializeRecurring(recurringId);
+    await checkCreatedExpenses(created);
+    return created.length;
+};
+
+const findTemplate = async (userId, recurringId) => {
+    const result = await query('SELECT * FROM recurring_transactions WHERE id = $1 AND user_id = $2', [recurringId, userId]);
+    return result.rows[0] || null;
+};
+
+// @route   GET /api/recurring
+// @desc    Danh sách mẫu giao dịch định kỳ
+// @access  Private
+/**
+ * @swagger
+ * /api/recurring:
+ *   get:
+ *     summary: Danh sách giao dịch định kỳ
+ *     tags: [Recurring]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Danh sách mẫu (kèm next_date - lần lặp kế tiếp chưa được tạo)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const result = await query(
+            `SELECT r.*, c.name AS category_name, c.color AS category_color, c.icon AS category_icon
+             FROM recurring_transactions r
+             LEFT JOIN categories c ON c.id = r.category_id
+             WHERE r.user_id = $1
+             ORDER BY r.is_active DESC, r.next_date NULLS LAST, r.created_at DESC`,
+            [req.user.id]
+        );
+        res.json({ success: true, data: result.rows });
+    } catch (error) {
+        console.error('Get recurring transactions error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   GET /api/recurring/upcoming
+// @desc    Các lần lặp sắp tới của mọi mẫu
+// @access  Private
+/**
+ * @swagger
+ * /api/recurring/upcoming:
+ *   get:
+ *     summary: Các lần lặp sắp tới (kể cả lần đã sửa riêng hoặc bỏ qua)
+ *     tags: [Recurring]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema: { type: integer, default: 30, maximum: 366 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 100, maximum: 500 }
+ *     responses:
+ *       200:
+ *         description: Danh sách { recurring_id, date, type, amount, category_id, description, payment_method, is_skipped, is_modified }
+ */
+router.get('/upcoming', [
+    queryParam('days').optional().isInt({ min: 1, max: 366 }).withMessage('days phải từ 1 đến 366'),
+    queryParam('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit phải từ 1 đến 500')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const occurrences = await getUpcomingOccurrences(pool, req.user.id, {
+            days: parseInt(req.query.days, 10) || 30,
+            limit: parseInt(req.query.limit, 10) || 100
+        });
+        res.json({ success: true, data: occurrences });
+    } catch (error) {
+        console.error('Get upcoming recurring error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   GET /api/recurring/:id
+// @desc    Chi tiết mẫu kèm các lần lặp sắp tới
+// @access  Private
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await findTemplate(req.user.id, req.params.id);
+        if (!template) return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch định kỳ' });
+
+        const upcoming = await getUpcomingOccurrences(pool, req.user.id, { recurringId: template.id, days: 366, limit: 12 });
+        res.json({ success: true, data: { ...template, upcoming } });
+    } catch (error) {
+        console.error('Get recurring transaction error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   POST /api/recurring
+// @desc    Tạo mẫu giao dịch định kỳ
+// @access  Private
+/**
+ * @swagger
+ * /api/recurring:
+ *   post:
+ *     summary: Tạo giao dịch định kỳ (các lần trước hôm nay không được tạo bù)
+ *     tags: [Recurring]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, type, frequency, start_date]
+ *             properties:
+ *               amount: { type: number }
+ *               type: { type: string, enum: [income, expense] }
+ *               category_id: { type: integer }
+ *               description: { type: string }
+ *               payment_method: { type: string }
+ *               account_id: { type: integer, nullable: true }
+ *               currency: { type: string, description: 'Mặc định: tiền tệ của tài khoản, rồi tới tiền tệ gốc' }
+ *               frequency: { type: string, enum: [daily, weekly, monthly, yearly] }
+ *               interval_count: { type: integer, default: 1, description: 'Lặp mỗi N ngày/tuần/tháng/năm' }
+ *               start_date: { type: string, format: date }
+ *               end_date: { type: string, format: date, nullable: true }
+ *     responses:
+ *       201:
+ *         description: Tạo thành công (materialized = số giao dịch đã tạo ngay cho hôm nay)
+ */
+router.post('/', recurringValidation(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const userId = req.user.id;
+        const {
+            amount, type, category_id = null, description = null, payment_method = null, account_id = null,
+            frequency, interval_count = 1, start_date, end_date = null
+        } = req.body;
+
+        if (end_date && end_date < start_date) {
+            return res.status(400).json({ success: false, message: 'Ngày kết thúc phải sau ngày bắt đầu' });
+        }
+        if (!(await categoryBelongsToUser(userId, category_id))) {
+            return res.status(400).json({ success: false, message: 'Danh mục không hợp lệ' });
+        }
+        if (!(await loadOwnedAccounts(pool, userId, [account_id]))) {
+            return res.status(400).json({ success: false, message: 'Tài khoản không hợp lệ' });
+        }
+        const currency = normalizeCurrency(req.body.currency) || await resolveTransactionCurrency(pool, userId, account_id);
+
+        const rule = { frequency, interval_count, start_date, end_date };
+        const nextDate = initialNextDate(rule, await getUserTimezone(userId));
+
+        const result = await query(
+            `INSERT INTO recurring_transactions (user_id, amount, type, category_id, description, payment_method,
+                                                 frequency, interval_count, start_date, end_date, next_date,
+                                                 account_id, currency)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+            [userId, amount, type, category_id, description, payment_method,
+                frequency, interval_count, start_date, end_date, nextDate, account_id, currency]
+        );
+        const materialized = await materializeNow(result.rows[0].id);
+
+        res.status(201).json({ success: true, data: await findTemplate(userId, result.rows[0].id), materialized });
+    } catch (error) {
+        console.error('Create recurring transaction error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   PUT /api/recurring/:id
+// @desc    Sửa mẫu; áp dụng cho các lần lặp từ hôm nay, giao dịch đã tạo giữ nguyên
+// @access  Private
+router.put('/:id', recurringValidation(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const userId = req.user.id;
+        const existing = await findTemplate(userId, req.params.id);
+        if (!existing) return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch định kỳ' });
+
+        const updated = { ...existing, start_date: toDateString(existing.start_date), end_date: toDateString(existing.end_date) };
+        RULE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) updated[field] = req.body[field];
+        });
+
+        if (updated.end_date && updated.end_date < updated.start_date) {
+            return res.status(400).json({ success: false, message: 'Ngày kết thúc phải sau ngày bắt đầu' });
+        }
+        if (req.body.category_id !== undefined && !(await categoryBelongsToUser(userId, req.body.category_id))) {
+            return res.status(400).json({ success: false, message: 'Danh mục không hợp lệ' });
+        }
+        if (req.body.account_id !== undefined && !(await loadOwnedAccounts(pool, userId, [req.body.account_id]))) {
+            return res.status(400).json({ success: false, message: 'Tài khoản không hợp lệ' });
+        }
+        // Như PUT /api/expenses: không gửi currency thì giữ tiền tệ đang có (mẫu cũ chưa có thì điền mặc định)
+        updated.currency = normalizeCurrency(updated.currency)
+            || await resolveTransactionCurrency(pool, userId, updated.account_id);
+
+        // Đổi lịch lặp: tính lại lần kế tiếp từ hôm nay (lần đã tạo không bị tạo lại nhờ UNIQUE)
+        const scheduleChanged = ['frequency', 'interval_count', 'start_date', 'end_date', 'is_active']
+            .some(field => req.body[field] !== undefined);
+        const nextDate = scheduleChanged
+            ? initialNextDate(updated, await getUserTimezone(userId))
+            : existing.next_date;
+
+        await query(
+            `UPDATE recurring_transactions SET
+                amount = $1, type = $2, category_id = $3, description = $4, payment_method = $5,
+                frequency = $6, interval_count = $7, start_date = $8, end_date = $9, is_active = $10, next_date = $11,
+                account_id = $14, currency = $15
+             WHERE id = $12 AND user_id = $13`,
+            [updated.amount, updated.type, updated.category_id, updated.description, updated.payment_method,
+                updated.frequency, updated.interval_count, updated.start_date, updated.end_date, updated.is_active,
+                nextDate, existing.id, userId, updated.account_id, updated.currency]
+        );
+        const materialized = await materializeNow(existing.id);
+
+        res.json({ success: true, data: await findTemplate(userId, existing.id), materialized });
+    } catch (error) {
+        console.error('Update recurring transaction error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   DELETE /api/recurring/:id
+// @desc    Xóa mẫu; giao dịch đã tạo được giữ lại
+// @access  Private
+router.delete('/:id', async (req, res) => {
+    try {
+        const result = await query(
+            'DELETE FROM recurring_transactions WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.user.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch định kỳ' });
+        }
+        res.json({ success: true, message: 'Đã xóa giao dịch định kỳ', id: result.rows[0].id });
+    } catch (error) {
+        console.error('Delete recurring transaction error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   PUT /api/recurring/:id/occurrences/:date
+// @desc    Bỏ qua (skip: true) hoặc sửa riêng một lần lặp chưa được tạo giao dịch
+// @access  Private
+/**
+ * @swagger
+ * /api/recurring/{id}/occurrences/{date}:
+ *   put:
+ *     summary: Bỏ qua hoặc sửa riêng một lần lặp
+ *     tags: [Recurring]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema: { type: string, format: date }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               skip: { type: boolean }
+ *               amount: { type: number }
+ *               category_id: { type: integer }
+ *               description: { type: string }
+ *               payment_method: { type: string }
+ *     responses:
+ *       200:
+ *         description: Đã lưu
+ *       409:
+ *         description: Lần lặp đã được tạo giao dịch (sửa/xóa trực tiếp giao dịch đó)
+ */
+router.put('/:id/occurrences/:date', occurrenceValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const userId = req.user.id;
+        const { date } = req.params;
+        const template = await findTemplate(userId, req.params.id);
+        if (!template) return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch định kỳ' });
+
+        if (listOccurrences(template, date, date).length === 0) {
+            return res.status(400).json({ success: false, message: 'Ngày này không thuộc lịch lặp' });
+        }
+        if (!(await categoryBelongsToUser(userId, req.body.category_id))) {
+            return res.status(400).json({ success: false, message: 'Danh mục không hợp lệ' });
+        }
+
+        const existingExpense = await query(
+            'SELECT id FROM expenses WHERE recurring_id = $1 AND occurrence_date = $2',
+            [template.id, date]
+        );
+        if (existingExpense.rows.length) {
+            return res.status(409).json({
+                success: false,
+                message: 'Lần lặp này đã được tạo giao dịch, hãy sửa hoặc xóa trực tiếp giao dịch đó',
+                expenseId: existingExpense.rows[0].id
+            });
+        }
+
+        const values = OVERRIDE_FIELDS.map(field => (req.body[field] === undefined ? null : req.body[field]));
+        const result = await query(
+            `INSERT INTO recurring_overrides (recurring_id, occurrence_date, is_skipped, amount, category_id, description, payment_method)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             ON CONFLICT (recurring_id, occurrence_date) DO UPDATE SET
+                is_skipped = EXCLUDED.is_skipped, amount = EXCLUDED.amount, category_id = EXCLUDED.category_id,
+                description = EXCLUDED.description, payment_method = EXCLUDED.payment_method, updated_at = NOW()
+             RETURNING *`,
+            [template.id, date, req.body.skip === true, ...values]
+        );
+        const materialized = await materializeNow(template.id);
+
+        res.json({ success: true, data: result.rows[0], materialized });
+    } catch (error) {
+        console.error('Update recurring occurrence error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// @route   DELETE /api/recurring/:id/occurrences/:date
+// @desc    Hủy phần sửa riêng/bỏ qua, lần lặp dùng lại giá trị của mẫu
+//          (lần đã qua từng bị bỏ qua được tạo giao dịch ngay)
+// @access  Private
+router.delete('/:id/occurrences/:date', [
+    param('date').isDate(DATE_FORMAT).withMessage('Ngày không hợp lệ (YYYY-MM-DD)')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) return res.status(400).json({ success: false, errors: errors.array() });
+
+        const template = await findTemplate(req.user.id, req.params.id);
+        if (!template) return res.status(404).json({ success: false, message: 'Không tìm thấy giao dịch định kỳ' });
+
+        const result = await query(
+            'DELETE FROM recurring_overrides WHERE recurring_id = $1 AND occurrence_date = $2 RETURNING occurrence_date',
+            [template.id, req.params.date]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Lần lặp này không có thay đổi riêng' });
+        }
+        // Lần trước next_date không còn được job tạo nên tạo trực tiếp
+        const restored = await materializeOccurrence(template.id, req.params.date);
+        await checkCreatedExpenses(restored);
+        const materialized = restored.length + await materializeNow(template.id);
+
+        res.json({ success: true, message: 'Đã khôi phục lần lặp theo mẫu', materialized });
+    } catch (error) {
+        console.error('Delete recurring occurrence error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
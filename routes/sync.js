@@ -0,0 +1,159 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    SYNC_TABLES,
+    validateChanges,
+    applyChanges,
+    encodeCursor,
+    decodeCursor,
+    isSnapshotBehind,
+    pullChanges
+} = require('../services/syncService');
+const { evaluateBudgetAlerts } = require('../services/budgetAlertService');
+const { languageFromRequest } = require('../services/emailTemplates');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/sync:
+ *   post:
+ *     summary: Đồng bộ hai chiều todos, expenses, events, categories, budgets theo cursor của thiết bị
+ *     tags: [Sync]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [deviceId]
+ *             properties:
+ *               deviceId: { type: string }
+ *               cursor: { type: string, nullable: true, description: 'Cursor nhận được ở lần đồng bộ trước (bỏ trống = đồng bộ lần đầu)' }
+ *               changes:
+ *                 type: object
+ *                 description: 'Theo từng bảng: { todos: { created: [], updated: [], deleted: [] }, ... }'
+ *     responses:
+ *       200:
+ *         description: Kết quả áp dụng thay đổi của client, cảnh báo ngân sách vừa vượt ngưỡng (budgetAlerts), thay đổi từ server và cursor mới
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc cursor không hợp lệ (client cần đồng bộ lại từ đầu)
+ *       409:
+ *         description: Cursor cũ hơn hai cursor đã cấp gần nhất cho thiết bị (client cần đồng bộ lại từ đầu)
+ */
+router.post('/', async (req, res) => {
+    const userId = req.user.id;
+    const { deviceId, cursor, changes = {} } = req.body;
+
+    if (!deviceId || typeof deviceId !== 'string') {
+        return res.status(400).json({ success: false, message: 'Thiếu deviceId' });
+    }
+    if (typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ success: false, message: 'changes phải là object' });
+    }
+    for (const table of Object.keys(changes)) {
+        if (!SYNC_TABLES[table]) {
+            return res.status(400).json({ success: false, message: `Bảng không hỗ trợ đồng bộ: ${table}` });
+        }
+        const invalid = validateChanges(changes[table]);
+        if (invalid) return res.status(400).json({ success: false, message: `${table}: ${invalid}` });
+    }
+
+    let since = null;
+    if (cursor) {
+        since = decodeCursor(cursor, { userId, deviceId });
+        if (!since) {
+            return res.status(400).json({ success: false, message: 'Cursor không hợp lệ, vui lòng đồng bộ lại từ đầu', resetRequired: true });
+        }
+    }
+
+    const client = await pool.connect();
+    try {
+        // 1. Áp dụng thay đổi của Client trong một transaction
+        const push = {};
+        await client.query('BEGIN');
+        try {
+            // Cursor cũ hơn cursor đã cấp cho thiết bị (gửi lại request cũ, khôi phục bản sao lưu của app):
+            // đẩy thay đổi dựa trên trạng thái cũ có thể ghi đè dữ liệu mới hơn nên bắt đồng bộ lại từ đầu.
+            // Riêng cursor cấp ngay trước đó được chấp nhận: client mất phản hồi của lần đồng bộ trước
+            // (đã COMMIT) và gửi lại đúng request đó (tạo mới trùng client_id trả về bản đã tạo, sửa
+            // trùng thành xung đột với bản trên server). Khóa dòng của thiết bị để hai lần đồng bộ cùng lúc
+            // không cùng vượt qua kiểm tra này.
+            if (since) {
+                const deviceRes = await client.query(
+                    'SELECT last_cursor, previous_cursor FROM sync_devices WHERE user_id = $1 AND device_id = $2 FOR UPDATE',
+                    [userId, deviceId]
+                );
+                const device = deviceRes.rows[0];
+                const latest = device ? decodeCursor(device.last_cursor, { userId, deviceId }) : null;
+                const previous = device ? decodeCursor(device.previous_cursor, { userId, deviceId }) : null;
+                if (latest && since !== previous && isSnapshotBehind(since, latest)) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Cursor đã cũ hơn lần đồng bộ gần nhất của thiết bị, vui lòng đồng bộ lại từ đầu',
+                        resetRequired: true
+                    });
+                }
+            }
+
+            for (const table of Object.keys(SYNC_TABLES)) {
+                if (!changes[table]) continue;
+                push[table] = await applyChanges(client, { table, userId, changes: changes[table], deviceId });
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+
+        // Khoản chi/ngân sách thay đổi từ thiết bị khác: kiểm tra ngưỡng cảnh báo ngân sách sau COMMIT
+        const budgetsTouched = ['expenses', 'budgets'].some(table => push[table] && push[table].applied.length > 0);
+        const budgetAlerts = budgetsTouched
+            ? (await evaluateBudgetAlerts(userId, undefined, { lang: languageFromRequest(req) })).notified
+            : [];
+
+        // 2. Lấy thay đổi từ Server trên cùng một snapshot; thay đổi vừa áp dụng đã nằm trong
+        //    snapshot này nên sẽ không bị gửi ngược lại cho chính thiết bị ở lần sau
+        await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+        let pulled;
+        try {
+            pulled = await pullChanges(client, { userId, since });
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+
+        const nextCursor = encodeCursor({ userId, deviceId, snapshot: pulled.snapshot });
+        await client.query(
+            `INSERT INTO sync_devices (user_id, device_id, last_cursor, last_synced_at)
+             VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (user_id, device_id) DO UPDATE SET
+                previous_cursor = sync_devices.last_cursor, last_cursor = EXCLUDED.last_cursor, last_synced_at = NOW()`,
+            [userId, deviceId, nextCursor]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                cursor: nextCursor,
+                push,
+                budgetAlerts,
+                changes: pulled.changes,
+                syncTime: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Sync Error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { query, pool } = require('../config/database'); // Import cả pool để dùng cho transaction sync
 const { authenticateToken } = require('../middleware/auth');
+const { validateChanges, applyChanges } = require('../services/syncService');
 
 router.use(authenticateToken);
 
@@ -88,6 +89,7 @@ router.put('/:id', async (req, res) => {
                 reminder_time = COALESCE($6, reminder_time),
                 tags = COALESCE($7, tags),
                 category_id = COALESCE($8, category_id),
+                version = version + 1,
                 updated_at = NOW() 
              WHERE id = $9 AND user_id = $10 
              RETURNING *`,
@@ -104,7 +106,7 @@ router.put('/:id', async (req, res) => {
 router.delete('/:id', async (req, res) => {
     try {
         const result = await query(
-            'UPDATE todos SET is_deleted = true, deleted_at = NOW() WHERE id = $1 AND user_id = $2 RETURNING id',
+            'UPDATE todos SET is_deleted = true, deleted_at = NOW(), version = version + 1 WHERE id = $1 AND user_id = $2 RETURNING id',
             [req.params.id, req.user.id]
         );
         if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'Not found' });
@@ -114,26 +116,39 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
-// 6. SYNC ROUTE (Đồng bộ dữ liệu)
+// 6. SYNC ROUTE (Đồng bộ dữ liệu hai chiều)
+// Body: { lastSyncTime, deviceId, changes: { created: [], updated: [], deleted: [] } }
+//  - created: định danh bằng client_id (gửi lại nhiều lần vẫn an toàn)
+//  - updated: cần id (hoặc client_id) và version mà client đang giữ
+//  - deleted: cần id (hoặc client_id), version tùy chọn
 router.post('/sync', async (req, res) => {
+    const { lastSyncTime, changes, deviceId } = req.body;
+    const invalid = validateChanges(changes);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
     // Sử dụng pool.connect() để tạo transaction an toàn
     const client = await pool.connect();
     try {
         await client.query('BEGIN');
         const userId = req.user.id;
-        const { lastSyncTime } = req.body;
 
-        // Lấy dữ liệu thay đổi từ Server (để trả về cho Client)
+        // Lấy dữ liệu thay đổi từ Server trước khi áp dụng thay đổi của Client
         const serverChangesRes = await client.query(
             `SELECT * FROM todos WHERE user_id = $1 AND updated_at > $2`,
             [userId, lastSyncTime || '1970-01-01']
         );
 
+        // Áp dụng thay đổi của Client, xung đột version được ghi vào sync_logs
+        const result = await applyChanges(client, { table: 'todos', userId, changes, deviceId });
+
         await client.query('COMMIT');
 
         res.json({
             success: true,
             data: {
+                applied: result.applied,
+                conflicts: result.conflicts,
+                failed: result.failed,
                 serverChanges: serverChangesRes.rows,
                 syncTime: new Date().toISOString()
             }
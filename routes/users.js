@@ -3,8 +3,14 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { issueOtp, verifyOtp } = require('../services/otpService');
+const { queueOtpEmail } = require('../services/emailOutbox');
+const { languageFromRequest } = require('../services/emailTemplates');
+const { isValidTimezone } = require('../services/budgetPeriods');
+const { isCurrencyCode, normalizeCurrency, changeBaseCurrency } = require('../services/currencyService');
 
 // Ensure upload directory exists
 const uploadDir = path.join(__dirname, '..', 'uploads', 'avatars');
@@ -29,12 +35,79 @@ const upload = multer({ storage, fileFilter, limits: { fileSize: 2 * 1024 * 1024
 // GET current user profile
 router.get('/me', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, email, full_name, avatar_url FROM users WHERE id = $1', [req.user.id]);
+    const result = await pool.query(
+      'SELECT id, email, full_name, avatar_url, timezone, week_start, budget_alert_emails, base_currency FROM users WHERE id = $1',
+      [req.user.id]
+    );
     if (!result.rows.length) return res.status(404).json({ success: false, message: 'User không tồn tại' });
     const u = result.rows[0];
-    res.json({ success: true, data: { id: u.id, email: u.email, name: u.full_name, avatarUrl: u.avatar_url || null } });
+    res.json({
+      success: true,
+      data: {
+        id: u.id,
+        email: u.email,
+        name: u.full_name,
+        avatarUrl: u.avatar_url || null,
+        timezone: u.timezone,
+        weekStart: u.week_start,
+        budgetAlertEmails: u.budget_alert_emails,
+        baseCurrency: u.base_currency
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success: false, message: 'Lỗi server' });
+  }
+});
+
+// PATCH settings (body: timezone - tên IANA vd. 'Asia/Ho_Chi_Minh', weekStart - 0 = Chủ nhật ... 6 = Thứ 7
+// dùng để tính kỳ ngân sách; budgetAlertEmails - nhận email khi ngân sách vượt ngưỡng;
+// baseCurrency - tiền tệ gốc (vd. 'VND') dùng cho ngân sách và thống kê)
+router.patch('/me/settings', authenticateToken, async (req, res) => {
+  const { timezone, weekStart, budgetAlertEmails } = req.body;
+  const baseCurrency = normalizeCurrency(req.body.baseCurrency);
+  if (timezone !== undefined && (typeof timezone !== 'string' || timezone.length > 64 || !isValidTimezone(timezone))) {
+    return res.status(400).json({ success: false, message: 'Múi giờ không hợp lệ' });
+  }
+  if (weekStart !== undefined && !(Number.isInteger(weekStart) && weekStart >= 0 && weekStart <= 6)) {
+    return res.status(400).json({ success: false, message: 'Ngày bắt đầu tuần phải từ 0 (Chủ nhật) tới 6 (Thứ 7)' });
+  }
+  if (budgetAlertEmails !== undefined && typeof budgetAlertEmails !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'budgetAlertEmails phải là true/false' });
+  }
+  if (req.body.baseCurrency !== undefined && !isCurrencyCode(baseCurrency || '')) {
+    return res.status(400).json({ success: false, message: 'Mã tiền tệ không hợp lệ (3 chữ cái, vd. USD)' });
+  }
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (baseCurrency) await changeBaseCurrency(client, req.user.id, baseCurrency);
+    const result = await client.query(
+      `UPDATE users SET timezone = COALESCE($1, timezone), week_start = COALESCE($2, week_start),
+         budget_alert_emails = COALESCE($3, budget_alert_emails), updated_at = NOW()
+       WHERE id = $4 RETURNING timezone, week_start, budget_alert_emails, base_currency`,
+      [timezone, weekStart, budgetAlertEmails, req.user.id]
+    );
+    if (!result.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ success: false, message: 'User không tồn tại' });
+    }
+    await client.query('COMMIT');
+    const u = result.rows[0];
+    res.json({
+      success: true,
+      message: 'Cập nhật cài đặt thành công',
+      data: {
+        timezone: u.timezone,
+        weekStart: u.week_start,
+        budgetAlertEmails: u.budget_alert_emails,
+        baseCurrency: u.base_currency
+      }
+    });
   } catch (e) {
+    await client.query('ROLLBACK');
     res.status(500).json({ success: false, message: 'Lỗi server' });
+  } finally {
+    client.release();
   }
 });
 
@@ -52,4 +125,53 @@ router.patch('/me/avatar', authenticateToken, upload.single('avatar'), async (re
   }
 });
 
+// POST request email change: gửi OTP tới email mới (body: newEmail, password)
+router.post('/me/email', authenticateToken, async (req, res) => {
+  const { newEmail, password } = req.body;
+  if (!newEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+    return res.status(400).json({ success: false, message: 'Email mới không hợp lệ' });
+  }
+  try {
+    const userRes = await pool.query('SELECT id, email, password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (!userRes.rows.length) return res.status(404).json({ success: false, message: 'User không tồn tại' });
+    const u = userRes.rows[0];
+
+    // Yêu cầu mật khẩu hiện tại để tránh bị đổi email khi lộ access token
+    const isMatch = await bcrypt.compare(password || '', u.password_hash);
+    if (!isMatch) return res.status(400).json({ success: false, message: 'Mật khẩu không chính xác' });
+
+    const taken = await pool.query('SELECT id FROM users WHERE email = $1', [newEmail]);
+    if (taken.rows.length) return res.status(400).json({ success: false, message: 'Email đã được sử dụng' });
+
+    const issued = await issueOtp(pool, { userId: u.id, purpose: 'email_change', targetEmail: newEmail });
+    if (!issued.success) {
+      res.set('Retry-After', String(issued.retryAfter));
+      return res.status(429).json({ success: false, message: issued.message, retryAfter: issued.retryAfter });
+    }
+
+    await queueOtpEmail(pool, { userId: u.id, to: newEmail, purpose: 'email_change', issued, lang: languageFromRequest(req) });
+    res.json({ success: true, message: 'Đã gửi mã OTP tới email mới' });
+  } catch (e) {
+    res.status(500).json({ success: false, message: 'Lỗi server' });
+  }
+});
+
+// POST confirm email change bằng OTP đã gửi tới email mới (body: otp)
+router.post('/me/email/verify', authenticateToken, async (req, res) => {
+  try {
+    const verified = await verifyOtp(pool, { userId: req.user.id, purpose: 'email_change', code: req.body.otp });
+    if (!verified.success) return res.status(400).json({ success: false, message: verified.message });
+
+    const result = await pool.query(
+      'UPDATE users SET email = $1, updated_at = NOW() WHERE id = $2 RETURNING id, email, full_name, avatar_url',
+      [verified.targetEmail, req.user.id]
+    );
+    const u = result.rows[0];
+    res.json({ success: true, message: 'Đổi email thành công', data: { id: u.id, email: u.email, name: u.full_name, avatarUrl: u.avatar_url || null } });
+  } catch (e) {
+    if (e.code === '23505') return res.status(400).json({ success: false, message: 'Email đã được sử dụng' });
+    res.status(500).json({ success: false, message: 'Lỗi server' });
+  }
+});
+
 module.exports = router;
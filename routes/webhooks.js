@@ -0,0 +1,48 @@
+const express = require('express');
+const crypto = require('crypto');
+const { markBounced } = require('../services/emailOutbox');
+
+const router = express.Router();
+
+// Webhook của nhà cung cấp email, xác thực bằng ?token=EMAIL_WEBHOOK_SECRET trong URL đã đăng ký
+const verifyWebhookToken = (req, res, next) => {
+    const secret = process.env.EMAIL_WEBHOOK_SECRET;
+    const token = String(req.query.token || '');
+    const valid = secret
+        && token.length === secret.length
+        && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(secret));
+
+    if (!valid) {
+        return res.status(401).json({ success: false, message: 'Invalid webhook token' });
+    }
+    next();
+};
+
+// Sự kiện SendGrid cho biết email không tới được người nhận
+const SENDGRID_BOUNCE_EVENTS = ['bounce', 'dropped'];
+
+// @route   POST /api/webhooks/email/sendgrid
+// @desc    SendGrid Event Webhook: đánh dấu email bị trả về (bounced) trong hộp thư đi
+// @access  Webhook token
+router.post('/email/sendgrid', verifyWebhookToken, async (req, res) => {
+    const events = Array.isArray(req.body) ? req.body : [];
+
+    try {
+        let bounced = 0;
+        for (const event of events) {
+            // Phần tử không phải object (null, chuỗi...) bị bỏ qua để không làm hỏng cả lô
+            if (!event || typeof event !== 'object') continue;
+            if (!SENDGRID_BOUNCE_EVENTS.includes(event.event) || !event.sg_message_id) continue;
+            // sg_message_id có dạng "<x-message-id>.filter...", phần đầu trùng với id lúc gửi
+            const messageId = String(event.sg_message_id).split('.')[0];
+            bounced += await markBounced(messageId, event.reason || event.type || event.event);
+        }
+
+        res.json({ success: true, data: { received: events.length, bounced } });
+    } catch (error) {
+        console.error('Email webhook error:', error);
+        res.status(500).json({ success: false, message: 'Webhook processing failed' });
+    }
+});
+
+module.exports = router;
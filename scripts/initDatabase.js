@@ -22,6 +22,8 @@ async function initializeDatabase() {
         console.log('   - budgets');
         console.log('   - events');
         console.log('   - sync_logs');
+        console.log('   - sync_devices');
+        console.log('   - sync_tombstones');
 
         process.exit(0);
     } catch (error) {
@@ -7,6 +7,11 @@ const fs = require('fs');
 const path = require('path');
 const { Server } = require('socket.io');
 const { pool } = require('./config/database'); // Import pool kết nối DB
+const { attachRealtime } = require('./services/realtime');
+const { registerJobHandler, scheduleRecurringJob, purgeFinishedJobs, startJobWorker } = require('./services/jobQueue');
+const { scanReminders } = require('./services/reminderService');
+const { SEND_EMAIL_JOB, deliverOutboxEmail } = require('./services/emailOutbox');
+const { MATERIALIZE_JOB, materializeDueRecurring } = require('./services/recurringService');
 require('dotenv').config();
 
 // Set Node process timezone to GMT+7 (Vietnam)
@@ -20,6 +25,14 @@ const eventRoutes = require('./routes/events');
 const categoryRoutes = require('./routes/categories');
 const budgetRoutes = require('./routes/budgets');
 const usersRoutes = require('./routes/users');
+const syncRoutes = require('./routes/sync');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
+const recurringRoutes = require('./routes/recurring');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const accountRoutes = require('./routes/accounts');
+const importRoutes = require('./routes/imports');
+const categoryRuleRoutes = require('./routes/categoryRules');
 
 // App Setup
 const app = express();
@@ -31,6 +44,12 @@ const io = new Server(server, {
     }
 });
 
+// Khi chạy sau reverse proxy, cần tin header X-Forwarded-For để lấy đúng IP client (dùng cho rate limit)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (isNaN(Number(trustProxy)) ? trustProxy : Number(trustProxy)));
+}
+
 // Middleware
 app.use(helmet());
 app.use(compression());
@@ -53,11 +72,8 @@ try {
     console.warn('Swagger not initialized:', e.message);
 }
 
-// Socket Connection
-io.on('connection', (socket) => {
-    console.log(`🔌 Socket connected: ${socket.id}`);
-    socket.on('disconnect', () => console.log(`🔌 Socket disconnected: ${socket.id}`));
-});
+// Socket Connection (xác thực JWT, mỗi user một phòng riêng)
+attachRealtime(io);
 
 // Health Check
 app.get('/health', async (req, res) => {
@@ -76,124 +92,35 @@ app.use('/api/expenses', expenseRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/budgets', budgetRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/category-rules', categoryRuleRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Static serving for uploaded avatars
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
-// --- REMINDER / DEADLINE SCANNER (CRON JOB) ---
-// Quét DB mỗi phút để tìm:
-//  - Todos đến giờ reminder_time
-//  - Todos sắp tới hạn (due_date trong vòng 1 phút tới, chưa hoàn thành)
-//  - Events sắp diễn ra (event_date trong vòng 1 phút tới)
-const scanReminders = async () => {
-    try {
-        // Reminder cho công việc (reminder_time)
-          const nowTz = "NOW() AT TIME ZONE 'Asia/Ho_Chi_Minh'";
-          const todoReminderQuery = `
-            SELECT id, title, reminder_time FROM todos
-            WHERE reminder_time IS NOT NULL
-              AND reminder_time <= ${nowTz}
-              AND reminder_time > ${nowTz} - INTERVAL '1 minute'
-              AND is_completed = false AND is_deleted = false
-        `;
-
-        // Các công việc chuẩn bị đến hạn chót (due_date)
-          const todoDeadlineQuery = `
-            SELECT id, title, due_date FROM todos
-            WHERE due_date IS NOT NULL
-              AND due_date <= ${nowTz}
-              AND due_date > ${nowTz} - INTERVAL '1 minute'
-              AND is_completed = false AND is_deleted = false
-        `;
-
-        // Sự kiện sắp diễn ra
-                // Thông báo đúng thời điểm (không sớm 1 phút):
-                // Chọn sự kiện vừa đến hạn trong vòng 1 phút trở lại đây.
-                const eventQuery = `
-                        SELECT id, title, event_date, is_recurring, recurrence_pattern FROM events
-                        WHERE event_date <= ${nowTz}
-                            AND event_date > ${nowTz} - INTERVAL '1 minute'
-                            AND is_deleted = false
-                `;
-
-        const [todoReminderRes, todoDeadlineRes, eventsRes] = await Promise.all([
-            pool.query(todoReminderQuery),
-            pool.query(todoDeadlineQuery),
-            pool.query(eventQuery)
-        ]);
-
-        if (todoReminderRes.rows.length) {
-            console.log(`🔔 Todo reminders: ${todoReminderRes.rows.length}`);
-        }
-        if (todoDeadlineRes.rows.length) {
-            console.log(`⏰ Todo deadlines: ${todoDeadlineRes.rows.length}`);
-        }
-        if (eventsRes.rows.length) {
-            console.log(`🎉 Event alerts: ${eventsRes.rows.length}`);
-        }
-
-        // Emit reminder events
-        todoReminderRes.rows.forEach(t => {
-            io.emit('todo_reminder', {
-                id: t.id,
-                title: 'Nhắc nhở công việc',
-                message: `Nhắc nhở: ${t.title}`,
-                time: t.reminder_time
-            });
-        });
-
-        // Emit deadline events
-        todoDeadlineRes.rows.forEach(t => {
-            io.emit('todo_deadline', {
-                id: t.id,
-                title: 'Công việc đến hạn',
-                message: `Công việc "${t.title}" đã đến hạn chót!`,
-                time: t.due_date
-            });
-        });
-
-        // Emit event due notifications
-        for (const e of eventsRes.rows) {
-            io.emit('event_due', {
-                id: e.id,
-                title: 'Sự kiện sắp diễn ra',
-                message: `Sự kiện: ${e.title}`,
-                time: e.event_date
-            });
-
-            // Auto-advance recurring events after due
-            if (e.is_recurring) {
-                let interval = null;
-                switch (e.recurrence_pattern) {
-                    case 'daily':
-                        interval = "INTERVAL '1 day'";
-                        break;
-                    case 'weekly':
-                        interval = "INTERVAL '1 week'";
-                        break;
-                    case 'monthly':
-                        interval = "INTERVAL '1 month'";
-                        break;
-                    case 'yearly':
-                        interval = "INTERVAL '1 year'";
-                        break;
-                }
-                if (interval) {
-                    try {
-                        await pool.query(
-                            `UPDATE events SET event_date = event_date + ${interval}, updated_at = NOW() WHERE id = $1`,
-                            [e.id]
-                        );
-                    } catch (advErr) {
-                        console.error('Advance recurring event failed:', advErr.message);
-                    }
-                }
-            }
-        }
-    } catch (err) {
-        console.error('Scan Error:', err.message);
-    }
+// --- BACKGROUND JOBS ---
+// Các tác vụ nền chạy qua hàng đợi job trong Postgres (services/jobQueue.js):
+//  - scan_reminders (mỗi phút): nhắc nhở/hạn chót todo, thông báo sự kiện, dời sự kiện lặp lại
+//  - purge_jobs (mỗi ngày): dọn job đã xong
+//  - materialize_recurring (mỗi 15 phút): tạo giao dịch cho các lần lặp đã tới hạn (services/recurringService.js)
+//  - send_email: gửi từng email trong hộp thư đi (services/emailOutbox.js)
+registerJobHandler('scan_reminders', scanReminders);
+registerJobHandler(SEND_EMAIL_JOB, deliverOutboxEmail);
+registerJobHandler('purge_jobs', () => purgeFinishedJobs());
+registerJobHandler(MATERIALIZE_JOB, materializeDueRecurring);
+
+const startBackgroundJobs = async () => {
+    await scheduleRecurringJob('scan_reminders', 60);
+    await scheduleRecurringJob('purge_jobs', 24 * 60 * 60);
+    await scheduleRecurringJob(MATERIALIZE_JOB, 15 * 60);
+    startJobWorker();
 };
 
 // [FUNCTION KHỞI TẠO DATABASE]
@@ -223,8 +150,8 @@ const startServer = async (retries = 5) => {
 
             await initializeDatabase();
 
-            // Bắt đầu quét nhắc nhở mỗi 60 giây
-            setInterval(scanReminders, 60000);
+            // Bắt đầu worker xử lý job nền (nhắc nhở, thông báo...)
+            await startBackgroundJobs();
 
             const PORT = process.env.PORT || 3000;
             server.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,154 @@
+const { amountInBaseSql } = require('./currencyService');
+
+// Tài khoản/ví (tiền mặt, ngân hàng, thẻ tín dụng, ví điện tử) với số dư đầu kỳ.
+// Số dư = opening_balance + thu - chi - chuyển đi + chuyển đến, chỉ tính giao dịch chưa xóa của chính user.
+// Khoản thu/chi khác tiền tệ của tài khoản được quy đổi theo tỷ giá ngày giao dịch (xem currencyService;
+// currency NULL là tiền tệ gốc của user, không phải tiền tệ của tài khoản); giao dịch chưa có tỷ giá không
+// được cộng vào số dư mà được liệt kê trong unconverted.
+// Giao dịch chuyển tiền dùng to_amount (số tiền nhận theo tiền tệ tài khoản đích) nếu có.
+// Giao dịch chuyển tiền (type = 'transfer') không được tính là thu hay chi trong thống kê và ngân sách.
+
+const ACCOUNT_TYPES = ['cash', 'bank', 'credit_card', 'e_wallet'];
+
+// Biến động số dư của tài khoản accountExpr (tiền tệ currencyExpr) do giao dịch `alias`;
+// baseCurrencyExpr là tiền tệ gốc của user (tiền tệ của giao dịch không ghi currency)
+const accountMovementSql = (alias, accountExpr, currencyExpr, baseCurrencyExpr) => {
+    const amount = amountInBaseSql(alias, currencyExpr, baseCurrencyExpr);
+    return `(CASE
+        WHEN ${alias}.type = 'transfer' AND ${alias}.to_account_id = ${accountExpr}
+            THEN COALESCE(${alias}.to_amount, ${amount})
+        WHEN ${alias}.account_id = ${accountExpr} AND ${alias}.type = 'income' THEN ${amount}
+        WHEN ${alias}.account_id = ${accountExpr} THEN -${amount}
+    END)`;
+};
+
+/**
+ * Tài khoản của user kèm số dư hiện tại, số giao dịch và unconverted: [{ currency, type, total, count }]
+ * các giao dịch chưa quy đổi được sang tiền tệ của tài khoản (số tiền theo đồng tiền của giao dịch).
+ * @param {object} [options] - { accountId: chỉ lấy một tài khoản, includeArchived }
+ */
+const getAccountsWithBalance = async (db, userId, { accountId = null, includeArchived = false } = {}) => {
+    const result = await db.query(
+        `SELECT a.*, a.opening_balance + COALESCE(m.movement, 0) AS balance,
+                COALESCE(m.transaction_count, 0) AS transaction_count,
+                COALESCE(uc.unconverted, '[]'::json) AS unconverted
+         FROM accounts a
+         JOIN users u ON u.id = a.user_id
+         LEFT JOIN LATERAL (
+             SELECT SUM(${accountMovementSql('e', 'a.id', 'a.currency', 'u.base_currency')}) AS movement,
+                    COUNT(*) AS transaction_count
+             FROM expenses e
+             WHERE e.user_id = a.user_id AND e.is_deleted = false
+               AND (e.account_id = a.id OR e.to_account_id = a.id)
+         ) m ON true
+         LEFT JOIN LATERAL (
+             SELECT json_agg(json_build_object('currency', x.currency, 'type', x.type, 'total', x.total, 'count', x.count)
+                             ORDER BY x.currency, x.type) AS unconverted
+             FROM (
+                 SELECT COALESCE(e.currency, u.base_currency) AS currency, e.type, SUM(e.amount) AS total, COUNT(*) AS count
+                 FROM expenses e
+                 WHERE e.user_id = a.user_id AND e.is_deleted = false
+                   AND (e.account_id = a.id OR e.to_account_id = a.id)
+                   AND ${accountMovementSql('e', 'a.id', 'a.currency', 'u.base_currency')} IS NULL
+                 GROUP BY 1, e.type
+             ) x
+         ) uc ON true
+         WHERE a.user_id = $1
+           AND ($2::int IS NULL OR a.id = $2::int)
+           AND ($3::boolean OR a.is_archived = false OR $2::int IS NOT NULL)
+         ORDER BY a.is_archived, a.created_at`,
+        [userId, accountId, includeArchived]
+    );
+    return result.rows.map(row => ({
+        ...row,
+        opening_balance: parseFloat(row.opening_balance),
+        balance: parseFloat(row.balance),
+        transaction_count: parseInt(row.transaction_count, 10),
+        unconverted: row.unconverted.map(item => ({ ...item, total: parseFloat(item.total) }))
+    }));
+};
+
+/**
+ * Giao dịch của một tài khoản (mới nhất trước) kèm biến động và số dư sau mỗi giao dịch.
+ * @param {object} [options] - { limit, offset }
+ */
+const getAccountTransactions = async (db, account, { limit = 50, offset = 0 } = {}) => {
+    const result = await db.query(
+        `SELECT t.*, $3::numeric + SUM(COALESCE(t.movement, 0)) OVER (ORDER BY t.date, t.id) AS running_balance
+         FROM (
+             SELECT e.*, c.name AS category_name,
+                    ${accountMovementSql('e', '$2::int', '$4::text', 'u.base_currency')} AS movement
+             FROM expenses e
+             JOIN users u ON u.id = e.user_id
+             LEFT JOIN categories c ON c.id = e.category_id
+             WHERE e.user_id = $1 AND e.is_deleted = false
+               AND (e.account_id = $2::int OR e.to_account_id = $2::int)
+         ) t
+         ORDER BY t.date DESC, t.id DESC
+         LIMIT $5 OFFSET $6`,
+        [account.user_id, account.id, account.opening_balance, account.currency, limit, offset]
+    );
+    return result.rows.map(row => ({
+        ...row,
+        movement: row.movement === null ? null : parseFloat(row.movement),
+        running_balance: parseFloat(row.running_balance)
+    }));
+};
+
+// Các tài khoản (bỏ qua null) đều thuộc user; trả về Map id -> tài khoản, null nếu có tài khoản không hợp lệ
+const loadOwnedAccounts = async (db, userId, accountIds) => {
+    const ids = [...new Set(accountIds.filter(id => id !== null && id !== undefined).map(Number))];
+    if (!ids.length) return new Map();
+    const result = await db.query('SELECT * FROM accounts WHERE user_id = $1 AND id = ANY($2::int[])', [userId, ids]);
+    return result.rows.length === ids.length ? new Map(result.rows.map(row => [row.id, row])) : null;
+};
+
+/**
+ * Kiểm tra tài khoản của một giao dịch sau khi gộp thay đổi ({ type, account_id, to_account_id, to_amount }).
+ * Trả về thông báo lỗi hoặc null.
+ */
+const validateTransactionAccounts = async (db, userId, record) => {
+    const accounts = await loadOwnedAccounts(db, userId, [record.account_id, record.to_account_id]);
+    if (!accounts) return 'Tài khoản không hợp lệ';
+    if (record.type !== 'transfer') {
+        return record.to_account_id ? 'Chỉ giao dịch chuyển tiền mới có tài khoản đích' : null;
+    }
+
+    if (!record.account_id || !record.to_account_id) return 'Chuyển tiền cần tài khoản nguồn và tài khoản đích';
+    if (Number(record.account_id) === Number(record.to_account_id)) return 'Tài khoản nguồn và đích phải khác nhau';
+    const from = accounts.get(Number(record.account_id));
+    const to = accounts.get(Number(record.to_account_id));
+    if (from.currency !== to.currency && (record.to_amount === null || record.to_amount === undefined)) {
+        return 'Chuyển tiền khác tiền tệ cần to_amount (số tiền nhận)';
+    }
+    return null;
+};
+
+/**
+ * Tiền tệ của giao dịch không ghi currency: tiền tệ của tài khoản, rồi tới tiền tệ gốc của user
+ * (giống POST /api/expenses).
+ */
+const resolveTransactionCurrency = async (db, userId, accountId) => {
+    const result = await db.query(
+        `SELECT COALESCE((SELECT currency FROM accounts WHERE id = $2 AND user_id = $1), base_currency) AS currency
+         FROM users WHERE id = $1`,
+        [userId, accountId || null]
+    );
+    return result.rows[0] ? result.rows[0].currency : null;
+};
+
+// Hook beforeCreate của đồng bộ: khoản thu/chi tạo offline không kèm tiền tệ được ghi rõ tiền tệ
+const defaultTransactionCurrency = async (client, ctx, data) => {
+    if (data.currency) return;
+    data.currency = await resolveTransactionCurrency(client, ctx.userId, data.account_id);
+};
+
+module.exports = {
+    ACCOUNT_TYPES,
+    getAccountsWithBalance,
+    getAccountTransactions,
+    loadOwnedAccounts,
+    validateTransactionAccounts,
+    resolveTransactionCurrency,
+    defaultTransactionCurrency
+};
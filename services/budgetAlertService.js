@@ -0,0 +1,174 @@
+const { pool } = require('../config/database');
+const { emitToUser } = require('./realtime');
+const { queueEmail } = require('./emailOutbox');
+const { checkBudgetAlerts, checkAllBudgetAlerts } = require('./budgetService');
+const { toDateString } = require('./budgetPeriods');
+
+// Thông báo khi ngân sách vượt ngưỡng: alert_threshold của ngân sách (warning) và 100% (danger).
+// Mỗi ngưỡng chỉ báo một lần cho mỗi kỳ của ngân sách (UNIQUE trong budget_alerts), dù khoản chi
+// tới từ API, đồng bộ hay được sửa trên thiết bị khác. Cảnh báo được lưu lại làm lịch sử,
+// đẩy qua Socket.IO (sự kiện "budget_alert") và gửi email qua hộp thư đi.
+
+const OVER_BUDGET_THRESHOLD = 100;
+
+// Các ngưỡng mà trạng thái hiện tại đã vượt qua, từ thấp tới cao
+const crossedThresholds = (alert) => {
+    const thresholds = [];
+    if (alert.alert_threshold < OVER_BUDGET_THRESHOLD && alert.percentage >= alert.alert_threshold) {
+        thresholds.push(alert.alert_threshold);
+    }
+    if (alert.type === 'danger') thresholds.push(OVER_BUDGET_THRESHOLD);
+    return thresholds;
+};
+
+const formatMoney = (value, currency, lang) => (
+    `${Number(value).toLocaleString(lang === 'en' ? 'en-US' : 'vi-VN')}${currency ? ` ${currency}` : ''}`
+);
+
+const emailData = (alert, lang) => ({
+    budgetName: alert.category_names.length
+        ? alert.category_names.join(' + ')
+        : (lang === 'en' ? 'Overall' : 'Tổng chi tiêu'),
+    percentage: alert.percentage,
+    spent: formatMoney(alert.spent, alert.currency, lang),
+    available: formatMoney(alert.available, alert.currency, lang),
+    periodStart: alert.period_start,
+    periodEnd: alert.period_end
+});
+
+// Dạng trả về cho client (API lịch sử và Socket.IO)
+const formatBudgetAlert = (row) => ({
+    id: Number(row.id),
+    budget_id: row.budget_id,
+    threshold: row.threshold,
+    type: row.type,
+    percentage: parseFloat(row.percentage),
+    spent: parseFloat(row.spent),
+    available: parseFloat(row.available),
+    message: row.message,
+    period_start: toDateString(row.period_start),
+    period_end: toDateString(row.period_end),
+    is_read: row.is_read,
+    read_at: row.read_at,
+    created_at: row.created_at
+});
+
+// Ghi các ngưỡng mới vượt của một ngân sách và xếp email; trả về bản ghi cần thông báo hoặc null
+const recordCrossing = async (client, userId, alert, lang) => {
+    const thresholds = crossedThresholds(alert);
+    if (!thresholds.length) return null;
+
+    // Vượt nhiều ngưỡng cùng lúc (vd. 70% -> 110%) chỉ báo ngưỡng cao nhất;
+    // các ngưỡng thấp hơn vẫn được ghi (đã đọc) để không báo lại trong kỳ này
+    const top = thresholds[thresholds.length - 1];
+    const inserted = await client.query(
+        `INSERT INTO budget_alerts (user_id, budget_id, period_start, period_end, threshold, type,
+                                    percentage, spent, available, message, is_read, read_at)
+         SELECT $1, $2, $3, $4, t, CASE WHEN t >= ${OVER_BUDGET_THRESHOLD} THEN 'danger' ELSE 'warning' END,
+                $5, $6, $7, $8, t <> $10, CASE WHEN t <> $10 THEN NOW() END
+         FROM unnest($9::smallint[]) AS t
+         ON CONFLICT (budget_id, period_start, threshold) DO NOTHING
+         RETURNING *`,
+        [userId, alert.budget_id, alert.period_start, alert.period_end,
+            alert.percentage, alert.spent, alert.available, alert.message, thresholds, top]
+    );
+    const fresh = inserted.rows.filter(row => !row.is_read);
+    if (!fresh.length) return null;
+
+    const userRes = await client.query('SELECT email, budget_alert_emails FROM users WHERE id = $1', [userId]);
+    const user = userRes.rows[0];
+    if (user && user.email && user.budget_alert_emails !== false) {
+        await queueEmail(client, {
+            userId,
+            purpose: 'budget_alert',
+            to: user.email,
+            template: alert.type === 'danger' ? 'budget_exceeded' : 'budget_warning',
+            lang,
+            data: emailData(alert, lang)
+        });
+    }
+    return fresh[0];
+};
+
+/**
+ * Lưu và gửi thông báo cho các cảnh báo (kết quả checkBudgetAlerts) vừa vượt ngưỡng mới.
+ * Trả về các cảnh báo đã thông báo lần này. Lỗi chỉ được ghi log để không làm hỏng thao tác chính.
+ * @param {object} [options] - { lang: ngôn ngữ email }
+ */
+const notifyBudgetAlerts = async (userId, alerts, { lang = 'vi' } = {}) => {
+    const notified = [];
+    for (const alert of alerts) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const row = await recordCrossing(client, userId, alert, lang);
+            await client.query('COMMIT');
+            if (row) notified.push({ ...alert, ...formatBudgetAlert(row) });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Budget alert notify error:', error);
+        } finally {
+            client.release();
+        }
+    }
+
+    notified.forEach(alert => emitToUser(userId, 'budget_alert', alert));
+    return notified;
+};
+
+/**
+ * Kiểm tra ngân sách sau khi dữ liệu thay đổi và thông báo ngưỡng mới vượt.
+ * categoryId === undefined: kiểm tra mọi ngân sách (sau đồng bộ, sửa ngân sách).
+ * Trả về { alerts: trạng thái cảnh báo hiện tại, notified: cảnh báo vừa thông báo }.
+ */
+const evaluateBudgetAlerts = async (userId, categoryId, options = {}) => {
+    try {
+        const alerts = categoryId === undefined
+            ? await checkAllBudgetAlerts(pool, userId)
+            : await checkBudgetAlerts(pool, userId, categoryId);
+        const notified = await notifyBudgetAlerts(userId, alerts, options);
+        return { alerts, notified };
+    } catch (error) {
+        console.error('Budget check error:', error);
+        return { alerts: [], notified: [] };
+    }
+};
+
+/**
+ * Lịch sử cảnh báo của user, mới nhất trước.
+ * @param {object} [options] - { unreadOnly, limit, beforeId (phân trang) }
+ */
+const listBudgetAlerts = async (userId, { unreadOnly = false, limit = 50, beforeId = null } = {}) => {
+    const [alertsRes, unreadRes] = await Promise.all([
+        pool.query(
+            `SELECT * FROM budget_alerts
+             WHERE user_id = $1 AND ($2::boolean = false OR is_read = false)
+               AND ($3::bigint IS NULL OR id < $3::bigint)
+             ORDER BY id DESC
+             LIMIT $4`,
+            [userId, unreadOnly, beforeId, limit]
+        ),
+        pool.query('SELECT COUNT(*) FROM budget_alerts WHERE user_id = $1 AND is_read = false', [userId])
+    ]);
+    return {
+        alerts: alertsRes.rows.map(formatBudgetAlert),
+        unreadCount: parseInt(unreadRes.rows[0].count, 10)
+    };
+};
+
+// Đánh dấu đã đọc: một cảnh báo (alertId) hoặc tất cả. Trả về số bản ghi được cập nhật.
+const markBudgetAlertsRead = async (userId, alertId = null) => {
+    const result = await pool.query(
+        `UPDATE budget_alerts SET is_read = true, read_at = COALESCE(read_at, NOW())
+         WHERE user_id = $1 AND ($2::bigint IS NULL AND is_read = false OR id = $2::bigint)`,
+        [userId, alertId]
+    );
+    return result.rowCount;
+};
+
+module.exports = {
+    evaluateBudgetAlerts,
+    notifyBudgetAlerts,
+    listBudgetAlerts,
+    markBudgetAlertsRead
+};
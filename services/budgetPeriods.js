@@ -0,0 +1,187 @@
+// Bộ tính kỳ ngân sách dùng chung (trạng thái, lịch sử, cảnh báo, tổng quan).
+// Ngày được biểu diễn bằng chuỗi 'YYYY-MM-DD' (kiểu DATE) theo múi giờ của user.
+//  - Kỳ theo lịch (period_anchor = 'calendar'): ngày, tuần (bắt đầu từ users.week_start), tháng, năm.
+//  - Kỳ neo theo start_date (period_anchor = 'start_date'): vd. ngân sách tháng bắt đầu từ ngày nhận lương 25
+//    => các kỳ 25/1-24/2, 25/2-24/3...; ngày neo lớn hơn số ngày của tháng thì lấy ngày cuối tháng.
+// Kỳ đầu và kỳ cuối bị cắt theo start_date/end_date của ngân sách.
+
+// Múi giờ của giá trị TIMESTAMP lưu trong DB (server chạy với TZ = Asia/Ho_Chi_Minh)
+const STORAGE_TIMEZONE = 'Asia/Ho_Chi_Minh';
+const DEFAULT_TIMEZONE = 'Asia/Ho_Chi_Minh';
+const DEFAULT_WEEK_START = 1; // Thứ 2
+const PERIOD_ANCHORS = ['calendar', 'start_date'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+const parseDate = (value) => {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+};
+
+// Chuẩn hóa giá trị DATE đọc từ DB (Date theo giờ local của process) hoặc chuỗi thành 'YYYY-MM-DD'
+const toDateString = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+};
+
+const addDays = (dateStr, days) => {
+    const date = parseDate(dateStr);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDate(date);
+};
+
+// Số ngày giữa hai ngày (to - from)
+const diffDays = (fromStr, toStr) => Math.round((parseDate(toStr) - parseDate(fromStr)) / 86400000);
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Ngày hôm nay theo múi giờ của user
+const today = (timezone = DEFAULT_TIMEZONE) => new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+}).format(new Date());
+
+// Ngày dayOfMonth của tháng (year, month), lấy ngày cuối tháng nếu tháng không đủ ngày
+const clampedDate = (year, month, dayOfMonth) => {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return formatDate(new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay))));
+};
+
+// Cộng số tháng, giữ ngày trong tháng (lấy ngày cuối tháng nếu tháng đích không đủ ngày)
+const addMonths = (dateStr, months) => {
+    const date = parseDate(dateStr);
+    return clampedDate(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate());
+};
+
+// Ngày bắt đầu của kỳ chứa dateStr
+const periodStartOf = (period, dateStr, { weekStart = DEFAULT_WEEK_START, anchor = null } = {}) => {
+    const date = parseDate(dateStr);
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    const anchorDate = anchor ? parseDate(anchor) : null;
+
+    switch (period) {
+        case 'daily':
+            return dateStr;
+        case 'weekly': {
+            const firstDay = anchorDate ? anchorDate.getUTCDay() : weekStart;
+            return addDays(dateStr, -((date.getUTCDay() - firstDay + 7) % 7));
+        }
+        case 'yearly': {
+            if (!anchorDate) return `${y}-01-01`;
+            const candidate = clampedDate(y, anchorDate.getUTCMonth(), anchorDate.getUTCDate());
+            return candidate <= dateStr ? candidate : clampedDate(y - 1, anchorDate.getUTCMonth(), anchorDate.getUTCDate());
+        }
+        case 'monthly':
+        default: {
+            if (!anchorDate) return `${y}-${pad(m + 1)}-01`;
+            const candidate = clampedDate(y, m, anchorDate.getUTCDate());
+            return candidate <= dateStr ? candidate : clampedDate(y, m - 1, anchorDate.getUTCDate());
+        }
+    }
+};
+
+// Ngày bắt đầu của kỳ kế tiếp sau kỳ bắt đầu từ startStr
+const nextPeriodStart = (period, startStr, options = {}) => {
+    const start = parseDate(startStr);
+    switch (period) {
+        case 'daily':
+            return addDays(startStr, 1);
+        case 'weekly':
+            return addDays(startStr, 7);
+        case 'yearly':
+            return periodStartOf(period, `${start.getUTCFullYear() + 1}-12-31`, options);
+        case 'monthly':
+        default:
+            return periodStartOf(period, clampedDate(start.getUTCFullYear(), start.getUTCMonth() + 1, 31), options);
+    }
+};
+
+/**
+ * Kỳ chứa ngày dateStr. Trả về { start, end } (end là ngày cuối của kỳ, tính cả ngày đó).
+ * @param {object} [options] - { weekStart: 0-6 (0 = Chủ nhật), anchor: 'YYYY-MM-DD' hoặc null }
+ */
+const getPeriodRange = (period, dateStr, options = {}) => {
+    const start = periodStartOf(period, dateStr, options);
+    return { start, end: addDays(nextPeriodStart(period, start, options), -1) };
+};
+
+/**
+ * Danh sách các kỳ liên tiếp từ kỳ chứa fromStr tới kỳ chứa toStr (theo thứ tự thời gian).
+ */
+const listPeriods = (period, fromStr, toStr, options = {}) => {
+    const periods = [];
+    let range = getPeriodRange(period, fromStr, options);
+    while (range.start <= toStr) {
+        periods.push(range);
+        range = getPeriodRange(period, addDays(range.end, 1), options);
+    }
+    return periods;
+};
+
+// Tùy chọn tính kỳ của một ngân sách theo cài đặt của user ({ timezone, weekStart })
+const budgetPeriodOptions = (budget, settings = {}) => ({
+    weekStart: settings.weekStart !== undefined && settings.weekStart !== null ? settings.weekStart : DEFAULT_WEEK_START,
+    anchor: budget.period_anchor === 'start_date' ? toDateString(budget.start_date) : null
+});
+
+/**
+ * Các kỳ của ngân sách từ start_date tới kỳ chứa asOf (hoặc kỳ cuối nếu ngân sách đã kết thúc),
+ * kỳ đầu/cuối bị cắt theo start_date/end_date. Ngân sách chưa bắt đầu trả về kỳ đầu tiên.
+ */
+const getBudgetPeriods = (budget, settings = {}, asOf = today(settings.timezone)) => {
+    const options = budgetPeriodOptions(budget, settings);
+    const startDate = toDateString(budget.start_date) || asOf;
+    const endDate = toDateString(budget.end_date);
+    const until = endDate && endDate < asOf ? endDate : asOf;
+
+    const periods = until < startDate
+        ? [getPeriodRange(budget.period, startDate, options)]
+        : listPeriods(budget.period, startDate, until, options);
+
+    return periods.map(p => ({
+        start: p.start < startDate ? startDate : p.start,
+        end: endDate && p.end > endDate ? endDate : p.end
+    }));
+};
+
+/**
+ * Điều kiện SQL: cột TIMESTAMP (lưu theo STORAGE_TIMEZONE) nằm trong khoảng ngày [startExpr, endExpr]
+ * tính theo múi giờ tzExpr của user. Các biểu thức là SQL (tham số hoặc cột kiểu DATE).
+ */
+const timestampInDateRangeSql = (column, startExpr, endExpr, tzExpr) => (
+    `${column} >= ((${startExpr})::timestamp AT TIME ZONE ${tzExpr}) AT TIME ZONE '${STORAGE_TIMEZONE}'`
+    + ` AND ${column} < (((${endExpr}) + 1)::timestamp AT TIME ZONE ${tzExpr}) AT TIME ZONE '${STORAGE_TIMEZONE}'`
+);
+
+module.exports = {
+    STORAGE_TIMEZONE,
+    DEFAULT_TIMEZONE,
+    DEFAULT_WEEK_START,
+    PERIOD_ANCHORS,
+    toDateString,
+    addDays,
+    addMonths,
+    diffDays,
+    isValidTimezone,
+    today,
+    getPeriodRange,
+    listPeriods,
+    budgetPeriodOptions,
+    getBudgetPeriods,
+    timestampInDateRangeSql
+};
@@ -0,0 +1,390 @@
+const {
+    DEFAULT_TIMEZONE,
+    DEFAULT_WEEK_START,
+    toDateString,
+    diffDays,
+    today,
+    getBudgetPeriods,
+    timestampInDateRangeSql
+} = require('./budgetPeriods');
+const { DEFAULT_CURRENCY, amountInBaseSql } = require('./currencyService');
+
+// Tính chi tiêu theo từng kỳ của ngân sách và số dư chuyển kỳ (rollover).
+// Ngân sách áp dụng cho các danh mục trong category_ids, hoặc mọi khoản chi nếu category_ids rỗng.
+// rollover_mode: none | surplus (chuyển phần chưa tiêu) | deficit (chuyển phần tiêu lố) | both.
+// Hạn mức của các kỳ đã qua được lưu trong budget_periods khi ngân sách bị sửa số tiền,
+// kỳ chưa có bản ghi dùng budgets.amount hiện tại.
+// Hạn mức tính theo tiền tệ gốc của user; khoản chi ngoại tệ được quy đổi theo tỷ giá ngày giao dịch.
+// Khoản chi ngoại tệ chưa có tỷ giá không cộng được vào số đã chi nên được trả riêng trong unconverted.
+// Khoản chi được tách nhiều danh mục tính từng phần vào ngân sách của danh mục đó (view expense_lines).
+
+const ROLLOVER_MODES = ['none', 'surplus', 'deficit', 'both'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Cài đặt dùng để tính kỳ và số đã chi: múi giờ, ngày bắt đầu tuần và tiền tệ gốc của user
+const getUserBudgetSettings = async (db, userId) => {
+    const result = await db.query('SELECT timezone, week_start, base_currency FROM users WHERE id = $1', [userId]);
+    const row = result.rows[0] || {};
+    return {
+        timezone: row.timezone || DEFAULT_TIMEZONE,
+        weekStart: row.week_start !== undefined && row.week_start !== null ? row.week_start : DEFAULT_WEEK_START,
+        baseCurrency: row.base_currency || DEFAULT_CURRENCY
+    };
+};
+
+// Danh mục của ngân sách (bản ghi cũ chưa có category_ids thì dùng category_id)
+const budgetCategoryIds = (budget) => {
+    if (Array.isArray(budget.category_ids)) return budget.category_ids;
+    return budget.category_id ? [budget.category_id] : [];
+};
+
+// Tổng chi theo kỳ được tính trong một câu query hai tầng: bảng con t gom các dòng chi của kỳ theo tiền tệ
+// (CURRENCY_TOTALS_SQL, cần e là expense_lines và x.base_amount là số tiền quy đổi), tầng ngoài cộng lại
+// số đã chi và liệt kê phần chưa quy đổi được (PERIOD_TOTALS_SQL).
+const CURRENCY_TOTALS_SQL = `e.currency, SUM(x.base_amount) AS spent,
+    SUM(e.amount) FILTER (WHERE e.id IS NOT NULL AND x.base_amount IS NULL) AS unconverted_total,
+    COUNT(DISTINCT e.id) FILTER (WHERE e.id IS NOT NULL AND x.base_amount IS NULL) AS unconverted_count`;
+const PERIOD_TOTALS_SQL = `COALESCE(SUM(t.spent), 0) AS spent,
+    COALESCE(json_agg(json_build_object('currency', t.currency, 'total', t.unconverted_total, 'count', t.unconverted_count)
+                      ORDER BY t.currency) FILTER (WHERE t.unconverted_count > 0), '[]'::json) AS unconverted`;
+
+// Khoản chi chưa quy đổi được của một kỳ (cột unconverted của PERIOD_TOTALS_SQL)
+const parseUnconverted = (items) => items.map(item => ({
+    currency: item.currency,
+    total: parseFloat(item.total),
+    count: parseInt(item.count, 10)
+}));
+
+/**
+ * Tổng chi của từng kỳ trong một câu query (ranh giới ngày tính theo múi giờ của user, số tiền theo tiền tệ gốc).
+ * Trả về { spentByPeriod, unconvertedByPeriod }: kỳ -> số đã chi, kỳ -> khoản chi chưa có tỷ giá theo tiền tệ.
+ */
+const sumSpendingByPeriod = async (db, budget, periods, settings) => {
+    const result = await db.query(
+        `SELECT t.period_start, ${PERIOD_TOTALS_SQL}
+         FROM (
+             SELECT p.period_start::text AS period_start, ${CURRENCY_TOTALS_SQL}
+             FROM unnest($2::date[], $3::date[]) AS p(period_start, period_end)
+             LEFT JOIN expense_lines e
+               ON e.user_id = $1
+              AND (cardinality($4::int[]) = 0 OR e.category_id = ANY($4::int[]))
+              AND e.type = 'expense' AND e.is_deleted = false
+              AND ${timestampInDateRangeSql('e.date', 'p.period_start', 'p.period_end', '$5::text')}
+             CROSS JOIN LATERAL (SELECT ${amountInBaseSql('e', '$6::text')} AS base_amount) x
+             GROUP BY p.period_start, e.currency
+         ) t
+         GROUP BY t.period_start`,
+        [budget.user_id, periods.map(p => p.start), periods.map(p => p.end), budgetCategoryIds(budget), settings.timezone,
+            settings.baseCurrency || DEFAULT_CURRENCY]
+    );
+    return {
+        spentByPeriod: new Map(result.rows.map(row => [row.period_start, parseFloat(row.spent)])),
+        unconvertedByPeriod: new Map(result.rows.map(row => [row.period_start, parseUnconverted(row.unconverted)]))
+    };
+};
+
+const carryFrom = (mode, leftover) => {
+    if (leftover > 0 && (mode === 'surplus' || mode === 'both')) return leftover;
+    if (leftover < 0 && (mode === 'deficit' || mode === 'both')) return leftover;
+    return 0;
+};
+
+// Tính hạn mức, số chuyển kỳ và số còn lại cho các kỳ (cũ tới mới) từ số đã chi và hạn mức đã lưu
+const buildHistory = (budget, periods, spentByPeriod, storedLimits, unconvertedByPeriod) => {
+    const currentAmount = parseFloat(budget.amount);
+    const mode = budget.rollover_mode || 'none';
+    let carriedIn = 0;
+
+    return periods.map((period) => {
+        const limit = storedLimits.has(period.start) ? storedLimits.get(period.start) : currentAmount;
+        const available = roundMoney(limit + carriedIn);
+        const spent = spentByPeriod.get(period.start) || 0;
+        const remaining = roundMoney(available - spent);
+        const carriedOut = roundMoney(carryFrom(mode, remaining));
+
+        const row = {
+            periodStart: period.start,
+            periodEnd: period.end,
+            limit,
+            carriedIn,
+            available,
+            spent,
+            remaining,
+            carriedOut,
+            unconverted: unconvertedByPeriod.get(period.start) || []
+        };
+        carriedIn = carriedOut;
+        return row;
+    });
+};
+
+/**
+ * Lịch sử theo kỳ (cũ tới mới) gồm hạn mức, số chuyển từ kỳ trước, đã chi và số chuyển sang kỳ sau,
+ * kèm unconverted: [{ currency, total, count }] các khoản chi ngoại tệ chưa có tỷ giá (không tính vào spent).
+ * Phần tử cuối là kỳ hiện tại.
+ */
+const getBudgetHistory = async (db, budget, settings = null) => {
+    const userSettings = settings || await getUserBudgetSettings(db, budget.user_id);
+    const periods = getBudgetPeriods(budget, userSettings);
+    const [spending, limitsRes] = await Promise.all([
+        sumSpendingByPeriod(db, budget, periods, userSettings),
+        db.query('SELECT period_start::text AS period_start, limit_amount FROM budget_periods WHERE budget_id = $1', [budget.id])
+    ]);
+    const storedLimits = new Map(limitsRes.rows.map(row => [row.period_start, parseFloat(row.limit_amount)]));
+
+    return buildHistory(budget, periods, spending.spentByPeriod, storedLimits, spending.unconvertedByPeriod);
+};
+
+/**
+ * Tổng quan mọi ngân sách đang hiệu lực của user cho màn hình ngân sách.
+ * Số đã chi của tất cả ngân sách (mọi kỳ cần cho rollover) được tính trong một câu query gộp,
+ * thay vì gọi trạng thái từng ngân sách. Dự báo cuối kỳ = chi tiêu trung bình mỗi ngày đã qua x số ngày của kỳ.
+ */
+const getBudgetSummary = async (db, userId) => {
+    const settings = await getUserBudgetSettings(db, userId);
+    const asOf = today(settings.timezone);
+    const budgetsRes = await db.query(
+        `SELECT b.*,
+                ARRAY(SELECT c.name FROM categories c WHERE c.id = ANY(b.category_ids) AND c.user_id = b.user_id ORDER BY c.name) AS category_names
+         FROM budgets b
+         WHERE b.user_id = $1 AND b.is_active = true
+           AND b.start_date <= $2::date AND (b.end_date IS NULL OR b.end_date >= $2::date)
+         ORDER BY b.created_at DESC`,
+        [userId, asOf]
+    );
+    const budgets = budgetsRes.rows;
+    if (budgets.length === 0) return { asOf, timezone: settings.timezone, baseCurrency: settings.baseCurrency, budgets: [] };
+
+    // Ngân sách không rollover chỉ cần kỳ hiện tại
+    const periodsByBudget = new Map(budgets.map((budget) => {
+        const periods = getBudgetPeriods(budget, settings, asOf);
+        return [budget.id, (budget.rollover_mode || 'none') === 'none' ? periods.slice(-1) : periods];
+    }));
+    const flat = budgets.flatMap(budget => periodsByBudget.get(budget.id).map(p => ({ budgetId: budget.id, ...p })));
+
+    const totalsRes = await db.query(
+        `SELECT t.budget_id, t.period_start, t.limit_amount, ${PERIOD_TOTALS_SQL}
+         FROM (
+             SELECT p.budget_id, p.period_start::text AS period_start, bp.limit_amount, ${CURRENCY_TOTALS_SQL}
+             FROM unnest($2::int[], $3::date[], $4::date[]) AS p(budget_id, period_start, period_end)
+             JOIN budgets b ON b.id = p.budget_id
+             LEFT JOIN budget_periods bp ON bp.budget_id = p.budget_id AND bp.period_start = p.period_start
+             LEFT JOIN expense_lines e
+               ON e.user_id = $1
+              AND (cardinality(b.category_ids) = 0 OR e.category_id = ANY(b.category_ids))
+              AND e.type = 'expense' AND e.is_deleted = false
+              AND ${timestampInDateRangeSql('e.date', 'p.period_start', 'p.period_end', '$5::text')}
+             CROSS JOIN LATERAL (SELECT ${amountInBaseSql('e', '$6::text')} AS base_amount) x
+             GROUP BY p.budget_id, p.period_start, bp.limit_amount, e.currency
+         ) t
+         GROUP BY t.budget_id, t.period_start, t.limit_amount`,
+        [userId, flat.map(p => p.budgetId), flat.map(p => p.start), flat.map(p => p.end), settings.timezone,
+            settings.baseCurrency]
+    );
+
+    const spentByBudget = new Map(budgets.map(b => [b.id, new Map()]));
+    const limitsByBudget = new Map(budgets.map(b => [b.id, new Map()]));
+    const unconvertedByBudget = new Map(budgets.map(b => [b.id, new Map()]));
+    totalsRes.rows.forEach((row) => {
+        spentByBudget.get(row.budget_id).set(row.period_start, parseFloat(row.spent));
+        unconvertedByBudget.get(row.budget_id).set(row.period_start, parseUnconverted(row.unconverted));
+        if (row.limit_amount !== null) limitsByBudget.get(row.budget_id).set(row.period_start, parseFloat(row.limit_amount));
+    });
+
+    return {
+        asOf,
+        timezone: settings.timezone,
+        baseCurrency: settings.baseCurrency,
+        budgets: budgets.map((budget) => {
+            const history = buildHistory(budget, periodsByBudget.get(budget.id), spentByBudget.get(budget.id),
+                limitsByBudget.get(budget.id), unconvertedByBudget.get(budget.id));
+            const current = history[history.length - 1];
+            const periodDays = diffDays(current.periodStart, current.periodEnd) + 1;
+            const daysElapsed = Math.min(diffDays(current.periodStart, asOf) + 1, periodDays);
+            const projectedSpend = roundMoney((current.spent / daysElapsed) * periodDays);
+            const percentage = current.available > 0 ? (current.spent / current.available) * 100 : 0;
+
+            return {
+                id: budget.id,
+                category_ids: budgetCategoryIds(budget),
+                category_names: budget.category_names,
+                period: budget.period,
+                rollover_mode: budget.rollover_mode,
+                alert_threshold: budget.alert_threshold,
+                periodStart: current.periodStart,
+                periodEnd: current.periodEnd,
+                daysLeft: periodDays - daysElapsed + 1,
+                daysElapsed,
+                budgetAmount: current.limit,
+                carriedOver: current.carriedIn,
+                availableAmount: current.available,
+                spent: current.spent,
+                remaining: current.remaining,
+                percentage: Number(percentage.toFixed(2)),
+                isOverBudget: current.spent > current.available,
+                projectedSpend,
+                isProjectedOverBudget: projectedSpend > current.available,
+                unconverted: current.unconverted
+            };
+        })
+    };
+};
+
+/**
+ * Lưu hạn mức hiện tại cho các kỳ đã qua chưa được lưu. Gọi trước khi đổi số tiền ngân sách
+ * để lịch sử giữ nguyên hạn mức cũ.
+ */
+const snapshotBudgetLimits = async (db, budget) => {
+    const settings = await getUserBudgetSettings(db, budget.user_id);
+    const past = getBudgetPeriods(budget, settings).slice(0, -1);
+    if (past.length === 0) return;
+
+    await db.query(
+        `INSERT INTO budget_periods (budget_id, period_start, period_end, limit_amount)
+         SELECT $1, p.period_start, p.period_end, $4
+         FROM unnest($2::date[], $3::date[]) AS p(period_start, period_end)
+         ON CONFLICT (budget_id, period_start) DO NOTHING`,
+        [budget.id, past.map(p => p.start), past.map(p => p.end), budget.amount]
+    );
+};
+
+// Cột quyết định ranh giới kỳ: đổi một trong các cột này thì các kỳ cũ không còn khớp
+const changesPeriodBoundaries = (existing, changes) => {
+    if (changes.period !== undefined && changes.period !== existing.period) return true;
+    if (changes.period_anchor !== undefined && changes.period_anchor !== existing.period_anchor) return true;
+    return existing.period_anchor === 'start_date'
+        && changes.start_date !== undefined
+        && toDateString(changes.start_date) !== toDateString(existing.start_date);
+};
+
+/**
+ * Gọi trước khi cập nhật ngân sách (existing: bản ghi hiện tại, changes: các cột sắp ghi).
+ * Đổi số tiền: giữ hạn mức cũ cho các kỳ đã qua. Đổi chu kỳ/mốc neo: các kỳ cũ không còn khớp nên xóa lịch sử hạn mức.
+ */
+const prepareBudgetUpdate = async (db, existing, changes) => {
+    if (changesPeriodBoundaries(existing, changes)) {
+        await db.query('DELETE FROM budget_periods WHERE budget_id = $1', [existing.id]);
+        return;
+    }
+    if (changes.amount !== undefined && parseFloat(changes.amount) !== parseFloat(existing.amount)) {
+        await snapshotBudgetLimits(db, existing);
+    }
+};
+
+/**
+ * Kiểm tra danh mục thuộc về user. Trả về danh sách id đã chuẩn hóa hoặc null nếu có id không hợp lệ.
+ */
+const resolveBudgetCategories = async (db, userId, categoryIds) => {
+    const ids = [...new Set(categoryIds.map(Number))];
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) return null;
+    if (ids.length === 0) return ids;
+
+    const result = await db.query(
+        'SELECT id FROM categories WHERE user_id = $1 AND id = ANY($2::int[])',
+        [userId, ids]
+    );
+    return result.rows.length === ids.length ? ids.sort((a, b) => a - b) : null;
+};
+
+/**
+ * Hook validate của đồng bộ: danh mục của ngân sách (category_ids và category_id của client cũ)
+ * phải thuộc về user. Trả về thông báo lỗi hoặc null.
+ */
+const validateBudgetCategories = async (db, userId, budget) => {
+    const ids = [];
+    if (budget.category_ids !== undefined && budget.category_ids !== null) {
+        if (!Array.isArray(budget.category_ids)) return 'category_ids phải là mảng';
+        ids.push(...budget.category_ids);
+    }
+    if (budget.category_id !== undefined && budget.category_id !== null) ids.push(budget.category_id);
+    return (await resolveBudgetCategories(db, userId, ids)) ? null : 'Danh mục không hợp lệ';
+};
+
+// Tên hiển thị: "Ăn uống + Đi lại", hoặc "tổng" với ngân sách cho mọi khoản chi
+const budgetLabel = (budget) => (
+    budget.category_names && budget.category_names.length ? budget.category_names.join(' + ') : 'tổng'
+);
+
+const buildAlert = (budget, current, currency) => {
+    const percentage = current.available > 0 ? (current.spent / current.available) * 100 : (current.spent > 0 ? 100 : 0);
+    const base = {
+        budget_id: budget.id,
+        category_ids: budgetCategoryIds(budget),
+        category_names: budget.category_names || [],
+        percentage: Number(percentage.toFixed(1)),
+        spent: current.spent,
+        available: current.available,
+        currency,
+        alert_threshold: budget.alert_threshold,
+        period_start: current.periodStart,
+        period_end: current.periodEnd,
+        unconverted: current.unconverted
+    };
+
+    if (current.spent > 0 && current.spent >= current.available) {
+        return {
+            ...base,
+            type: 'danger',
+            message: `Cảnh báo: Bạn đã vượt quá ngân sách ${budgetLabel(budget)} (${base.percentage}%)!`
+        };
+    }
+    if (percentage >= budget.alert_threshold) {
+        return {
+            ...base,
+            type: 'warning',
+            message: `Chú ý: Bạn đã dùng ${base.percentage}% ngân sách ${budgetLabel(budget)}.`
+        };
+    }
+    return null;
+};
+
+// Cảnh báo của các ngân sách đang hiệu lực chứa một trong categoryIds (allBudgets = true: mọi ngân sách)
+const collectBudgetAlerts = async (db, userId, { categoryIds = [], allBudgets = false }) => {
+    const settings = await getUserBudgetSettings(db, userId);
+    const asOf = today(settings.timezone);
+    const budgetsRes = await db.query(
+        `SELECT b.*,
+                ARRAY(SELECT c.name FROM categories c WHERE c.id = ANY(b.category_ids) AND c.user_id = b.user_id ORDER BY c.name) AS category_names
+         FROM budgets b
+         WHERE b.user_id = $1 AND b.is_active = true
+           AND ($4::boolean OR cardinality(b.category_ids) = 0 OR b.category_ids && $2::int[])
+           AND b.start_date <= $3::date AND (b.end_date IS NULL OR b.end_date >= $3::date)`,
+        [userId, categoryIds, asOf, allBudgets]
+    );
+
+    const alerts = [];
+    for (const budget of budgetsRes.rows) {
+        const history = await getBudgetHistory(db, budget, settings);
+        const alert = buildAlert(budget, history[history.length - 1], settings.baseCurrency);
+        if (alert) alerts.push(alert);
+    }
+
+    return alerts.sort((a, b) => (a.type === b.type ? b.percentage - a.percentage : (a.type === 'danger' ? -1 : 1)));
+};
+
+/**
+ * Cảnh báo của mọi ngân sách đang hiệu lực có chứa danh mục categoryId
+ * (kể cả ngân sách tổng; categoryId = null chỉ khớp ngân sách tổng).
+ * categoryId có thể là mảng (khoản chi tách nhiều danh mục).
+ * Trả về mảng, cảnh báo nặng nhất (danger, % cao) đứng đầu.
+ */
+const checkBudgetAlerts = (db, userId, categoryId) => collectBudgetAlerts(db, userId, {
+    categoryIds: [].concat(categoryId).filter(Boolean).map(Number)
+});
+
+// Cảnh báo của mọi ngân sách đang hiệu lực của user (sau đồng bộ hoặc khi sửa ngân sách)
+const checkAllBudgetAlerts = (db, userId) => collectBudgetAlerts(db, userId, { allBudgets: true });
+
+module.exports = {
+    ROLLOVER_MODES,
+    budgetCategoryIds,
+    getUserBudgetSettings,
+    getBudgetHistory,
+    getBudgetSummary,
+    prepareBudgetUpdate,
+    resolveBudgetCategories,
+    validateBudgetCategories,
+    checkBudgetAlerts,
+    checkAllBudgetAlerts
+};
@@ -0,0 +1,140 @@
+const { pool } = require('../config/database');
+const { timestampInDateRangeSql } = require('./budgetPeriods');
+const { getUserBudgetSettings } = require('./budgetService');
+
+// Quy tắc tự gán danh mục do user định nghĩa, vd. mô tả chứa "grab" -> Đi lại, hoặc
+// chi 20.000-50.000 bằng momo -> Ăn uống. Một quy tắc khớp khi mọi điều kiện đã đặt đều thỏa.
+// So khớp mô tả không phân biệt hoa thường và dấu tiếng Việt; nhiều quy tắc cùng khớp thì
+// priority cao hơn thắng, cùng priority thì từ khóa dài hơn (cụ thể hơn) thắng.
+// Áp dụng khi tạo giao dịch không có danh mục (API, đồng bộ, import) và khi áp dụng lại cho giao dịch cũ.
+
+const RULE_TYPES = ['income', 'expense'];
+
+// Chữ thường, bỏ dấu tiếng Việt và khoảng trắng thừa để so khớp mô tả
+const normalizeText = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Quy tắc đang bật của user, theo thứ tự xét khớp
+const loadCategoryRules = async (db, userId) => {
+    const result = await db.query(
+        `SELECT r.*, c.name AS category_name
+         FROM category_rules r
+         JOIN categories c ON c.id = r.category_id
+         WHERE r.user_id = $1 AND r.is_active = true
+         ORDER BY r.priority DESC, length(COALESCE(r.keyword, '')) DESC, r.id`,
+        [userId]
+    );
+    return result.rows.map(rule => ({
+        ...rule,
+        normalizedKeyword: normalizeText(rule.keyword),
+        normalizedPaymentMethod: normalizeText(rule.payment_method)
+    }));
+};
+
+const ruleMatches = (rule, transaction, description) => {
+    if (rule.normalizedKeyword && !description.includes(rule.normalizedKeyword)) return false;
+    if (rule.type && rule.type !== transaction.type) return false;
+    if (rule.normalizedPaymentMethod && rule.normalizedPaymentMethod !== normalizeText(transaction.payment_method)) return false;
+    if (rule.min_amount !== null || rule.max_amount !== null) {
+        const amount = Number(transaction.amount);
+        if (!Number.isFinite(amount)) return false;
+        if (rule.min_amount !== null && amount < Number(rule.min_amount)) return false;
+        if (rule.max_amount !== null && amount > Number(rule.max_amount)) return false;
+    }
+    return true;
+};
+
+/**
+ * Quy tắc đầu tiên khớp giao dịch { description, amount, type, payment_method }, hoặc null.
+ * Giao dịch chuyển khoản không có danh mục nên không bao giờ khớp.
+ * @param {Array} rules - kết quả loadCategoryRules
+ */
+const matchCategoryRule = (rules, transaction) => {
+    if (transaction.type === 'transfer') return null;
+    const description = normalizeText(transaction.description);
+    return rules.find(rule => ruleMatches(rule, transaction, description)) || null;
+};
+
+/**
+ * Hook beforeCreate của đồng bộ: bản ghi thu/chi tạo offline không kèm danh mục được gán theo quy tắc.
+ * Quy tắc được nạp một lần cho cả lô thay đổi (lưu trên ctx).
+ */
+const categorizeOnCreate = async (client, ctx, data) => {
+    if (data.category_id !== undefined && data.category_id !== null) return;
+    if (!ctx.categoryRules) ctx.categoryRules = await loadCategoryRules(client, ctx.userId);
+    const rule = matchCategoryRule(ctx.categoryRules, data);
+    if (rule) data.category_id = rule.category_id;
+};
+
+// Giới hạn số thay đổi trả về trong phản hồi (vẫn áp dụng toàn bộ)
+const MAX_REPORTED_CHANGES = 500;
+
+/**
+ * Áp dụng lại quy tắc cho các giao dịch đã có.
+ * options: { dryRun = true, onlyUncategorized = true, startDate, endDate } - khoảng ngày theo múi giờ của user.
+ * dryRun chỉ trả về các thay đổi dự kiến; ngược lại cập nhật trong một câu lệnh (tăng version để đồng bộ).
+ * Trả về { changed, changes: [{ id, date, description, amount, from_category_id, to_category_id, rule_id }] }.
+ */
+const reapplyCategoryRules = async (userId, { dryRun = true, onlyUncategorized = true, startDate = null, endDate = null } = {}) => {
+    const rules = await loadCategoryRules(pool, userId);
+    if (!rules.length) return { changed: 0, changes: [] };
+
+    const params = [userId];
+    // Khoản đã tách nhiều danh mục giữ nguyên các phần tách
+    let where = `e.user_id = $1 AND e.is_deleted = false AND e.type <> 'transfer'
+        AND NOT EXISTS (SELECT 1 FROM expense_splits s WHERE s.expense_id = e.id)`;
+    if (onlyUncategorized) where += ' AND e.category_id IS NULL';
+    if (startDate || endDate) {
+        const settings = await getUserBudgetSettings(pool, userId);
+        params.push(startDate || '0001-01-01', endDate || '9999-12-30', settings.timezone);
+        where += ` AND ${timestampInDateRangeSql('e.date', '$2::date', '$3::date', '$4::text')}`;
+    }
+    const expenses = await pool.query(
+        `SELECT e.id, e.amount, e.type, e.description, e.payment_method, e.category_id, e.date
+         FROM expenses e
+         WHERE ${where}
+         ORDER BY e.date DESC, e.id DESC`,
+        params
+    );
+
+    const changes = [];
+    for (const expense of expenses.rows) {
+        const rule = matchCategoryRule(rules, expense);
+        if (!rule || rule.category_id === expense.category_id) continue;
+        changes.push({
+            id: expense.id,
+            date: expense.date,
+            description: expense.description,
+            amount: expense.amount,
+            type: expense.type,
+            from_category_id: expense.category_id,
+            to_category_id: rule.category_id,
+            to_category_name: rule.category_name,
+            rule_id: rule.id
+        });
+    }
+
+    if (!dryRun && changes.length) {
+        await pool.query(
+            `UPDATE expenses e SET category_id = c.category_id, updated_at = NOW(), version = e.version + 1
+             FROM unnest($2::int[], $3::int[]) AS c(id, category_id)
+             WHERE e.id = c.id AND e.user_id = $1 AND e.is_deleted = false`,
+            [userId, changes.map(c => c.id), changes.map(c => c.to_category_id)]
+        );
+    }
+    return { changed: changes.length, changes: changes.slice(0, MAX_REPORTED_CHANGES) };
+};
+
+module.exports = {
+    RULE_TYPES,
+    normalizeText,
+    loadCategoryRules,
+    matchCategoryRule,
+    categorizeOnCreate,
+    reapplyCategoryRules
+};
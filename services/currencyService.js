@@ -0,0 +1,143 @@
+const { addDays } = require('./budgetPeriods');
+
+// Đa tiền tệ: mỗi khoản thu/chi có thể mang mã tiền tệ riêng (expenses.currency, NULL = tiền tệ gốc
+// của user), còn ngân sách và thống kê tính theo tiền tệ gốc (users.base_currency).
+// Tỷ giá do user tự nhập hoặc import từ file vào exchange_rates: 1 from_currency = rate to_currency.
+// Khoản chi được quy đổi theo tỷ giá gần nhất vào hoặc trước ngày giao dịch (không có thì lấy tỷ giá
+// sớm nhất sau ngày đó); cặp tiền chưa có tỷ giá nào thì không quy đổi được, bị bỏ qua khi cộng tổng
+// và được thống kê, ngân sách trả riêng trong unconverted.
+
+const DEFAULT_CURRENCY = 'VND';
+const MAX_IMPORT_ROWS = 5000;
+
+const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value.trim().toUpperCase());
+
+// Mã tiền tệ viết hoa, null nếu không có
+const normalizeCurrency = (value) => (value === undefined || value === null || value === ''
+    ? null
+    : String(value).trim().toUpperCase());
+
+/**
+ * Biểu thức SQL: số tiền của bản ghi `alias` (có amount, currency, date, user_id) quy đổi sang
+ * tiền tệ baseExpr theo tỷ giá của chính user đó; NULL nếu chưa có tỷ giá cho cặp tiền.
+ * nullCurrencyExpr: tiền tệ của bản ghi không ghi currency, tức tiền tệ gốc của user
+ * (mặc định là baseExpr; quy đổi sang tiền tệ khác, vd. của tài khoản, thì phải truyền vào).
+ */
+const amountInBaseSql = (alias, baseExpr, nullCurrencyExpr = baseExpr) => {
+    const currency = `COALESCE(${alias}.currency, ${nullCurrencyExpr})`;
+    return `(CASE
+    WHEN ${currency} = ${baseExpr} THEN ${alias}.amount
+    ELSE ${alias}.amount * (
+        SELECT CASE WHEN r.from_currency = ${currency} THEN r.rate ELSE 1 / r.rate END
+        FROM exchange_rates r
+        WHERE r.user_id = ${alias}.user_id
+          AND ((r.from_currency = ${currency} AND r.to_currency = ${baseExpr})
+            OR (r.from_currency = ${baseExpr} AND r.to_currency = ${currency}))
+        ORDER BY r.rate_date > ${alias}.date::date, abs(r.rate_date - ${alias}.date::date),
+                 r.from_currency = ${currency} DESC
+        LIMIT 1
+    )
+END)`;
+};
+
+const getBaseCurrency = async (db, userId) => {
+    const result = await db.query('SELECT base_currency FROM users WHERE id = $1', [userId]);
+    return (result.rows[0] && result.rows[0].base_currency) || DEFAULT_CURRENCY;
+};
+
+/**
+ * Đổi tiền tệ gốc của user. Khoản thu/chi chưa ghi tiền tệ (đang hiểu là tiền tệ gốc cũ) được ghi
+ * rõ tiền tệ cũ để không bị đổi nghĩa. Hạn mức ngân sách không được quy đổi.
+ */
+const changeBaseCurrency = async (db, userId, currency) => {
+    const current = await getBaseCurrency(db, userId);
+    if (current === currency) return;
+    await db.query(
+        `UPDATE expenses SET currency = $2, version = version + 1, updated_at = NOW()
+         WHERE user_id = $1 AND currency IS NULL`,
+        [userId, current]
+    );
+    await db.query('UPDATE users SET base_currency = $2, updated_at = NOW() WHERE id = $1', [userId, currency]);
+};
+
+/**
+ * Kiểm tra và chuẩn hóa một tỷ giá { from_currency, to_currency, rate, rate_date }.
+ * Trả về { rate } hoặc { error }.
+ */
+const validateRate = (input) => {
+    const from = normalizeCurrency(input.from_currency);
+    const to = normalizeCurrency(input.to_currency);
+    const rate = Number(input.rate);
+    const date = input.rate_date === undefined || input.rate_date === null ? '' : String(input.rate_date).trim();
+
+    if (!isCurrencyCode(from || '') || !isCurrencyCode(to || '')) return { error: 'Mã tiền tệ không hợp lệ (3 chữ cái, vd. USD)' };
+    if (from === to) return { error: 'Hai đồng tiền phải khác nhau' };
+    if (!Number.isFinite(rate) || rate <= 0) return { error: 'Tỷ giá phải lớn hơn 0' };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || addDays(date, 0) !== date) {
+        return { error: 'Ngày tỷ giá không hợp lệ (YYYY-MM-DD)' };
+    }
+    return { rate: { from_currency: from, to_currency: to, rate, rate_date: date } };
+};
+
+/**
+ * Đọc file tỷ giá CSV: mỗi dòng "rate_date,from_currency,to_currency,rate" (dòng tiêu đề tùy chọn,
+ * phân cách bằng dấu phẩy hoặc chấm phẩy). Trả về { rates, errors: [{ line, message }] }.
+ */
+const parseRatesCsv = (text) => {
+    const rates = [];
+    const errors = [];
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    lines.forEach((raw, index) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+        const cells = line.split(/[;,]/).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+        if (index === 0 && /date/i.test(cells[0])) return; // dòng tiêu đề
+
+        if (cells.length < 4) {
+            errors.push({ line: index + 1, message: 'Cần 4 cột: rate_date, from_currency, to_currency, rate' });
+            return;
+        }
+        const { rate, error } = validateRate({
+            rate_date: cells[0], from_currency: cells[1], to_currency: cells[2], rate: cells[3]
+        });
+        if (error) errors.push({ line: index + 1, message: error });
+        else rates.push(rate);
+    });
+
+    if (rates.length > MAX_IMPORT_ROWS) errors.push({ line: null, message: `Tối đa ${MAX_IMPORT_ROWS} tỷ giá mỗi lần import` });
+    return { rates, errors };
+};
+
+/**
+ * Ghi (hoặc cập nhật theo cặp tiền + ngày) các tỷ giá của user. Trả về các bản ghi đã ghi.
+ * @param {string} source - manual | import
+ */
+const upsertExchangeRates = async (db, userId, rates, source = 'manual') => {
+    if (!rates.length) return [];
+    // Cùng cặp tiền + ngày xuất hiện nhiều lần thì lấy dòng sau cùng
+    const unique = [...new Map(rates.map(r => [`${r.from_currency}:${r.to_currency}:${r.rate_date}`, r])).values()];
+    const result = await db.query(
+        `INSERT INTO exchange_rates (user_id, from_currency, to_currency, rate, rate_date, source)
+         SELECT $1, r.from_currency, r.to_currency, r.rate, r.rate_date, $6
+         FROM unnest($2::text[], $3::text[], $4::numeric[], $5::date[]) AS r(from_currency, to_currency, rate, rate_date)
+         ON CONFLICT (user_id, from_currency, to_currency, rate_date)
+         DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()
+         RETURNING *`,
+        [userId, unique.map(r => r.from_currency), unique.map(r => r.to_currency),
+            unique.map(r => r.rate), unique.map(r => r.rate_date), source]
+    );
+    return result.rows;
+};
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    isCurrencyCode,
+    normalizeCurrency,
+    amountInBaseSql,
+    getBaseCurrency,
+    changeBaseCurrency,
+    validateRate,
+    parseRatesCsv,
+    upsertExchangeRates
+};
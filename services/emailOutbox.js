@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { sendEmail } = require('./emailService');
+const { enqueueJob, wakeJobWorker } = require('./jobQueue');
+const { revokeOtp } = require('./otpService');
+
+// Hộp thư đi: route chỉ ghi email vào email_outbox (cùng transaction nếu có), job "send_email" gửi nền.
+// Lỗi gửi được hàng đợi job thử lại với backoff; hết lượt thì đánh dấu failed.
+// Dữ liệu template (có thể chứa mã OTP) được mã hóa AES-GCM và xóa khi email không còn cần gửi.
+
+const SEND_EMAIL_JOB = 'send_email';
+const MAX_SEND_ATTEMPTS = 6; // 30s, 1, 2, 4, 8 phút giữa các lần thử
+
+const OTP_TEMPLATES = {
+    registration: 'otp_registration',
+    password_reset: 'otp_password_reset',
+    email_change: 'otp_email_change'
+};
+
+const encryptionKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.OUTBOX_SECRET || process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .digest();
+
+const encryptPayload = (data) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptPayload = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8'));
+};
+
+/**
+ * Ghi email vào hộp thư đi và tạo job gửi. Trả về id bản ghi outbox.
+ * Truyền db là client đang trong transaction để email chỉ được gửi khi transaction COMMIT.
+ * @param {object} db - pool hoặc client
+ * @param {object} email - { userId, purpose, to, template, lang, data, expiresInMinutes }
+ */
+const queueEmail = async (db, { userId = null, purpose, to, template, lang = 'vi', data = {}, expiresInMinutes = null }) => {
+    const result = await db.query(
+        `INSERT INTO email_outbox (user_id, purpose, to_email, template, lang, payload, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7::int IS NULL THEN NULL ELSE NOW() + make_interval(mins => $7::int) END)
+         RETURNING id`,
+        [userId, purpose, to, template, lang, encryptPayload(data), expiresInMinutes]
+    );
+    const outboxId = result.rows[0].id;
+
+    await enqueueJob(SEND_EMAIL_JOB, { outboxId }, {
+        dedupeKey: `email:${outboxId}`,
+        maxAttempts: MAX_SEND_ATTEMPTS,
+        db
+    });
+    wakeJobWorker();
+    return outboxId;
+};
+
+// Email chứa mã OTP vừa tạo bằng issueOtp; bỏ gửi nếu mã đã hết hạn mà vẫn chưa gửi được
+const queueOtpEmail = (db, { userId, to, purpose, issued, lang }) => queueEmail(db, {
+    userId,
+    purpose,
+    to,
+    template: OTP_TEMPLATES[purpose],
+    lang,
+    data: { code: issued.code, expiresInMinutes: issued.expiresInMinutes },
+    expiresInMinutes: issued.expiresInMinutes
+});
+
+const queuePasswordChangedEmail = (db, { userId, to, lang }) => queueEmail(db, {
+    userId,
+    purpose: 'password_changed',
+    to,
+    template: 'password_changed',
+    lang,
+    data: {
+        email: to,
+        changedAt: new Date().toLocaleString(lang === 'en' ? 'en-US' : 'vi-VN', { timeZone: 'Asia/Ho_Chi_Minh' })
+    }
+});
+
+// Handler của job "send_email". Ném lỗi để hàng đợi thử lại; lần thử cuối lỗi thì đánh dấu failed.
+const deliverOutboxEmail = async ({ outboxId }, job) => {
+    const res = await pool.query(
+        `SELECT *, (expires_at IS NOT NULL AND expires_at <= NOW()) AS expired
+         FROM email_outbox WHERE id = $1`,
+        [outboxId]
+    );
+    const message = res.rows[0];
+    if (!message || message.status !== 'queued') return;
+
+    if (message.expired || !message.payload) {
+        await pool.query(
+            `UPDATE email_outbox SET status = 'failed', payload = NULL, last_error = $2, updated_at = NOW()
+             WHERE id = $1`,
+            [outboxId, message.expired ? 'Hết hạn trước khi gửi được' : 'Thiếu dữ liệu email']
+        );
+        return;
+    }
+
+    try {
+        const sent = await sendEmail({
+            to: message.to_email,
+            template: message.template,
+            lang: message.lang,
+            data: decryptPayload(message.payload)
+        });
+        await pool.query(
+            `UPDATE email_outbox SET
+                status = 'sent', attempts = attempts + 1, payload = NULL, last_error = NULL,
+                transport = $2, provider_message_id = $3,
+                last_attempt_at = NOW(), sent_at = NOW(), updated_at = NOW()
+             WHERE id = $1`,
+            [outboxId, sent.transport, sent.messageId]
+        );
+    } catch (error) {
+        const finalAttempt = job.attempts >= job.max_attempts;
+        const reason = error.cause ? error.cause.message : error.message;
+        await pool.query(
+            `UPDATE email_outbox SET
+                status = CASE WHEN $3 THEN 'failed' ELSE 'queued' END,
+                payload = CASE WHEN $3 THEN NULL ELSE payload END,
+                attempts = attempts + 1, last_error = $2, transport = $4,
+                last_attempt_at = NOW(), updated_at = NOW()
+             WHERE id = $1`,
+            [outboxId, String(reason).slice(0, 1000), finalAttempt, error.transport || null]
+        );
+        // Không gửi được mã thì hủy mã để người dùng có thể yêu cầu lại ngay, không phải chờ cooldown
+        if (finalAttempt && OTP_TEMPLATES[message.purpose] && message.user_id) {
+            await revokeOtp(pool, { userId: message.user_id, purpose: message.purpose });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Trạng thái email gần nhất của user theo mục đích, hoặc null nếu chưa có.
+ * next_attempt_at lấy từ job gửi đang chờ thử lại.
+ */
+const getLatestEmailStatus = async (userId, purpose) => {
+    const result = await pool.query(
+        `SELECT o.id, o.purpose, o.status, o.attempts, o.last_attempt_at, o.sent_at, o.bounced_at, o.created_at,
+                CASE WHEN o.status = 'queued' THEN j.run_at END AS next_attempt_at
+         FROM email_outbox o
+         LEFT JOIN jobs j ON j.dedupe_key = 'email:' || o.id
+         WHERE o.user_id = $1 AND o.purpose = $2
+         ORDER BY o.created_at DESC, o.id DESC
+         LIMIT 1`,
+        [userId, purpose]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Ghi nhận email bị trả về/bị chặn theo message id của nhà cung cấp (webhook).
+ * Trả về số bản ghi được cập nhật.
+ */
+const markBounced = async (providerMessageId, reason) => {
+    const result = await pool.query(
+        `UPDATE email_outbox SET status = 'bounced', bounced_at = NOW(), last_error = $2, updated_at = NOW()
+         WHERE provider_message_id = $1 AND status = 'sent'`,
+        [providerMessageId, reason ? String(reason).slice(0, 1000) : null]
+    );
+    return result.rowCount;
+};
+
+module.exports = {
+    SEND_EMAIL_JOB,
+    queueEmail,
+    queueOtpEmail,
+    queuePasswordChangedEmail,
+    deliverOutboxEmail,
+    getLatestEmailStatus,
+    markBounced
+};
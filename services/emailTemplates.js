@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// Template email nằm trong templates/emails/<tên>.<ngôn ngữ>.html, dòng đầu là <!-- subject: ... -->.
+// Nội dung được đặt vào layout.<ngôn ngữ>.html. {{biến}} được escape HTML, {{{biến}}} chèn nguyên văn.
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const SUPPORTED_LANGUAGES = ['vi', 'en'];
+const DEFAULT_LANGUAGE = 'vi';
+
+const cache = new Map();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const readTemplate = (name, lang) => {
+  const key = `${name}.${lang}`;
+  if (!cache.has(key)) {
+    const filePath = path.join(TEMPLATE_DIR, `${key}.html`);
+    cache.set(key, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+  }
+  return cache.get(key);
+};
+
+const interpolate = (source, data) => source
+  .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (_, key) => (data[key] ?? ''))
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => escapeHtml(data[key] ?? ''));
+
+const htmlToText = (html) => html
+  .replace(/<style[\s\S]*?<\/style>/gi, '')
+  .replace(/<(br|\/p|\/div|\/h\d)\s*\/?>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const normalizeLanguage = (lang) => (SUPPORTED_LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE);
+
+// Ngôn ngữ email theo header Accept-Language của request
+const languageFromRequest = (req) => req.acceptsLanguages(...SUPPORTED_LANGUAGES) || DEFAULT_LANGUAGE;
+
+/**
+ * Render template thành { subject, html, text }.
+ * Thiếu bản dịch cho ngôn ngữ yêu cầu thì dùng bản tiếng Việt; thiếu cả hai thì ném lỗi.
+ */
+const renderTemplate = (name, lang, data = {}) => {
+  let language = normalizeLanguage(lang);
+  let source = readTemplate(name, language);
+  if (!source && language !== DEFAULT_LANGUAGE) {
+    language = DEFAULT_LANGUAGE;
+    source = readTemplate(name, language);
+  }
+  if (!source) throw new Error(`Email template not found: ${name}`);
+
+  const match = source.match(/^\s*<!--\s*subject:\s*(.+?)\s*-->\s*/);
+  const subject = match ? match[1] : name;
+  const body = interpolate(match ? source.slice(match[0].length) : source, data);
+
+  const layout = readTemplate('layout', language);
+  const html = layout
+    ? interpolate(layout, { year: new Date().getFullYear(), ...data, body })
+    : body;
+
+  return { subject, html, text: htmlToText(body) };
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  languageFromRequest,
+  renderTemplate
+};
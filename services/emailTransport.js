@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+// Các driver gửi email, chọn qua EMAIL_TRANSPORT (sendgrid | smtp | file | console).
+// Không cấu hình thì tự chọn: SendGrid nếu có SENDGRID_API_KEY, SMTP nếu có SMTP_HOST,
+// ngoài môi trường production thì dùng console.
+// Mỗi driver có send(message) trả về { id } hoặc ném lỗi; message = { from, to, subject, html, text }.
+
+const createSendgridTransport = () => {
+  if (!process.env.SENDGRID_API_KEY) throw new Error('SENDGRID_API_KEY chưa được cấu hình');
+  const sgMail = require('@sendgrid/mail');
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+  return {
+    name: 'sendgrid',
+    send: async (message) => {
+      try {
+        const [response] = await sgMail.send(message);
+        return { id: response && response.headers ? response.headers['x-message-id'] || null : null };
+      } catch (error) {
+        const detail = error.response && error.response.body ? JSON.stringify(error.response.body) : error.message;
+        throw new Error(`SendGrid: ${detail}`);
+      }
+    }
+  };
+};
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST chưa được cấu hình');
+  const nodemailer = require('nodemailer');
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ from, ...message }) => {
+      const info = await transporter.sendMail({ ...message, from: { name: from.name, address: from.email } });
+      return { id: info.messageId || null };
+    }
+  };
+};
+
+// Ghi mỗi email thành một file JSON (dùng cho phát triển và kiểm thử)
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'storage', 'emails'));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.promises.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    }
+  };
+};
+
+// In email ra console (chỉ dùng khi phát triển: nội dung có thể chứa mã OTP)
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 [email] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+    return { id: null };
+  }
+});
+
+const DRIVERS = {
+  sendgrid: createSendgridTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const resolveDriverName = () => {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT.toLowerCase();
+  if (process.env.SENDGRID_API_KEY) return 'sendgrid';
+  if (process.env.SMTP_HOST) return 'smtp';
+  if (process.env.NODE_ENV !== 'production') return 'console';
+  return null;
+};
+
+let transport = null;
+
+/**
+ * Lấy transport hiện tại (khởi tạo một lần). Ném lỗi nếu chưa cấu hình hoặc cấu hình sai.
+ */
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name = resolveDriverName();
+  if (!name) throw new Error('Chưa cấu hình dịch vụ gửi email (EMAIL_TRANSPORT, SENDGRID_API_KEY hoặc SMTP_HOST)');
+  if (!DRIVERS[name]) throw new Error(`EMAIL_TRANSPORT không hợp lệ: ${name}`);
+
+  if (process.env.NODE_ENV === 'production' && (name === 'file' || name === 'console')) {
+    console.warn(`⚠️  Email transport "${name}" chỉ nên dùng khi phát triển`);
+  }
+
+  transport = DRIVERS[name]();
+  return transport;
+};
+
+module.exports = {
+  getTransport
+};
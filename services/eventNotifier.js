@@ -0,0 +1,132 @@
+const { pool } = require('../config/database');
+const { emitToUser } = require('./realtime');
+
+// Thông báo sự kiện theo events.notification_times (số phút trước event_date, vd [1440, 60, 0]).
+// Mỗi lần gửi được ghi vào notification_deliveries (khóa duy nhất theo sự kiện + thời điểm + offset)
+// nên dù server khởi động lại, quét chậm hay chạy nhiều instance thì mỗi mốc chỉ gửi một lần.
+
+const NOW_TZ = "NOW() AT TIME ZONE 'Asia/Ho_Chi_Minh'";
+
+// Bù các mốc bị lỡ (server tắt, quét chậm) cho sự kiện bắt đầu trong khoảng này trở lại đây
+const CATCH_UP_WINDOW = "INTERVAL '1 day'";
+
+// Mốc gửi trễ hơn khoảng này so với thời điểm cần gửi được đánh dấu missed (quét mỗi phút nên trễ vài phút là bình thường)
+const LATE_AFTER_SECONDS = 5 * 60;
+
+const RECURRENCE_INTERVALS = {
+    daily: '1 day',
+    weekly: '1 week',
+    monthly: '1 month',
+    yearly: '1 year'
+};
+
+// Chuẩn hóa danh sách offset: số nguyên không âm, không trùng, giảm dần
+const normalizeNotificationTimes = (times) => [...new Set(times.map(Number))].sort((a, b) => b - a);
+
+const formatRemaining = (seconds) => {
+    const minutes = Math.max(0, Math.round(seconds / 60));
+    if (minutes >= 1440) return `${Math.round(minutes / 1440)} ngày`;
+    if (minutes >= 60) return `${Math.round(minutes / 60)} giờ`;
+    return `${minutes} phút`;
+};
+
+/**
+ * Gửi các mốc thông báo đã đến hạn mà chưa gửi, kể cả mốc bị lỡ khi server tắt hoặc quét chậm.
+ * Với mỗi lần diễn ra chỉ gửi mốc gần nhất trong các mốc đang chờ (offset nhỏ nhất); các mốc cũ hơn
+ * (vd. mốc 1 ngày và 1 giờ trước của sự kiện vừa tạo 30 phút trước giờ diễn ra) chỉ được ghi nhận
+ * để không gửi nhiều thông báo giống nhau. Mốc gửi trễ mang missed = true để client hiển thị như nhắc muộn.
+ */
+const sendDueEventNotifications = async () => {
+    const dueRes = await pool.query(`
+        SELECT
+            e.id, e.user_id, e.title, e.event_date, o.offset_minutes,
+            EXTRACT(EPOCH FROM (e.event_date - ${NOW_TZ})) AS seconds_until,
+            EXTRACT(EPOCH FROM (${NOW_TZ} - (e.event_date - make_interval(mins => o.offset_minutes)))) AS seconds_late,
+            o.offset_minutes = MIN(o.offset_minutes) OVER (PARTITION BY e.id) AS is_nearest
+        FROM events e
+        CROSS JOIN LATERAL unnest(COALESCE(e.notification_times, ARRAY[0])) AS o(offset_minutes)
+        WHERE e.is_deleted = false
+          AND e.notification_enabled = true
+          AND e.event_date - make_interval(mins => o.offset_minutes) <= ${NOW_TZ}
+          AND e.event_date > ${NOW_TZ} - ${CATCH_UP_WINDOW}
+          AND NOT EXISTS (
+              SELECT 1 FROM notification_deliveries d
+              WHERE d.source_type = 'event' AND d.source_id = e.id
+                AND d.occurrence_at = e.event_date AND d.offset_minutes = o.offset_minutes
+          )
+        ORDER BY e.id, o.offset_minutes DESC
+    `);
+
+    let sent = 0;
+    for (const e of dueRes.rows) {
+        // Chỉ instance ghi được bản ghi delivery mới được gửi
+        const claim = await pool.query(
+            `INSERT INTO notification_deliveries (user_id, source_type, source_id, occurrence_at, offset_minutes)
+             VALUES ($1, 'event', $2, $3, $4)
+             ON CONFLICT DO NOTHING RETURNING id`,
+            [e.user_id, e.id, e.event_date, e.offset_minutes]
+        );
+        if (!claim.rows.length || !e.is_nearest) continue;
+
+        const seconds = parseFloat(e.seconds_until);
+        const missed = parseFloat(e.seconds_late) > LATE_AFTER_SECONDS;
+        let message = `Sự kiện: ${e.title}`;
+        if (seconds > 60) message = `Sự kiện "${e.title}" sẽ diễn ra sau ${formatRemaining(seconds)}`;
+        else if (seconds < -60) message = `Sự kiện "${e.title}" đã bắt đầu ${formatRemaining(-seconds)} trước`;
+        emitToUser(e.user_id, 'event_due', {
+            id: e.id,
+            title: missed ? 'Nhắc sự kiện (gửi muộn)' : 'Sự kiện sắp diễn ra',
+            message,
+            time: e.event_date,
+            offset_minutes: e.offset_minutes,
+            missed
+        });
+        sent++;
+    }
+    return sent;
+};
+
+// Dời các sự kiện lặp lại đã qua tới lần diễn ra đầu tiên sau hiện tại (bỏ qua các lần đã lỡ khi server tắt,
+// để không gửi lại thông báo cũ cho từng lần). Số chu kỳ đã qua được ước lượng (tháng/năm theo age() để giữ
+// đúng ngày trong tháng) rồi lấy bội số nhỏ nhất vượt qua hiện tại.
+// Một câu UPDATE duy nhất: nếu hai instance chạy cùng lúc, instance sau thấy event_date đã ở tương lai nên không dời thêm.
+const advanceRecurringEvents = async () => {
+    const cases = Object.entries(RECURRENCE_INTERVALS)
+        .map(([pattern, interval]) => `WHEN '${pattern}' THEN INTERVAL '${interval}'`)
+        .join(' ');
+    const age = `age(${NOW_TZ}, event_date)`;
+
+    const result = await pool.query(`
+        WITH due AS (
+            SELECT id, CASE recurrence_pattern ${cases} END AS step,
+                   CASE recurrence_pattern
+                       WHEN 'monthly' THEN EXTRACT(YEAR FROM ${age}) * 12 + EXTRACT(MONTH FROM ${age})
+                       WHEN 'yearly' THEN EXTRACT(YEAR FROM ${age})
+                       ELSE floor(EXTRACT(EPOCH FROM (${NOW_TZ} - event_date))
+                                  / EXTRACT(EPOCH FROM CASE recurrence_pattern ${cases} END))
+                   END::int AS elapsed
+            FROM events
+            WHERE is_recurring = true AND recurrence_pattern IN ('${Object.keys(RECURRENCE_INTERVALS).join("', '")}')
+              AND is_deleted = false AND event_date <= ${NOW_TZ}
+        )
+        UPDATE events e
+        SET event_date = (
+                SELECT e.event_date + due.step * g
+                FROM generate_series(due.elapsed, due.elapsed + 2) AS g
+                WHERE e.event_date + due.step * g > ${NOW_TZ}
+                ORDER BY g
+                LIMIT 1
+            ),
+            updated_at = NOW()
+        FROM due
+        WHERE e.id = due.id AND e.event_date <= ${NOW_TZ}
+        RETURNING e.id
+    `);
+    return result.rowCount;
+};
+
+module.exports = {
+    normalizeNotificationTimes,
+    sendDueEventNotifications,
+    advanceRecurringEvents
+};
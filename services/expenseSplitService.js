@@ -0,0 +1,115 @@
+// Tách một khoản thu/chi thành nhiều phần, mỗi phần một danh mục và số tiền (cùng tiền tệ với khoản đó).
+// Tổng các phần phải bằng số tiền của khoản; expenses.category_id giữ danh mục của phần lớn nhất
+// để client chưa hỗ trợ tách vẫn hiển thị được. Ngân sách và thống kê tính theo view expense_lines.
+
+const MAX_SPLITS = 20;
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+/**
+ * Đọc splits từ body (multipart gửi chuỗi JSON). Trả về undefined nếu không gửi,
+ * null nếu không đọc được, ngược lại là mảng [{ category_id, amount, description }].
+ */
+const parseSplits = (value) => {
+    if (value === undefined) return undefined;
+    let splits = value;
+    if (typeof value === 'string') {
+        if (value.trim() === '') return [];
+        try {
+            splits = JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+    if (splits === null) return [];
+    if (!Array.isArray(splits) || splits.some(split => !split || typeof split !== 'object')) return null;
+    return splits.map(split => ({
+        category_id: split.category_id === undefined || split.category_id === '' ? null : split.category_id,
+        amount: split.amount,
+        description: split.description ? String(split.description).trim().slice(0, 255) : null
+    }));
+};
+
+/**
+ * Kiểm tra các phần tách của khoản { amount, type }. Trả về thông báo lỗi hoặc null.
+ * Mảng rỗng (bỏ tách) luôn hợp lệ.
+ */
+const validateSplits = async (db, userId, splits, { amount, type }) => {
+    if (!splits.length) return null;
+    if (type === 'transfer') return 'Chuyển tiền không thể tách theo danh mục';
+    if (splits.length < 2 || splits.length > MAX_SPLITS) return `Cần từ 2 đến ${MAX_SPLITS} phần tách`;
+    // Số tiền dương, tối đa 2 chữ số thập phân
+    if (splits.some(split => !(Number(split.amount) > 0) || Math.abs(Number(split.amount) * 100 - toCents(split.amount)) > 1e-6)) {
+        return 'Số tiền của phần tách không hợp lệ';
+    }
+    if (splits.some(split => split.category_id === null || !Number.isInteger(Number(split.category_id)))) {
+        return 'Mỗi phần tách cần một danh mục';
+    }
+
+    const total = splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+    if (total !== toCents(amount)) return 'Tổng các phần tách phải bằng số tiền của giao dịch';
+
+    const categoryIds = [...new Set(splits.map(split => Number(split.category_id)))];
+    const owned = await db.query('SELECT id FROM categories WHERE user_id = $1 AND id = ANY($2::int[])', [userId, categoryIds]);
+    return owned.rows.length === categoryIds.length ? null : 'Danh mục của phần tách không hợp lệ';
+};
+
+// Danh mục của phần lớn nhất (phần đầu tiên nếu bằng nhau)
+const mainCategoryId = (splits) => splits.reduce(
+    (main, split) => (Number(split.amount) > Number(main.amount) ? split : main)
+).category_id;
+
+// Các danh mục cần kiểm tra ngân sách: của các phần tách, hoặc danh mục của khoản nếu không tách
+const splitCategoryIds = (expense, splits) => (
+    splits && splits.length ? [...new Set(splits.map(split => Number(split.category_id)))] : expense.category_id
+);
+
+// Ghi đè các phần tách của khoản (mảng rỗng: bỏ tách). `db` nên là client đang trong transaction.
+const replaceExpenseSplits = async (db, expenseId, splits) => {
+    await db.query('DELETE FROM expense_splits WHERE expense_id = $1', [expenseId]);
+    if (!splits.length) return [];
+    const result = await db.query(
+        `INSERT INTO expense_splits (expense_id, category_id, amount, description)
+         SELECT $1, s.category_id, s.amount, s.description
+         FROM unnest($2::int[], $3::numeric[], $4::text[]) WITH ORDINALITY AS s(category_id, amount, description, position)
+         ORDER BY s.position
+         RETURNING *`,
+        [expenseId, splits.map(s => Number(s.category_id)), splits.map(s => Number(s.amount)), splits.map(s => s.description)]
+    );
+    return result.rows.sort((a, b) => a.id - b.id);
+};
+
+const loadExpenseSplits = async (db, expenseId) => {
+    const result = await db.query('SELECT * FROM expense_splits WHERE expense_id = $1 ORDER BY id', [expenseId]);
+    return result.rows;
+};
+
+// Cột splits (mảng JSON) cho câu SELECT danh sách khoản thu/chi
+const splitsJsonSql = (alias) => `COALESCE((
+    SELECT json_agg(json_build_object('id', s.id, 'category_id', s.category_id, 'amount', s.amount, 'description', s.description)
+                    ORDER BY s.id)
+    FROM expense_splits s WHERE s.expense_id = ${alias}.id
+), '[]'::json)`;
+
+/**
+ * Hook beforeUpdate của đồng bộ: client chưa biết các phần tách nên khi đổi số tiền, danh mục hoặc
+ * chuyển thành chuyển tiền thì các phần tách không còn đúng và bị bỏ (khoản quay về một danh mục).
+ */
+const dropStaleSplits = async (db, existing, data) => {
+    const amountChanged = data.amount !== undefined && toCents(data.amount) !== toCents(existing.amount);
+    const categoryChanged = data.category_id !== undefined && Number(data.category_id) !== existing.category_id;
+    if (amountChanged || categoryChanged || data.type === 'transfer') {
+        await db.query('DELETE FROM expense_splits WHERE expense_id = $1', [existing.id]);
+    }
+};
+
+module.exports = {
+    parseSplits,
+    validateSplits,
+    mainCategoryId,
+    splitCategoryIds,
+    replaceExpenseSplits,
+    loadExpenseSplits,
+    splitsJsonSql,
+    dropStaleSplits
+};
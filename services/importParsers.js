@@ -0,0 +1,322 @@
+const { addDays } = require('./budgetPeriods');
+
+// Đọc sao kê ngân hàng (CSV, OFX, QIF) thành các dòng giao dịch chuẩn hóa:
+// { line, date: 'YYYY-MM-DD', amount (> 0), type: income | expense, description, payment_method,
+//   category_name, currency, external_id }. Dòng không đọc được được trả về trong errors, không làm hỏng cả file.
+
+const IMPORT_FORMATS = ['csv', 'ofx', 'qif'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+const MAX_IMPORT_ROWS = 2000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Định dạng theo phần mở rộng của file, mặc định CSV
+const detectFormat = (fileName = '') => {
+    const ext = fileName.split('.').pop().toLowerCase();
+    if (ext === 'ofx' || ext === 'qfx') return 'ofx';
+    if (ext === 'qif') return 'qif';
+    return 'csv';
+};
+
+/**
+ * Đọc ngày theo định dạng (dấu phân cách / - . ' đều được, năm 2 chữ số là 20xx).
+ * Trả về 'YYYY-MM-DD' hoặc null.
+ */
+const parseDate = (value, format = 'YYYY-MM-DD') => {
+    const text = String(value || '').replace(/\s/g, '');
+    let year;
+    let month;
+    let day;
+
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})/); // OFX: YYYYMMDD[HHMMSS...]
+    const parts = text.split(/[/\-.']/);
+    if (compact && parts.length === 1) {
+        [, year, month, day] = compact;
+    } else if (parts.length === 3) {
+        if (format === 'YYYY-MM-DD' || parts[0].length === 4) [year, month, day] = parts;
+        else if (format === 'MM/DD/YYYY') [month, day, year] = parts;
+        else [day, month, year] = parts;
+        year = year.slice(0, 4);
+    } else {
+        return null;
+    }
+
+    if (year.length === 2) year = `20${year}`;
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && addDays(date, 0) === date ? date : null;
+};
+
+/**
+ * Đọc số tiền: bỏ ký hiệu tiền tệ/khoảng trắng, "(100)" là số âm.
+ * decimalSeparator: '.' | ',' | null (tự nhận: có cả hai dấu thì dấu sau cùng là dấu thập phân;
+ * một dấu lặp nhiều lần hoặc theo sau bởi đúng 3 chữ số là dấu phân cách hàng nghìn).
+ */
+const parseAmount = (value, decimalSeparator = null) => {
+    let text = String(value === undefined || value === null ? '' : value).trim();
+    const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d\-.,]/g, ''));
+    text = text.replace(/[^\d.,]/g, '');
+    if (!text) return null;
+
+    let decimal = decimalSeparator;
+    if (!decimal) {
+        const lastDot = text.lastIndexOf('.');
+        const lastComma = text.lastIndexOf(',');
+        const separator = lastComma > lastDot ? ',' : '.';
+        const other = separator === '.' ? ',' : '.';
+        if (lastDot >= 0 && lastComma >= 0) decimal = separator;
+        // Chỉ một loại dấu: lặp nhiều lần hoặc đứng trước đúng 3 chữ số (25.000) là dấu hàng nghìn
+        else if (text.split(separator).length > 2 || /^\d{3}$/.test(text.split(separator)[1])) decimal = other;
+        else decimal = separator;
+    }
+    const thousands = decimal === '.' ? ',' : '.';
+    const number = Number(text.split(thousands).join('').replace(decimal, '.'));
+    if (!Number.isFinite(number)) return null;
+    return negative ? -number : number;
+};
+
+// Loại giao dịch từ một ô chữ (Thu/Chi, Credit/Debit, CR/DR...), null nếu không nhận ra
+const parseType = (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (['income', 'thu', 'credit', 'cr', 'c', 'deposit', 'in', '+'].includes(text)) return 'income';
+    if (['expense', 'chi', 'debit', 'dr', 'd', 'withdrawal', 'out', '-'].includes(text)) return 'expense';
+    return null;
+};
+
+// Tách CSV (hỗ trợ ô trong ngoặc kép chứa dấu phân cách, xuống dòng và "" thoát)
+const splitCsv = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push({ line: rowLine, cells: row });
+    }
+    return rows.filter(r => r.cells.some(c => c.trim() !== ''));
+};
+
+// Dấu phân cách xuất hiện nhiều nhất ở dòng đầu
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/)[0] || '';
+    return [',', ';', '\t'].reduce((best, d) => (
+        firstLine.split(d).length > firstLine.split(best).length ? d : best
+    ), ',');
+};
+
+const CSV_FIELDS = ['date', 'amount', 'description', 'type', 'debit', 'credit', 'payment_method', 'category', 'currency', 'external_id'];
+
+/**
+ * Đọc CSV theo mapping cột: { date, amount | debit + credit, description, type, payment_method, category, currency, external_id }.
+ * Giá trị mapping là tên cột (khi có dòng tiêu đề) hoặc số thứ tự cột bắt đầu từ 0.
+ * @param {object} options - { mapping, dateFormat, decimalSeparator, delimiter, hasHeader (mặc định true), invertSign }
+ */
+const parseCsv = (text, options = {}) => {
+    const { mapping = {}, dateFormat, decimalSeparator = null, hasHeader = true, invertSign = false } = options;
+    const rows = [];
+    const errors = [];
+    const table = splitCsv(text, options.delimiter || detectDelimiter(text));
+    if (!table.length) return { rows, errors };
+
+    const header = hasHeader ? table[0].cells.map(cell => cell.trim().toLowerCase()) : [];
+    const columns = {};
+    for (const field of CSV_FIELDS) {
+        const ref = mapping[field];
+        if (ref === undefined || ref === null || ref === '') continue;
+        const index = /^\d+$/.test(String(ref)) ? Number(ref) : header.indexOf(String(ref).trim().toLowerCase());
+        if (index < 0) {
+            errors.push({ line: 1, message: `Không tìm thấy cột "${ref}" cho ${field}` });
+            return { rows, errors };
+        }
+        columns[field] = index;
+    }
+    if (columns.date === undefined || (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined)) {
+        errors.push({ line: 1, message: 'mapping cần cột date và amount (hoặc debit/credit)' });
+        return { rows, errors };
+    }
+
+    const cell = (cells, field) => (columns[field] === undefined ? '' : (cells[columns[field]] || '').trim());
+
+    for (const { line, cells } of table.slice(hasHeader ? 1 : 0)) {
+        const date = parseDate(cell(cells, 'date'), dateFormat);
+        if (!date) {
+            errors.push({ line, message: `Ngày không hợp lệ: "${cell(cells, 'date')}"` });
+            continue;
+        }
+
+        let amount;
+        let type = parseType(cell(cells, 'type'));
+        if (columns.amount !== undefined) {
+            amount = parseAmount(cell(cells, 'amount'), decimalSeparator);
+            if (amount !== null && invertSign) amount = -amount;
+            if (amount !== null && !type) type = amount < 0 ? 'expense' : 'income';
+        } else {
+            const debit = parseAmount(cell(cells, 'debit'), decimalSeparator);
+            const credit = parseAmount(cell(cells, 'credit'), decimalSeparator);
+            amount = debit ? debit : credit;
+            if (!type) type = debit ? 'expense' : 'income';
+        }
+        if (amount === null || amount === 0) {
+            errors.push({ line, message: 'Số tiền không hợp lệ' });
+            continue;
+        }
+
+        rows.push({
+            line,
+            date,
+            amount: Math.abs(amount),
+            type,
+            description: cell(cells, 'description') || null,
+            payment_method: cell(cells, 'payment_method') || null,
+            category_name: cell(cells, 'category') || null,
+            currency: cell(cells, 'currency').toUpperCase() || null,
+            external_id: cell(cells, 'external_id') || null
+        });
+    }
+    return { rows, errors };
+};
+
+// Giá trị của thẻ OFX (SGML không cần thẻ đóng hoặc XML)
+const ofxTag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+};
+
+/**
+ * Đọc OFX/QFX: mỗi <STMTTRN> là một giao dịch (TRNAMT âm là khoản chi, FITID dùng để nhận diện trùng).
+ */
+const parseOfx = (text) => {
+    const rows = [];
+    const errors = [];
+    const currency = ofxTag(text, 'CURDEF').toUpperCase() || null;
+
+    text.split(/<STMTTRN>/i).slice(1).forEach((chunk, index) => {
+        const block = chunk.split(/<\/STMTTRN>/i)[0];
+        const line = index + 1; // số thứ tự giao dịch trong file
+        // DTPOSTED: YYYYMMDD[HHMMSS[.XXX]][[-5:EST]] - chỉ lấy phần ngày
+        const posted = String(ofxTag(block, 'DTPOSTED') || '').match(/^\s*(\d{8})/);
+        const date = posted ? parseDate(posted[1]) : null;
+        const amount = parseAmount(ofxTag(block, 'TRNAMT'), '.');
+        if (!date || amount === null || amount === 0) {
+            errors.push({ line, message: 'Giao dịch thiếu ngày hoặc số tiền' });
+            return;
+        }
+        const name = ofxTag(block, 'NAME');
+        const memo = ofxTag(block, 'MEMO');
+        rows.push({
+            line,
+            date,
+            amount: Math.abs(amount),
+            type: amount < 0 ? 'expense' : 'income',
+            description: [name, memo].filter(Boolean).filter((v, i, all) => all.indexOf(v) === i).join(' - ') || null,
+            payment_method: null,
+            category_name: null,
+            currency,
+            external_id: ofxTag(block, 'FITID') || null
+        });
+    });
+    return { rows, errors };
+};
+
+/**
+ * Đọc QIF: mỗi giao dịch kết thúc bằng "^" (D ngày, T/U số tiền, P người nhận, M ghi chú, L danh mục).
+ * @param {object} options - { dateFormat (mặc định MM/DD/YYYY), decimalSeparator }
+ */
+const parseQif = (text, { dateFormat = 'MM/DD/YYYY', decimalSeparator = null } = {}) => {
+    const rows = [];
+    const errors = [];
+    let record = {};
+    let startLine = 1;
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const lineText = raw.trim();
+        if (!lineText || lineText.startsWith('!')) return;
+        if (!Object.keys(record).length) startLine = index + 1;
+
+        const code = lineText[0];
+        const value = lineText.slice(1).trim();
+        if (code !== '^') {
+            if (code === 'L' || !record[code]) record[code] = value;
+            return;
+        }
+
+        const date = parseDate(record.D, dateFormat);
+        const amount = parseAmount(record.T || record.U, decimalSeparator);
+        if (!date || amount === null || amount === 0) {
+            errors.push({ line: startLine, message: 'Giao dịch thiếu ngày hoặc số tiền' });
+        } else {
+            const category = (record.L || '').replace(/^\[.*\]$/, ''); // [Tài khoản] là chuyển khoản, không phải danh mục
+            rows.push({
+                line: startLine,
+                date,
+                amount: Math.abs(amount),
+                type: amount < 0 ? 'expense' : 'income',
+                description: [record.P, record.M].filter(Boolean).join(' - ') || null,
+                payment_method: null,
+                category_name: category.split(':')[0] || null,
+                currency: null,
+                external_id: record.N || null
+            });
+        }
+        record = {};
+    });
+    return { rows, errors };
+};
+
+/**
+ * Đọc file sao kê theo định dạng. Trả về { rows, errors }.
+ */
+const parseStatement = (text, format, options = {}) => {
+    const content = String(text).replace(/^\uFEFF/, '');
+    let result;
+    if (format === 'ofx') result = parseOfx(content);
+    else if (format === 'qif') result = parseQif(content, options);
+    else result = parseCsv(content, options);
+
+    if (result.rows.length > MAX_IMPORT_ROWS) {
+        result.errors.push({ line: null, message: `Tối đa ${MAX_IMPORT_ROWS} giao dịch mỗi lần import` });
+        result.rows = result.rows.slice(0, MAX_IMPORT_ROWS);
+    }
+    return result;
+};
+
+module.exports = {
+    IMPORT_FORMATS,
+    DATE_FORMATS,
+    MAX_IMPORT_ROWS,
+    detectFormat,
+    parseDate,
+    parseAmount,
+    parseStatement
+};
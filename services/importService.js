@@ -0,0 +1,287 @@
+const { pool } = require('../config/database');
+const { STORAGE_TIMEZONE, addDays } = require('./budgetPeriods');
+const { getUserBudgetSettings } = require('./budgetService');
+const { isCurrencyCode } = require('./currencyService');
+const { loadOwnedAccounts } = require('./accountService');
+const { normalizeText, loadCategoryRules, matchCategoryRule } = require('./categoryRuleService');
+
+// Import sao kê: bước xem trước (đọc file, đánh dấu giao dịch có thể trùng, gợi ý danh mục) không ghi gì;
+// bước xác nhận ghi các dòng client gửi lại trong một transaction, gắn với một import_batches để
+// có thể hoàn tác cả lô (xóa mềm các giao dịch của lô, đồng bộ lan ra các thiết bị khác như xóa thường).
+
+const MATCH_WINDOW_DAYS = 1;
+
+// Mô tả coi là giống nhau: trùng sau khi chuẩn hóa, chuỗi này chứa chuỗi kia, hoặc chung từ 50% số từ
+const similarDescriptions = (a, b) => {
+    const x = normalizeText(a);
+    const y = normalizeText(b);
+    if (!x || !y) return false;
+    if (x === y || x.includes(y) || y.includes(x)) return true;
+    const words = new Set(x.split(' '));
+    const other = y.split(' ');
+    const common = other.filter(word => words.has(word)).length;
+    return common / Math.max(words.size, other.length) >= 0.5;
+};
+
+// Giao dịch đã có có thể trùng với dòng import (cùng loại, số tiền, ngày lệch tối đa MATCH_WINDOW_DAYS)
+const findExistingMatches = async (db, userId, rows, timezone) => {
+    if (!rows.length) return [];
+    const result = await db.query(
+        `SELECT r.idx, e.id, e.amount, e.description, e.import_external_id,
+                (((e.date AT TIME ZONE '${STORAGE_TIMEZONE}') AT TIME ZONE $6)::date)::text AS day
+         FROM unnest($2::int[], $3::date[], $4::numeric[], $5::text[]) AS r(idx, day, amount, type)
+         JOIN expenses e
+           ON e.user_id = $1 AND e.is_deleted = false
+          AND e.amount = r.amount AND e.type = r.type
+          AND ((e.date AT TIME ZONE '${STORAGE_TIMEZONE}') AT TIME ZONE $6)::date
+              BETWEEN r.day - ${MATCH_WINDOW_DAYS} AND r.day + ${MATCH_WINDOW_DAYS}
+         ORDER BY r.idx, e.id`,
+        [userId, rows.map((_, i) => i), rows.map(r => r.date), rows.map(r => r.amount), rows.map(r => r.type), timezone]
+    );
+    return result.rows;
+};
+
+// Giao dịch đã import trước đó theo mã giao dịch của ngân hàng (FITID)
+const findByExternalId = async (db, userId, rows) => {
+    const ids = [...new Set(rows.map(r => r.external_id).filter(Boolean))];
+    if (!ids.length) return new Map();
+    const result = await db.query(
+        `SELECT id, import_external_id FROM expenses
+         WHERE user_id = $1 AND is_deleted = false AND import_external_id = ANY($2::text[])`,
+        [userId, ids]
+    );
+    return new Map(result.rows.map(row => [row.import_external_id, row.id]));
+};
+
+/**
+ * Xem trước các dòng đã đọc từ file: gắn danh mục (theo tên trong file hoặc quy tắc của user)
+ * và đánh dấu trùng. duplicate.confidence: exact (cùng mã giao dịch ngân hàng),
+ * likely (cùng ngày và mô tả giống), possible (cùng số tiền, ngày lệch tối đa 1 ngày hoặc mô tả khác).
+ * Dòng trùng exact/likely được đề xuất bỏ qua (selected = false).
+ */
+const previewImport = async (db, userId, rows) => {
+    const settings = await getUserBudgetSettings(db, userId);
+    const [categoriesRes, rules, matches, byExternalId] = await Promise.all([
+        db.query('SELECT id, name FROM categories WHERE user_id = $1', [userId]),
+        loadCategoryRules(db, userId),
+        findExistingMatches(db, userId, rows, settings.timezone),
+        findByExternalId(db, userId, rows)
+    ]);
+    const categoriesByName = new Map(categoriesRes.rows.map(c => [normalizeText(c.name), c]));
+    const matchesByRow = new Map();
+    matches.forEach((match) => {
+        if (!matchesByRow.has(match.idx)) matchesByRow.set(match.idx, []);
+        matchesByRow.get(match.idx).push(match);
+    });
+
+    const seen = new Map();
+    const preview = rows.map((row, idx) => {
+        let category = null;
+        let categorySource = null;
+        let ruleId = null;
+        if (row.category_name && categoriesByName.has(normalizeText(row.category_name))) {
+            category = categoriesByName.get(normalizeText(row.category_name));
+            categorySource = 'file';
+        } else {
+            const rule = matchCategoryRule(rules, row);
+            if (rule) {
+                category = { id: rule.category_id, name: rule.category_name };
+                categorySource = 'rule';
+                ruleId = rule.id;
+            }
+        }
+
+        let duplicate = null;
+        if (row.external_id && byExternalId.has(row.external_id)) {
+            duplicate = { expense_id: byExternalId.get(row.external_id), confidence: 'exact' };
+        } else {
+            const candidates = matchesByRow.get(idx) || [];
+            const likely = candidates.find(c => c.day === row.date && (similarDescriptions(c.description, row.description)
+                || !c.description || !row.description));
+            if (likely) duplicate = { expense_id: likely.id, confidence: 'likely' };
+            else if (candidates.length) duplicate = { expense_id: candidates[0].id, confidence: 'possible' };
+        }
+
+        // Trùng ngay trong file (cùng ngày, loại, số tiền và mô tả)
+        const key = [row.date, row.type, row.amount, normalizeText(row.description), row.external_id || ''].join('|');
+        if (!duplicate && seen.has(key)) duplicate = { line: seen.get(key), confidence: 'likely' };
+        if (!seen.has(key)) seen.set(key, row.line);
+
+        return {
+            ...row,
+            category_id: category ? category.id : null,
+            category_name: category ? category.name : row.category_name,
+            category_source: categorySource,
+            rule_id: ruleId,
+            duplicate,
+            selected: !duplicate || duplicate.confidence === 'possible'
+        };
+    });
+
+    return {
+        baseCurrency: settings.baseCurrency,
+        rows: preview,
+        summary: {
+            total: preview.length,
+            duplicates: preview.filter(r => r.duplicate).length,
+            categorized: preview.filter(r => r.category_id).length,
+            selected: preview.filter(r => r.selected).length
+        }
+    };
+};
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && addDays(value, 0) === value;
+
+// Kiểm tra các dòng client xác nhận; trả về danh sách lỗi { index, message }
+const validateImportRows = async (db, userId, rows) => {
+    const errors = [];
+    const isRow = row => row !== null && typeof row === 'object' && !Array.isArray(row);
+    rows.forEach((row, index) => {
+        if (!isRow(row)) {
+            errors.push({ index, message: 'Dòng phải là object' });
+            return;
+        }
+        if (!isValidDate(row.date)) errors.push({ index, message: 'Ngày không hợp lệ (YYYY-MM-DD)' });
+        if (!(Number(row.amount) > 0)) errors.push({ index, message: 'Số tiền không hợp lệ' });
+        if (!['income', 'expense'].includes(row.type)) errors.push({ index, message: 'Loại không hợp lệ' });
+        if (row.currency && !isCurrencyCode(row.currency)) errors.push({ index, message: 'Mã tiền tệ không hợp lệ' });
+    });
+
+    const categoryIds = [...new Set(rows.filter(isRow).map(r => r.category_id)
+        .filter(id => id !== null && id !== undefined).map(Number).filter(Number.isInteger))];
+    const owned = categoryIds.length
+        ? await db.query('SELECT id FROM categories WHERE user_id = $1 AND id = ANY($2::int[])', [userId, categoryIds])
+        : { rows: [] };
+    const ownedIds = new Set(owned.rows.map(row => row.id));
+    rows.forEach((row, index) => {
+        if (isRow(row) && row.category_id !== null && row.category_id !== undefined && !ownedIds.has(Number(row.category_id))) {
+            errors.push({ index, message: 'Danh mục không hợp lệ' });
+        }
+    });
+    return errors;
+};
+
+/**
+ * Ghi các dòng đã xác nhận thành giao dịch của một lô import (một transaction).
+ * Trả về { batch, errors }; có lỗi thì không ghi gì.
+ * @param {object} options - { format, fileName, accountId }
+ */
+const commitImport = async (userId, rows, { format, fileName = null, accountId = null }) => {
+    const errors = await validateImportRows(pool, userId, rows);
+    if (accountId && !(await loadOwnedAccounts(pool, userId, [accountId]))) {
+        errors.push({ index: null, message: 'Tài khoản không hợp lệ' });
+    }
+    if (errors.length) return { errors };
+
+    // Dòng không được chọn danh mục (bỏ trống lúc xem trước) vẫn được gán theo quy tắc
+    const rules = await loadCategoryRules(pool, userId);
+    const categoryIds = rows.map((row) => {
+        if (row.category_id !== undefined && row.category_id !== null) return Number(row.category_id);
+        const rule = matchCategoryRule(rules, row);
+        return rule ? rule.category_id : null;
+    });
+
+    const settings = await getUserBudgetSettings(pool, userId);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const batchRes = await client.query(
+            `INSERT INTO import_batches (user_id, format, file_name, account_id, row_count)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [userId, format, fileName, accountId, rows.length]
+        );
+        const batch = batchRes.rows[0];
+
+        // Ngày giao dịch = 0h ngày đó theo múi giờ của user; tiền tệ: của dòng, của tài khoản, rồi tiền tệ gốc
+        await client.query(
+            `INSERT INTO expenses (user_id, amount, type, category_id, description, date, payment_method,
+                                   currency, account_id, import_batch_id, import_external_id)
+             SELECT $1, r.amount, r.type, r.category_id, r.description,
+                    (r.day::timestamp AT TIME ZONE $10) AT TIME ZONE '${STORAGE_TIMEZONE}',
+                    r.payment_method,
+                    COALESCE(r.currency, (SELECT currency FROM accounts WHERE id = $11::int), $12),
+                    $11::int, $13, r.external_id
+             FROM unnest($2::numeric[], $3::text[], $4::int[], $5::text[], $6::date[], $7::text[], $8::text[], $9::text[])
+                  AS r(amount, type, category_id, description, day, payment_method, currency, external_id)`,
+            [
+                userId,
+                rows.map(r => Number(r.amount)),
+                rows.map(r => r.type),
+                categoryIds,
+                rows.map(r => r.description || null),
+                rows.map(r => r.date),
+                rows.map(r => r.payment_method || null),
+                rows.map(r => (r.currency ? String(r.currency).toUpperCase() : null)),
+                rows.map(r => r.external_id || null),
+                settings.timezone,
+                accountId,
+                settings.baseCurrency,
+                batch.id
+            ]
+        );
+
+        await client.query('COMMIT');
+        return { batch, errors: [] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Hoàn tác một lô import: xóa mềm các giao dịch của lô. Trả về { batch, removed } hoặc null nếu không tìm thấy.
+ */
+const revertImport = async (userId, batchId) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const batchRes = await client.query(
+            'SELECT * FROM import_batches WHERE id = $1 AND user_id = $2 FOR UPDATE',
+            [batchId, userId]
+        );
+        const batch = batchRes.rows[0];
+        if (!batch || batch.reverted_at) {
+            await client.query('ROLLBACK');
+            return batch ? { batch, removed: 0, alreadyReverted: true } : null;
+        }
+
+        const removed = await client.query(
+            `UPDATE expenses SET is_deleted = true, deleted_at = NOW(), updated_at = NOW(), version = version + 1
+             WHERE user_id = $1 AND import_batch_id = $2 AND is_deleted = false`,
+            [userId, batch.id]
+        );
+        const updated = await client.query(
+            'UPDATE import_batches SET reverted_at = NOW() WHERE id = $1 RETURNING *',
+            [batch.id]
+        );
+        await client.query('COMMIT');
+        return { batch: updated.rows[0], removed: removed.rowCount };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Các lô import của user, mới nhất trước, kèm số giao dịch còn lại (chưa bị xóa)
+const listImportBatches = async (db, userId) => {
+    const result = await db.query(
+        `SELECT b.*,
+                (SELECT COUNT(*) FROM expenses e WHERE e.import_batch_id = b.id AND e.is_deleted = false)::int AS active_count
+         FROM import_batches b
+         WHERE b.user_id = $1
+         ORDER BY b.created_at DESC`,
+        [userId]
+    );
+    return result.rows;
+};
+
+module.exports = {
+    previewImport,
+    commitImport,
+    revertImport,
+    listImportBatches
+};
@@ -0,0 +1,185 @@
+const os = require('os');
+const { pool } = require('../config/database');
+
+// Hàng đợi job lưu trong Postgres.
+// Worker "thuê" job bằng SELECT ... FOR UPDATE SKIP LOCKED kèm thời hạn thuê (lease):
+// nhiều instance chạy song song không lấy trùng job, và job của instance bị chết giữa chừng
+// sẽ được instance khác lấy lại khi hết lease. Job lỗi được thử lại với backoff tăng dần.
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LEASE_SECONDS = 5 * 60;
+const BATCH_SIZE = 10;
+
+const handlers = new Map();
+let timer = null;
+let busy = false;
+
+const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+/**
+ * Thêm job vào hàng đợi. Job có dedupeKey trùng với job đã có sẽ bị bỏ qua (trả về null).
+ * @param {string} type
+ * @param {object} payload
+ * @param {object} [options] - { delaySeconds, dedupeKey, maxAttempts, db }
+ */
+const enqueueJob = async (type, payload = {}, { delaySeconds = 0, dedupeKey = null, maxAttempts = 5, db = pool } = {}) => {
+    const result = await db.query(
+        `INSERT INTO jobs (type, payload, run_at, dedupe_key, max_attempts)
+         VALUES ($1, $2, NOW() + make_interval(secs => $3), $4, $5)
+         ON CONFLICT (dedupe_key) DO NOTHING
+         RETURNING *`,
+        [type, JSON.stringify(payload), delaySeconds, dedupeKey, maxAttempts]
+    );
+    return result.rows[0] || null;
+};
+
+// Job định kỳ: một bản ghi duy nhất cho mỗi loại, tự lên lịch lại sau mỗi lần chạy
+const scheduleRecurringJob = async (type, intervalSeconds, payload = {}) => {
+    await pool.query(
+        `INSERT INTO jobs (type, payload, run_at, dedupe_key, interval_seconds, max_attempts)
+         VALUES ($1, $2, NOW(), $3, $4, 3)
+         ON CONFLICT (dedupe_key) DO UPDATE SET
+            interval_seconds = EXCLUDED.interval_seconds,
+            status = CASE WHEN jobs.status IN ('completed', 'failed') THEN 'pending' ELSE jobs.status END,
+            run_at = CASE WHEN jobs.status IN ('completed', 'failed') THEN NOW() ELSE jobs.run_at END`,
+        [type, JSON.stringify(payload), `recurring:${type}`, intervalSeconds]
+    );
+};
+
+// Job hết lease mà đã dùng hết lượt thử (làm worker chết hoặc treo mỗi lần chạy) không được thuê lại:
+// job thường chuyển sang failed để hiện trong trang admin, job định kỳ chờ tới chu kỳ sau (như failJob)
+const expireExhaustedJobs = () => pool.query(
+    `UPDATE jobs SET
+        status = CASE WHEN interval_seconds IS NULL THEN 'failed' ELSE 'pending' END,
+        run_at = CASE WHEN interval_seconds IS NULL THEN run_at ELSE NOW() + make_interval(secs => interval_seconds) END,
+        attempts = CASE WHEN interval_seconds IS NULL THEN attempts ELSE 0 END,
+        last_error = 'Hết thời hạn thuê sau ' || attempts || ' lần thử (worker bị dừng hoặc treo)',
+        locked_by = NULL, locked_until = NULL, updated_at = NOW()
+     WHERE status = 'running' AND locked_until < NOW() AND attempts >= max_attempts`
+);
+
+// Thuê các job đến hạn, hoặc job đang chạy nhưng đã hết lease (worker cũ bị chết) khi còn lượt thử
+const claimJobs = async () => {
+    const result = await pool.query(
+        `UPDATE jobs SET
+            status = 'running', locked_by = $1, locked_until = NOW() + make_interval(secs => $2),
+            attempts = attempts + 1, updated_at = NOW()
+         WHERE id IN (
+            SELECT id FROM jobs
+            WHERE (status = 'pending' AND run_at <= NOW())
+               OR (status = 'running' AND locked_until < NOW() AND attempts < max_attempts)
+            ORDER BY run_at
+            LIMIT $3
+            FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [WORKER_ID, DEFAULT_LEASE_SECONDS, BATCH_SIZE]
+    );
+    return result.rows;
+};
+
+// Các câu UPDATE kết thúc job đều kiểm tra locked_by: nếu lease đã bị instance khác lấy lại thì không ghi đè
+const completeJob = (job) => {
+    if (job.interval_seconds) {
+        return pool.query(
+            `UPDATE jobs SET status = 'pending', run_at = NOW() + make_interval(secs => interval_seconds),
+                attempts = 0, last_error = NULL, locked_by = NULL, locked_until = NULL,
+                completed_at = NOW(), updated_at = NOW()
+             WHERE id = $1 AND locked_by = $2`,
+            [job.id, WORKER_ID]
+        );
+    }
+    return pool.query(
+        `UPDATE jobs SET status = 'completed', locked_by = NULL, locked_until = NULL, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND locked_by = $2`,
+        [job.id, WORKER_ID]
+    );
+};
+
+// Backoff: 30s, 1 phút, 2 phút, 4 phút... tối đa 1 giờ
+const backoffSeconds = (attempts) => Math.min(30 * 2 ** (attempts - 1), 3600);
+
+const failJob = (job, error) => {
+    const message = String(error && error.stack ? error.stack : error).slice(0, 2000);
+    const exhausted = job.attempts >= job.max_attempts;
+
+    if (exhausted && !job.interval_seconds) {
+        return pool.query(
+            `UPDATE jobs SET status = 'failed', last_error = $3, locked_by = NULL, locked_until = NULL, updated_at = NOW()
+             WHERE id = $1 AND locked_by = $2`,
+            [job.id, WORKER_ID, message]
+        );
+    }
+
+    // Job định kỳ hết lượt thử thì chờ tới chu kỳ sau, không bao giờ dừng hẳn
+    const delay = exhausted ? job.interval_seconds : backoffSeconds(job.attempts);
+    return pool.query(
+        `UPDATE jobs SET status = 'pending', run_at = NOW() + make_interval(secs => $4),
+            attempts = CASE WHEN $5 THEN 0 ELSE attempts END,
+            last_error = $3, locked_by = NULL, locked_until = NULL, updated_at = NOW()
+         WHERE id = $1 AND locked_by = $2`,
+        [job.id, WORKER_ID, message, delay, exhausted]
+    );
+};
+
+const runJob = async (job) => {
+    const handler = handlers.get(job.type);
+    try {
+        if (!handler) throw new Error(`Không có handler cho job "${job.type}"`);
+        await handler(job.payload || {}, job);
+        await completeJob(job);
+    } catch (error) {
+        console.error(`Job ${job.type}#${job.id} failed (attempt ${job.attempts}/${job.max_attempts}):`, error.message);
+        await failJob(job, error);
+    }
+};
+
+const processBatch = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+        await expireExhaustedJobs();
+        const jobs = await claimJobs();
+        for (const job of jobs) {
+            await runJob(job);
+        }
+    } catch (error) {
+        console.error('Job worker error:', error.message);
+    } finally {
+        busy = false;
+    }
+};
+
+// Xóa job đã xong/thất bại quá lâu để bảng không phình ra (job định kỳ không bị xóa)
+const purgeFinishedJobs = async (days = 7) => {
+    const result = await pool.query(
+        `DELETE FROM jobs
+         WHERE status IN ('completed', 'failed') AND interval_seconds IS NULL
+           AND updated_at < NOW() - make_interval(days => $1)`,
+        [days]
+    );
+    return result.rowCount;
+};
+
+// Xử lý ngay các job đến hạn thay vì chờ lượt poll kế tiếp (vd. vừa thêm email cần gửi)
+const wakeJobWorker = () => {
+    if (timer) setImmediate(processBatch);
+};
+
+const startJobWorker = ({ pollIntervalMs = Number(process.env.JOB_POLL_INTERVAL_MS) || 5000 } = {}) => {
+    if (timer) return;
+    timer = setInterval(processBatch, pollIntervalMs);
+    processBatch();
+    console.log(`⚙️  Job worker started (${WORKER_ID})`);
+};
+
+module.exports = {
+    registerJobHandler,
+    enqueueJob,
+    scheduleRecurringJob,
+    purgeFinishedJobs,
+    wakeJobWorker,
+    startJobWorker
+};
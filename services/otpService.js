@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Dịch vụ OTP duy nhất cho đăng ký, đặt lại mật khẩu và đổi email.
+// Chỉ lưu HMAC của mã (không lưu mã gốc), mỗi (user, purpose) có tối đa một mã còn hiệu lực.
+// Thời gian hết hạn/cooldown được tính bằng NOW() của Postgres để không lệch múi giờ.
+
+const OTP_PURPOSES = ['registration', 'password_reset', 'email_change'];
+const OTP_TTL_MINUTES = 10;
+const MAX_OTP_ATTEMPTS = 5; // Số lần nhập tối đa, hết lượt thì mã bị hủy
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// HMAC gắn với user và mục đích: mã của mục đích này không khớp với mục đích khác
+const hashCode = (userId, purpose, code) => crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${purpose}:${code}`)
+    .digest('hex');
+
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Tạo mã mới (thay thế mã cũ cùng mục đích) nếu đã qua thời gian cooldown.
+ * Trả về { success: true, code, expiresInMinutes } hoặc { success: false, message, retryAfter }.
+ * Mã gốc chỉ được trả về để gửi email, không được log.
+ */
+const issueOtp = async (db, { userId, purpose, targetEmail = null }) => {
+    const code = generateCode();
+    const result = await db.query(
+        `INSERT INTO otp_codes (user_id, purpose, code_hash, target_email, expires_at, attempts, sent_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5), 0, NOW())
+         ON CONFLICT (user_id, purpose) DO UPDATE SET
+            code_hash = EXCLUDED.code_hash,
+            target_email = EXCLUDED.target_email,
+            expires_at = EXCLUDED.expires_at,
+            attempts = 0,
+            sent_at = NOW()
+         WHERE otp_codes.sent_at <= NOW() - make_interval(secs => $6)
+         RETURNING id`,
+        [userId, purpose, hashCode(userId, purpose, code), targetEmail, OTP_TTL_MINUTES, OTP_RESEND_COOLDOWN_SECONDS]
+    );
+
+    if (result.rows.length === 0) {
+        const waitRes = await db.query(
+            `SELECT GREATEST(CEIL(EXTRACT(EPOCH FROM (sent_at + make_interval(secs => $3) - NOW()))), 1)::int AS retry_after
+             FROM otp_codes WHERE user_id = $1 AND purpose = $2`,
+            [userId, purpose, OTP_RESEND_COOLDOWN_SECONDS]
+        );
+        const retryAfter = waitRes.rows[0] ? waitRes.rows[0].retry_after : OTP_RESEND_COOLDOWN_SECONDS;
+        return { success: false, retryAfter, message: `Vui lòng đợi ${retryAfter} giây trước khi yêu cầu mã mới` };
+    }
+
+    return { success: true, code, expiresInMinutes: OTP_TTL_MINUTES };
+};
+
+/**
+ * Kiểm tra và tiêu thụ mã. Mỗi lần kiểm tra đều tính là một lượt nhập.
+ * Trả về { success: true, targetEmail } hoặc { success: false, message }.
+ */
+const verifyOtp = async (db, { userId, purpose, code }) => {
+    const attemptRes = await db.query(
+        `UPDATE otp_codes SET attempts = attempts + 1
+         WHERE user_id = $1 AND purpose = $2 AND expires_at > NOW() AND attempts < $3
+         RETURNING id, code_hash, target_email, attempts`,
+        [userId, purpose, MAX_OTP_ATTEMPTS]
+    );
+    const otp = attemptRes.rows[0];
+
+    if (!otp) {
+        const stateRes = await db.query(
+            'SELECT (expires_at <= NOW()) AS expired FROM otp_codes WHERE user_id = $1 AND purpose = $2',
+            [userId, purpose]
+        );
+        const state = stateRes.rows[0];
+        if (!state) return { success: false, message: 'Mã OTP không chính xác' };
+        if (state.expired) return { success: false, message: 'Mã OTP đã hết hạn' };
+        return { success: false, message: 'Nhập sai OTP quá nhiều lần, mã đã bị hủy. Vui lòng yêu cầu mã mới' };
+    }
+
+    if (!safeEqual(otp.code_hash, hashCode(userId, purpose, String(code || '')))) {
+        if (otp.attempts >= MAX_OTP_ATTEMPTS) {
+            return { success: false, message: 'Nhập sai OTP quá nhiều lần, mã đã bị hủy. Vui lòng yêu cầu mã mới' };
+        }
+        return { success: false, message: 'Mã OTP không chính xác' };
+    }
+
+    // Tiêu thụ mã; nếu request khác đã dùng mã trước đó thì coi như không hợp lệ
+    const consumed = await db.query('DELETE FROM otp_codes WHERE id = $1', [otp.id]);
+    if (consumed.rowCount === 0) return { success: false, message: 'Mã OTP không chính xác' };
+
+    return { success: true, targetEmail: otp.target_email };
+};
+
+// Hủy mã đang còn hiệu lực (vd. khi không gửi được email), cho phép yêu cầu mã mới ngay không chờ cooldown
+const revokeOtp = async (db, { userId, purpose }) => {
+    await db.query('DELETE FROM otp_codes WHERE user_id = $1 AND purpose = $2', [userId, purpose]);
+};
+
+module.exports = {
+    OTP_PURPOSES,
+    issueOtp,
+    verifyOtp,
+    revokeOtp
+};
@@ -0,0 +1,56 @@
+const { createAdapter } = require('@socket.io/postgres-adapter');
+const { pool } = require('../config/database');
+const { verifyAccessToken, isTokenCurrent } = require('../middleware/auth');
+
+// Thông báo realtime qua Socket.IO: mỗi socket phải xác thực bằng access token
+// và chỉ nhận sự kiện gửi vào phòng riêng của user đó.
+// Nhiều instance dùng chung hàng đợi job, nên sự kiện được phát qua Postgres adapter (LISTEN/NOTIFY):
+// job chạy trên instance A vẫn tới socket đang kết nối vào instance B.
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+
+// Lấy token từ handshake: auth.token (khuyến nghị), header Authorization hoặc query ?token=
+const extractToken = (socket) => {
+    const { auth = {}, headers = {}, query = {} } = socket.handshake;
+    if (auth.token) return String(auth.token).replace(/^Bearer\s+/i, '');
+    if (headers.authorization) return headers.authorization.split(' ')[1];
+    return query.token || null;
+};
+
+const attachRealtime = (server) => {
+    io = server;
+    io.adapter(createAdapter(pool));
+
+    // Từ chối kết nối không có token hợp lệ
+    io.use(async (socket, next) => {
+        const token = extractToken(socket);
+        const user = token && verifyAccessToken(token);
+        if (!user) return next(new Error('Unauthorized'));
+        try {
+            if (!(await isTokenCurrent(user))) return next(new Error('Unauthorized'));
+        } catch (error) {
+            return next(error);
+        }
+        socket.user = user;
+        next();
+    });
+
+    io.on('connection', (socket) => {
+        socket.join(userRoom(socket.user.id));
+        console.log(`🔌 Socket connected: ${socket.id} (user ${socket.user.id})`);
+        socket.on('disconnect', () => console.log(`🔌 Socket disconnected: ${socket.id}`));
+    });
+};
+
+// Gửi sự kiện tới mọi socket của một user
+const emitToUser = (userId, event, payload) => {
+    if (!io || !userId) return;
+    io.to(userRoom(userId)).emit(event, payload);
+};
+
+module.exports = {
+    attachRealtime,
+    emitToUser
+};
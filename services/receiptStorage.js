@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+// Ảnh/PDF hóa đơn của khoản chi. File nằm ngoài thư mục public /uploads (RECEIPT_DIR, mặc định
+// storage/receipts) và chỉ được trả qua route có xác thực cho chủ khoản chi.
+// expenses.receipt_image / receipt_thumbnail lưu tên file (tương đối với RECEIPT_DIR), không lưu đường dẫn tuyệt đối.
+
+const RECEIPT_DIR = path.resolve(process.env.RECEIPT_DIR || path.join(__dirname, '..', 'storage', 'receipts'));
+const MAX_RECEIPT_SIZE = 10 * 1024 * 1024; // 10MB
+const THUMBNAIL_WIDTH = 320;
+
+const RECEIPT_TYPES = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf'
+};
+
+if (!fs.existsSync(RECEIPT_DIR)) {
+    fs.mkdirSync(RECEIPT_DIR, { recursive: true });
+}
+
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => cb(null, RECEIPT_DIR),
+    filename: (req, file, cb) => {
+        cb(null, `receipt_${req.user.id}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}${RECEIPT_TYPES[file.mimetype]}`);
+    }
+});
+
+const fileFilter = (req, file, cb) => {
+    if (RECEIPT_TYPES[file.mimetype]) cb(null, true); else cb(new Error('Chỉ hỗ trợ hóa đơn định dạng PNG/JPG/WebP/PDF'));
+};
+
+const upload = multer({ storage, fileFilter, limits: { fileSize: MAX_RECEIPT_SIZE } });
+
+/**
+ * Middleware nhận file hóa đơn (multipart/form-data, field 'receipt'); không có file thì bỏ qua.
+ * Lỗi (sai định dạng, quá dung lượng) trả về 400 thay vì đi tới error handler chung.
+ */
+const receiptUpload = (req, res, next) => {
+    upload.single('receipt')(req, res, (err) => {
+        if (!err) return next();
+        const message = err.code === 'LIMIT_FILE_SIZE' ? 'File hóa đơn tối đa 10MB' : err.message;
+        res.status(400).json({ success: false, message });
+    });
+};
+
+// sharp là dependency native: thiếu thì vẫn lưu hóa đơn, chỉ không có ảnh thu nhỏ
+let sharp;
+const loadSharp = () => {
+    if (sharp === undefined) {
+        try {
+            sharp = require('sharp');
+        } catch (error) {
+            console.warn('⚠️ sharp chưa được cài, bỏ qua tạo ảnh thu nhỏ hóa đơn');
+            sharp = null;
+        }
+    }
+    return sharp;
+};
+
+// Ảnh thu nhỏ chung cho hóa đơn PDF khi không render được trang đầu
+// (bản sharp cài sẵn từ npm không kèm libvips hỗ trợ PDF)
+const PDF_PLACEHOLDER_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="${THUMBNAIL_WIDTH}" height="${THUMBNAIL_WIDTH}" viewBox="0 0 320 320">
+<rect width="320" height="320" fill="#f3f4f6"/>
+<path d="M100 40h90l50 50v190H100z" fill="#ffffff" stroke="#9ca3af" stroke-width="6" stroke-linejoin="round"/>
+<path d="M190 40v50h50" fill="none" stroke="#9ca3af" stroke-width="6" stroke-linejoin="round"/>
+<rect x="80" y="170" width="130" height="60" rx="8" fill="#dc2626"/>
+<text x="145" y="212" font-family="Arial, Helvetica, sans-serif" font-size="34" font-weight="bold" fill="#ffffff" text-anchor="middle">PDF</text>
+</svg>
+`;
+
+/**
+ * Tạo ảnh thu nhỏ JPEG cho hóa đơn (PDF: trang đầu, chỉ khi libvips hỗ trợ PDF; không thì route
+ * trả PDF_PLACEHOLDER_SVG). Trả về tên file ảnh thu nhỏ hoặc null nếu không tạo được.
+ */
+const createThumbnail = async (fileName) => {
+    const lib = loadSharp();
+    if (!lib) return null;
+    if (path.extname(fileName) === RECEIPT_TYPES['application/pdf'] && !(lib.format.pdf && lib.format.pdf.input.file)) {
+        return null;
+    }
+
+    const thumbnailName = `${path.parse(fileName).name}_thumb.jpg`;
+    try {
+        await lib(path.join(RECEIPT_DIR, fileName), { page: 0 })
+            .rotate()
+            .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+            .jpeg({ quality: 75 })
+            .toFile(path.join(RECEIPT_DIR, thumbnailName));
+        return thumbnailName;
+    } catch (error) {
+        console.warn(`Không tạo được ảnh thu nhỏ cho ${fileName}:`, error.message);
+        return null;
+    }
+};
+
+// Đường dẫn tuyệt đối của file hóa đơn, null nếu tên không hợp lệ (chặn ../)
+const receiptPath = (fileName) => {
+    if (!fileName || path.basename(fileName) !== fileName) return null;
+    return path.join(RECEIPT_DIR, fileName);
+};
+
+// Xóa các file hóa đơn (bỏ qua file không tồn tại)
+const removeReceiptFiles = async (...fileNames) => {
+    await Promise.all(fileNames.map(async (fileName) => {
+        const filePath = receiptPath(fileName);
+        if (!filePath) return;
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Remove receipt error:', error);
+        }
+    }));
+};
+
+/**
+ * Lưu hóa đơn vừa upload: tạo ảnh thu nhỏ, trả về { receipt_image, receipt_thumbnail, receipt_mime_type }.
+ */
+const processUploadedReceipt = async (file) => ({
+    receipt_image: file.filename,
+    receipt_thumbnail: await createThumbnail(file.filename),
+    receipt_mime_type: file.mimetype
+});
+
+module.exports = {
+    PDF_PLACEHOLDER_SVG,
+    receiptUpload,
+    processUploadedReceipt,
+    receiptPath,
+    removeReceiptFiles
+};
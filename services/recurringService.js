@@ -0,0 +1,310 @@
+const { pool } = require('../config/database');
+const {
+    STORAGE_TIMEZONE,
+    DEFAULT_TIMEZONE,
+    toDateString,
+    addDays,
+    addMonths,
+    diffDays,
+    today
+} = require('./budgetPeriods');
+const { evaluateBudgetAlerts } = require('./budgetAlertService');
+
+// Giao dịch định kỳ (tiền nhà, lương, gói thuê bao...): mẫu trong recurring_transactions với quy tắc
+// lặp daily/weekly/monthly/yearly mỗi interval_count kỳ, từ start_date tới end_date (nếu có).
+// Job "materialize_recurring" tạo khoản thu/chi thật cho các lần đã tới hạn (theo múi giờ của user);
+// expenses.recurring_id + occurrence_date là UNIQUE nên mỗi lần chỉ được tạo một lần.
+// Từng lần có thể bị bỏ qua hoặc sửa riêng trước khi được tạo (recurring_overrides).
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+const MATERIALIZE_JOB = 'materialize_recurring';
+const MAX_OCCURRENCES_PER_RUN = 366;
+
+const OVERRIDE_FIELDS = ['amount', 'category_id', 'description', 'payment_method'];
+
+// Ngày của lần lặp thứ k (k = 0 là start_date)
+const occurrenceDate = (rule, k) => {
+    const start = toDateString(rule.start_date);
+    const step = rule.interval_count || 1;
+    switch (rule.frequency) {
+        case 'daily':
+            return addDays(start, k * step);
+        case 'weekly':
+            return addDays(start, k * step * 7);
+        case 'yearly':
+            return addMonths(start, k * step * 12);
+        case 'monthly':
+        default:
+            return addMonths(start, k * step);
+    }
+};
+
+// Chỉ số lần lặp đầu tiên có ngày >= dateStr
+const firstIndexOnOrAfter = (rule, dateStr) => {
+    const start = toDateString(rule.start_date);
+    if (dateStr <= start) return 0;
+
+    const step = rule.interval_count || 1;
+    const days = diffDays(start, dateStr);
+    // Ước lượng thấp theo độ dài kỳ lớn nhất rồi tiến dần (tháng/năm có độ dài khác nhau)
+    const maxDaysPerStep = { daily: 1, weekly: 7, monthly: 31, yearly: 366 }[rule.frequency] || 31;
+    let k = Math.floor(days / (maxDaysPerStep * step));
+    while (occurrenceDate(rule, k) < dateStr) k++;
+    return k;
+};
+
+/**
+ * Các ngày lặp trong khoảng [fromStr, toStr] (không vượt end_date), tối đa limit ngày.
+ */
+const listOccurrences = (rule, fromStr, toStr, limit = MAX_OCCURRENCES_PER_RUN) => {
+    const endDate = toDateString(rule.end_date);
+    const until = endDate && endDate < toStr ? endDate : toStr;
+    const dates = [];
+    for (let k = firstIndexOnOrAfter(rule, fromStr); dates.length < limit; k++) {
+        const date = occurrenceDate(rule, k);
+        if (date > until) break;
+        dates.push(date);
+    }
+    return dates;
+};
+
+// Lần lặp kế tiếp từ ngày dateStr trở đi, hoặc null nếu đã qua end_date
+const nextOccurrenceOnOrAfter = (rule, dateStr) => {
+    const date = occurrenceDate(rule, firstIndexOnOrAfter(rule, dateStr));
+    const endDate = toDateString(rule.end_date);
+    return endDate && date > endDate ? null : date;
+};
+
+// Lần lặp kế tiếp cần tạo khi mẫu được tạo/sửa: không tạo bù các lần trước hôm nay
+const initialNextDate = (rule, timezone) => {
+    const start = toDateString(rule.start_date);
+    const asOf = today(timezone);
+    return nextOccurrenceOnOrAfter(rule, start > asOf ? start : asOf);
+};
+
+// Các lần được sửa/bỏ qua của những mẫu recurringIds trong khoảng ngày, key "<id>:<ngày>"
+const loadOverrides = async (db, recurringIds, fromStr, toStr) => {
+    const result = await db.query(
+        `SELECT *, occurrence_date::text AS occurrence_day FROM recurring_overrides
+         WHERE recurring_id = ANY($1::int[]) AND occurrence_date BETWEEN $2::date AND $3::date`,
+        [recurringIds, fromStr, toStr]
+    );
+    return new Map(result.rows.map(row => [`${row.recurring_id}:${row.occurrence_day}`, row]));
+};
+
+// Giá trị của một lần lặp: giá trị của mẫu, ghi đè bởi phần đã sửa riêng
+const occurrenceValues = (template, override) => {
+    const values = {};
+    OVERRIDE_FIELDS.forEach((field) => {
+        values[field] = override && override[field] !== null && override[field] !== undefined
+            ? override[field]
+            : template[field];
+    });
+    return values;
+};
+
+// Tạo giao dịch cho lần lặp ngày `date` của mẫu (bỏ qua nếu đã có); trả về các dòng vừa tạo.
+// Mẫu cũ chưa ghi tiền tệ: lấy tiền tệ của tài khoản, rồi tới tiền tệ gốc của user (như POST /api/expenses)
+const insertOccurrence = async (client, template, date, override) => {
+    const values = occurrenceValues(template, override);
+    const inserted = await client.query(
+        `INSERT INTO expenses (user_id, amount, type, category_id, description, date, payment_method,
+                               recurring_id, occurrence_date, account_id, currency)
+         VALUES ($1, $2, $3, $4, $5, ($6::date::timestamp AT TIME ZONE $9) AT TIME ZONE '${STORAGE_TIMEZONE}',
+                 $7, $8, $6::date, $10,
+                 COALESCE($11, (SELECT currency FROM accounts WHERE id = $10), (SELECT base_currency FROM users WHERE id = $1)))
+         ON CONFLICT (recurring_id, occurrence_date) DO NOTHING
+         RETURNING user_id, type, category_id`,
+        [template.user_id, values.amount, template.type, values.category_id, values.description,
+            date, values.payment_method, template.id, template.timezone, template.account_id, template.currency]
+    );
+    return inserted.rows;
+};
+
+/**
+ * Tạo giao dịch cho các lần đã tới hạn của một mẫu (trong transaction riêng).
+ * Trả về danh sách giao dịch vừa tạo { user_id, type, category_id }.
+ */
+const materializeRecurring = async (recurringId) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const templateRes = await client.query(
+            `SELECT r.*, COALESCE(u.timezone, $2) AS timezone
+             FROM recurring_transactions r
+             JOIN users u ON u.id = r.user_id
+             WHERE r.id = $1 AND r.is_active = true AND r.next_date IS NOT NULL
+             FOR UPDATE OF r SKIP LOCKED`,
+            [recurringId, DEFAULT_TIMEZONE]
+        );
+        const template = templateRes.rows[0];
+        const asOf = template && today(template.timezone);
+        if (!template || toDateString(template.next_date) > asOf) {
+            await client.query('COMMIT');
+            return [];
+        }
+
+        const dates = listOccurrences(template, toDateString(template.next_date), asOf);
+        const overrides = dates.length
+            ? await loadOverrides(client, [template.id], dates[0], dates[dates.length - 1])
+            : new Map();
+
+        const created = [];
+        for (const date of dates) {
+            const override = overrides.get(`${template.id}:${date}`);
+            if (override && override.is_skipped) continue;
+            created.push(...await insertOccurrence(client, template, date, override));
+        }
+
+        // Hết giới hạn mỗi lần chạy thì tiếp tục từ sau ngày cuối đã xử lý ở lần chạy sau
+        const resumeFrom = dates.length >= MAX_OCCURRENCES_PER_RUN ? dates[dates.length - 1] : asOf;
+        await client.query(
+            'UPDATE recurring_transactions SET next_date = $2, last_run_at = NOW() WHERE id = $1',
+            [template.id, nextOccurrenceOnOrAfter(template, addDays(resumeFrom, 1))]
+        );
+
+        await client.query('COMMIT');
+        return created;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Tạo giao dịch cho một lần lặp đã qua mà job không tạo (vd. lần bị bỏ qua rồi được khôi phục).
+ * Chỉ tạo khi ngày thuộc lịch lặp, không sau hôm nay, trước next_date (các lần từ next_date do job tạo)
+ * và không còn bị bỏ qua. Trả về danh sách giao dịch vừa tạo { user_id, type, category_id }.
+ */
+const materializeOccurrence = async (recurringId, date) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const templateRes = await client.query(
+            `SELECT r.*, COALESCE(u.timezone, $2) AS timezone
+             FROM recurring_transactions r
+             JOIN users u ON u.id = r.user_id
+             WHERE r.id = $1 AND r.is_active = true
+             FOR UPDATE OF r`,
+            [recurringId, DEFAULT_TIMEZONE]
+        );
+        const template = templateRes.rows[0];
+        const pending = template && template.next_date && date >= toDateString(template.next_date);
+        if (!template || pending || date > today(template.timezone) || listOccurrences(template, date, date).length === 0) {
+            await client.query('COMMIT');
+            return [];
+        }
+
+        const override = (await loadOverrides(client, [template.id], date, date)).get(`${template.id}:${date}`);
+        const created = override && override.is_skipped ? [] : await insertOccurrence(client, template, date, override);
+        await client.query('COMMIT');
+        return created;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Kiểm tra ngân sách cho các khoản chi vừa tạo (mỗi user/danh mục một lần)
+const checkCreatedExpenses = async (created) => {
+    const seen = new Set();
+    for (const expense of created) {
+        const key = `${expense.user_id}:${expense.category_id || ''}`;
+        if (expense.type !== 'expense' || seen.has(key)) continue;
+        seen.add(key);
+        await evaluateBudgetAlerts(expense.user_id, expense.category_id || null);
+    }
+};
+
+/**
+ * Job "materialize_recurring": tạo giao dịch cho mọi mẫu có lần lặp đã tới hạn, kiểm tra ngân sách
+ * ngay sau khi mỗi mẫu được COMMIT. Một mẫu lỗi không chặn các mẫu còn lại; sau khi chạy hết,
+ * lỗi được ném ra để hàng đợi thử lại (mẫu đã tạo xong có next_date mới nên không bị tạo lại).
+ */
+const materializeDueRecurring = async () => {
+    const dueRes = await pool.query(
+        `SELECT r.id
+         FROM recurring_transactions r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.is_active = true AND r.next_date IS NOT NULL
+           AND r.next_date <= (NOW() AT TIME ZONE COALESCE(u.timezone, $1))::date`,
+        [DEFAULT_TIMEZONE]
+    );
+
+    let createdCount = 0;
+    const failed = [];
+    for (const { id } of dueRes.rows) {
+        try {
+            const created = await materializeRecurring(id);
+            createdCount += created.length;
+            await checkCreatedExpenses(created);
+        } catch (error) {
+            console.error(`Materialize recurring #${id} error:`, error);
+            failed.push(id);
+        }
+    }
+
+    if (createdCount) console.log(`🔁 Recurring transactions: ${createdCount}`);
+    if (failed.length) throw new Error(`Không tạo được giao dịch định kỳ cho mẫu: ${failed.join(', ')}`);
+};
+
+/**
+ * Các lần lặp sắp tới (kể cả lần đã tới hạn nhưng chưa được tạo) trong days ngày tới,
+ * kèm giá trị đã sửa riêng và trạng thái bỏ qua.
+ * @param {object} [options] - { recurringId, days, limit }
+ */
+const getUpcomingOccurrences = async (db, userId, { recurringId = null, days = 30, limit = 100 } = {}) => {
+    const userRes = await db.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+    const asOf = today((userRes.rows[0] && userRes.rows[0].timezone) || DEFAULT_TIMEZONE);
+    const until = addDays(asOf, days);
+
+    const templatesRes = await db.query(
+        `SELECT r.*
+         FROM recurring_transactions r
+         WHERE r.user_id = $1 AND r.is_active = true AND r.next_date IS NOT NULL
+           AND ($2::int IS NULL OR r.id = $2::int)`,
+        [userId, recurringId]
+    );
+    const templates = templatesRes.rows;
+    if (templates.length === 0) return [];
+
+    const from = templates.map(t => toDateString(t.next_date)).sort()[0];
+    const overrides = await loadOverrides(db, templates.map(t => t.id), from, until);
+
+    const occurrences = templates.flatMap(template => (
+        listOccurrences(template, toDateString(template.next_date), until, limit).map((date) => {
+            const override = overrides.get(`${template.id}:${date}`);
+            return {
+                recurring_id: template.id,
+                date,
+                type: template.type,
+                account_id: template.account_id,
+                currency: template.currency,
+                ...occurrenceValues(template, override),
+                is_skipped: Boolean(override && override.is_skipped),
+                is_modified: Boolean(override && !override.is_skipped)
+            };
+        })
+    ));
+
+    return occurrences
+        .sort((a, b) => (a.date === b.date ? a.recurring_id - b.recurring_id : (a.date < b.date ? -1 : 1)))
+        .slice(0, limit);
+};
+
+module.exports = {
+    FREQUENCIES,
+    MATERIALIZE_JOB,
+    OVERRIDE_FIELDS,
+    listOccurrences,
+    initialNextDate,
+    materializeRecurring,
+    materializeOccurrence,
+    checkCreatedExpenses,
+    materializeDueRecurring,
+    getUpcomingOccurrences
+};
@@ -0,0 +1,81 @@
+const { pool } = require('../config/database');
+const { emitToUser } = require('./realtime');
+const { sendDueEventNotifications, advanceRecurringEvents } = require('./eventNotifier');
+
+// Nhắc nhở công việc (reminder_time) và hạn chót (due_date).
+// Giống thông báo sự kiện, mỗi lần gửi được ghi vào notification_deliveries nên không phụ thuộc
+// khoảng quét: mốc bị lỡ khi server tắt vẫn được gửi bù ở lần quét kế tiếp, và không bao giờ gửi trùng.
+
+const NOW_TZ = "NOW() AT TIME ZONE 'Asia/Ho_Chi_Minh'";
+const CATCH_UP_WINDOW = "INTERVAL '1 day'";
+
+const TODO_NOTIFICATIONS = {
+    todo_reminder: {
+        column: 'reminder_time',
+        build: (t) => ({
+            id: t.id,
+            title: 'Nhắc nhở công việc',
+            message: `Nhắc nhở: ${t.title}`,
+            time: t.occurrence_at
+        })
+    },
+    todo_deadline: {
+        column: 'due_date',
+        build: (t) => ({
+            id: t.id,
+            title: 'Công việc đến hạn',
+            message: `Công việc "${t.title}" đã đến hạn chót!`,
+            time: t.occurrence_at
+        })
+    }
+};
+
+const sendDueTodoNotifications = async (sourceType) => {
+    const { column, build } = TODO_NOTIFICATIONS[sourceType];
+    const dueRes = await pool.query(`
+        SELECT t.id, t.user_id, t.title, t.${column} AS occurrence_at
+        FROM todos t
+        WHERE t.${column} IS NOT NULL
+          AND t.${column} <= ${NOW_TZ}
+          AND t.${column} > ${NOW_TZ} - ${CATCH_UP_WINDOW}
+          AND t.is_completed = false AND t.is_deleted = false
+          AND NOT EXISTS (
+              SELECT 1 FROM notification_deliveries d
+              WHERE d.source_type = $1 AND d.source_id = t.id AND d.occurrence_at = t.${column}
+          )
+    `, [sourceType]);
+
+    let sent = 0;
+    for (const t of dueRes.rows) {
+        const claim = await pool.query(
+            `INSERT INTO notification_deliveries (user_id, source_type, source_id, occurrence_at, offset_minutes)
+             VALUES ($1, $2, $3, $4, 0)
+             ON CONFLICT DO NOTHING RETURNING id`,
+            [t.user_id, sourceType, t.id, t.occurrence_at]
+        );
+        if (!claim.rows.length) continue;
+
+        emitToUser(t.user_id, sourceType, build(t));
+        sent++;
+    }
+    return sent;
+};
+
+/**
+ * Job "scan_reminders": gửi các nhắc nhở/hạn chót/thông báo sự kiện đã đến hạn
+ * rồi dời các sự kiện lặp lại đã qua. Lỗi được ném ra để hàng đợi thử lại.
+ */
+const scanReminders = async () => {
+    const reminders = await sendDueTodoNotifications('todo_reminder');
+    const deadlines = await sendDueTodoNotifications('todo_deadline');
+    const eventAlerts = await sendDueEventNotifications();
+    await advanceRecurringEvents();
+
+    if (reminders) console.log(`🔔 Todo reminders: ${reminders}`);
+    if (deadlines) console.log(`⏰ Todo deadlines: ${deadlines}`);
+    if (eventAlerts) console.log(`🎉 Event alerts: ${eventAlerts}`);
+};
+
+module.exports = {
+    scanReminders
+};
@@ -0,0 +1,262 @@
+const {
+    STORAGE_TIMEZONE,
+    DEFAULT_TIMEZONE,
+    DEFAULT_WEEK_START,
+    toDateString,
+    addDays,
+    addMonths,
+    diffDays,
+    today,
+    getPeriodRange,
+    listPeriods,
+    timestampInDateRangeSql
+} = require('./budgetPeriods');
+const { DEFAULT_CURRENCY, amountInBaseSql } = require('./currencyService');
+
+// Thống kê thu chi trong một khoảng ngày theo múi giờ của user: tổng, phân theo danh mục,
+// phương thức thanh toán, chuỗi thời gian theo ngày/tuần/tháng, so sánh với kỳ trước, top khoản chi.
+// Ngày của giao dịch = expenses.date (lưu theo STORAGE_TIMEZONE) đổi sang múi giờ của user.
+// Số tiền được quy đổi sang tiền tệ gốc của user (base_amount); giao dịch chưa có tỷ giá không được
+// cộng vào tổng mà được liệt kê trong unconverted. Chuyển tiền giữa các tài khoản không phải thu hay chi nên bị loại.
+// Khoản thu/chi tách nhiều danh mục được tính từng phần theo danh mục của phần đó (view expense_lines);
+// số giao dịch đếm theo khoản thu/chi, không theo phần.
+
+const GROUP_BY_PERIODS = { day: 'daily', week: 'weekly', month: 'monthly' };
+const MAX_SERIES_POINTS = 400;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value;
+
+// Ngày địa phương của giao dịch theo múi giờ $tz
+const localDateSql = (tzParam) => `((e.date AT TIME ZONE '${STORAGE_TIMEZONE}') AT TIME ZONE ${tzParam})::date`;
+
+// Ngày đầu nhóm (tuần bắt đầu từ week_start của user, số nguyên 0-6) của ngày địa phương
+const bucketSql = (groupBy, tzParam, weekStart) => {
+    const localDate = localDateSql(tzParam);
+    if (groupBy === 'month') return `date_trunc('month', ${localDate})::date`;
+    if (groupBy === 'week') {
+        return `(${localDate} - ((EXTRACT(DOW FROM ${localDate})::int - ${Number(weekStart)} + 7) % 7))`;
+    }
+    return localDate;
+};
+
+// Kỳ trước để so sánh: cả tháng thì lấy tháng trước, ngược lại lấy khoảng cùng độ dài ngay trước đó
+const previousRange = (startDate, endDate) => {
+    const isWholeMonth = startDate.endsWith('-01') && getPeriodRange('monthly', startDate).end === endDate;
+    if (isWholeMonth) return { startDate: addMonths(startDate, -1), endDate: addDays(startDate, -1) };
+
+    const days = diffDays(startDate, endDate) + 1;
+    return { startDate: addDays(startDate, -days), endDate: addDays(startDate, -1) };
+};
+
+const changeOf = (current, previous) => ({
+    amount: roundMoney(current - previous),
+    percentage: previous > 0 ? Number((((current - previous) / previous) * 100).toFixed(2)) : null
+});
+
+/**
+ * Chuẩn hóa tham số thống kê. Trả về { options } hoặc { error }.
+ * Mặc định: tháng hiện tại, nhóm theo ngày (theo tháng nếu khoảng dài hơn 62 ngày), top 5.
+ */
+const resolveStatisticsOptions = (params, settings) => {
+    const timezone = settings.timezone || DEFAULT_TIMEZONE;
+    const currentMonth = getPeriodRange('monthly', today(timezone));
+    const startDate = toDateString(params.start_date) || currentMonth.start;
+    const endDate = toDateString(params.end_date) || currentMonth.end;
+
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+        return { error: 'Ngày không hợp lệ (YYYY-MM-DD)' };
+    }
+    if (endDate < startDate) return { error: 'end_date phải sau start_date' };
+
+    const days = diffDays(startDate, endDate) + 1;
+    const groupBy = params.group_by || (days > 62 ? 'month' : 'day');
+    if (!GROUP_BY_PERIODS[groupBy]) return { error: 'group_by phải là day, week hoặc month' };
+
+    const weekStart = settings.weekStart !== undefined && settings.weekStart !== null ? settings.weekStart : DEFAULT_WEEK_START;
+    const buckets = listPeriods(GROUP_BY_PERIODS[groupBy], startDate, endDate, { weekStart });
+    if (buckets.length > MAX_SERIES_POINTS) return { error: `Khoảng thời gian quá dài cho group_by=${groupBy}` };
+
+    if (params.type && !['income', 'expense'].includes(params.type)) return { error: 'Loại không hợp lệ' };
+
+    const categoryIds = params.category_id
+        ? String(params.category_id).split(',').map(id => parseInt(id, 10))
+        : [];
+    if (categoryIds.some(id => !Number.isInteger(id) || id <= 0)) return { error: 'Danh mục không hợp lệ' };
+
+    const top = params.top === undefined ? 5 : parseInt(params.top, 10);
+    if (!Number.isInteger(top) || top < 0 || top > 50) return { error: 'top phải từ 0 đến 50' };
+
+    return {
+        options: {
+            baseCurrency: settings.baseCurrency || DEFAULT_CURRENCY,
+            startDate,
+            endDate,
+            days,
+            timezone,
+            weekStart,
+            groupBy,
+            buckets: buckets.map(bucket => bucket.start),
+            type: params.type || null,
+            categoryIds,
+            top
+        }
+    };
+};
+
+/**
+ * Thống kê thu chi của user theo options (kết quả của resolveStatisticsOptions).
+ */
+const getExpenseStatistics = async (db, userId, options) => {
+    const { baseCurrency, startDate, endDate, timezone, weekStart, groupBy, type, categoryIds, top } = options;
+
+    // $1 user, $2 từ ngày, $3 tới ngày, $4 múi giờ, $5 loại, $6 danh mục, $7 tiền tệ gốc
+    const filteredSql = `
+        SELECT e.*, ${amountInBaseSql('e', '$7::text')} AS base_amount
+        FROM expense_lines e
+        WHERE e.user_id = $1 AND e.is_deleted = false AND e.type <> 'transfer'
+          AND ${timestampInDateRangeSql('e.date', '$2::date', '$3::date', '$4::text')}
+          AND ($5::text IS NULL OR e.type = $5::text)
+          AND (cardinality($6::int[]) = 0 OR e.category_id = ANY($6::int[]))`;
+    const params = (from, to) => [userId, from, to, timezone, type, categoryIds, baseCurrency];
+    const totalsSql = `
+        SELECT COALESCE(SUM(CASE WHEN e.type = 'income' THEN e.base_amount ELSE 0 END), 0) AS total_income,
+               COALESCE(SUM(CASE WHEN e.type = 'expense' THEN e.base_amount ELSE 0 END), 0) AS total_expense,
+               COUNT(DISTINCT e.id) AS transaction_count
+        FROM (${filteredSql}) e`;
+
+    const previous = previousRange(startDate, endDate);
+    const [totalsRes, previousRes, categoryRes, paymentRes, seriesRes, topRes, unconvertedRes] = await Promise.all([
+        db.query(totalsSql, params(startDate, endDate)),
+        db.query(totalsSql, params(previous.startDate, previous.endDate)),
+        db.query(
+            `SELECT e.type, e.category_id, c.name, c.color, c.icon, COALESCE(SUM(e.base_amount), 0) AS total, COUNT(DISTINCT e.id) AS count
+             FROM (${filteredSql}) e
+             LEFT JOIN categories c ON c.id = e.category_id
+             GROUP BY e.type, e.category_id, c.name, c.color, c.icon
+             ORDER BY total DESC`,
+            params(startDate, endDate)
+        ),
+        db.query(
+            `SELECT e.type, e.payment_method, COALESCE(SUM(e.base_amount), 0) AS total, COUNT(DISTINCT e.id) AS count
+             FROM (${filteredSql}) e
+             GROUP BY e.type, e.payment_method
+             ORDER BY total DESC`,
+            params(startDate, endDate)
+        ),
+        db.query(
+            `SELECT ${bucketSql(groupBy, '$4::text', weekStart)}::text AS bucket,
+                    COALESCE(SUM(CASE WHEN e.type = 'income' THEN e.base_amount ELSE 0 END), 0) AS income,
+                    COALESCE(SUM(CASE WHEN e.type = 'expense' THEN e.base_amount ELSE 0 END), 0) AS expense
+             FROM (${filteredSql}) e
+             GROUP BY bucket`,
+            params(startDate, endDate)
+        ),
+        top > 0
+            ? db.query(
+                `SELECT e.id, e.split_id, e.amount, e.currency, e.base_amount, e.category_id, c.name AS category_name,
+                        e.description, e.date, e.payment_method
+                 FROM (${filteredSql}) e
+                 LEFT JOIN categories c ON c.id = e.category_id
+                 WHERE e.type = 'expense'
+                 ORDER BY e.base_amount DESC NULLS LAST, e.date DESC
+                 LIMIT $8`,
+                [...params(startDate, endDate), top]
+            )
+            : { rows: [] },
+        db.query(
+            `SELECT e.currency, e.type, SUM(e.amount) AS total, COUNT(DISTINCT e.id) AS count
+             FROM (${filteredSql}) e
+             WHERE e.base_amount IS NULL
+             GROUP BY e.currency, e.type
+             ORDER BY e.currency, e.type`,
+            params(startDate, endDate)
+        )
+    ]);
+
+    const totals = totalsRes.rows[0];
+    const totalIncome = parseFloat(totals.total_income);
+    const totalExpense = parseFloat(totals.total_expense);
+    const previousIncome = parseFloat(previousRes.rows[0].total_income);
+    const previousExpense = parseFloat(previousRes.rows[0].total_expense);
+    const totalByType = { income: totalIncome, expense: totalExpense };
+    const share = (row) => (totalByType[row.type] > 0
+        ? Number(((parseFloat(row.total) / totalByType[row.type]) * 100).toFixed(2))
+        : 0);
+
+    // Trung bình mỗi ngày chỉ tính các ngày đã qua của khoảng (tháng hiện tại chưa hết)
+    const asOf = today(timezone);
+    const daysCounted = asOf < startDate ? 0 : diffDays(startDate, asOf < endDate ? asOf : endDate) + 1;
+
+    const seriesByBucket = new Map(seriesRes.rows.map(row => [row.bucket, row]));
+
+    return {
+        range: { startDate, endDate, days: options.days, timezone },
+        currency: baseCurrency,
+        filters: { type, categoryIds },
+        totalIncome,
+        totalExpense,
+        balance: roundMoney(totalIncome - totalExpense),
+        transactionCount: parseInt(totals.transaction_count, 10),
+        averageDailyExpense: daysCounted > 0 ? roundMoney(totalExpense / daysCounted) : 0,
+        daysCounted,
+        byCategory: categoryRes.rows.map(row => ({
+            type: row.type,
+            category_id: row.category_id,
+            name: row.name,
+            color: row.color,
+            icon: row.icon,
+            total: parseFloat(row.total),
+            count: parseInt(row.count, 10),
+            percentage: share(row)
+        })),
+        byPaymentMethod: paymentRes.rows.map(row => ({
+            type: row.type,
+            payment_method: row.payment_method,
+            total: parseFloat(row.total),
+            count: parseInt(row.count, 10),
+            percentage: share(row)
+        })),
+        series: {
+            groupBy,
+            points: options.buckets.map((bucket) => {
+                const row = seriesByBucket.get(bucket);
+                return {
+                    period: bucket,
+                    income: row ? parseFloat(row.income) : 0,
+                    expense: row ? parseFloat(row.expense) : 0
+                };
+            })
+        },
+        previousPeriod: {
+            startDate: previous.startDate,
+            endDate: previous.endDate,
+            totalIncome: previousIncome,
+            totalExpense: previousExpense,
+            balance: roundMoney(previousIncome - previousExpense)
+        },
+        change: {
+            income: changeOf(totalIncome, previousIncome),
+            expense: changeOf(totalExpense, previousExpense)
+        },
+        topExpenses: topRes.rows.map(row => ({
+            ...row,
+            currency: row.currency || baseCurrency,
+            amount: parseFloat(row.amount),
+            base_amount: row.base_amount === null ? null : parseFloat(row.base_amount)
+        })),
+        // Giao dịch ngoại tệ chưa có tỷ giá (số tiền theo đồng tiền gốc của giao dịch)
+        unconverted: unconvertedRes.rows.map(row => ({
+            currency: row.currency,
+            type: row.type,
+            total: parseFloat(row.total),
+            count: parseInt(row.count, 10)
+        }))
+    };
+};
+
+module.exports = {
+    resolveStatisticsOptions,
+    getExpenseStatistics
+};
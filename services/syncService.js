@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const { prepareBudgetUpdate, validateBudgetCategories } = require('./budgetService');
+const { categorizeOnCreate } = require('./categoryRuleService');
+const { dropStaleSplits } = require('./expenseSplitService');
+const { validateTransactionAccounts, defaultTransactionCurrency } = require('./accountService');
+
+// Đồng bộ hai chiều: áp dụng các thay đổi offline từ client vào DB trong một transaction.
+// Mỗi thay đổi được chạy trong một SAVEPOINT riêng để một bản ghi lỗi không làm hỏng cả lô.
+
+// Khoản thu/chi tạo offline: gán danh mục theo quy tắc và ghi rõ tiền tệ như POST /api/expenses
+const prepareExpenseCreate = async (client, ctx, data) => {
+    await categorizeOnCreate(client, ctx, data);
+    await defaultTransactionCurrency(client, ctx, data);
+};
+
+// Các cột client được phép ghi khi đồng bộ (không bao gồm id, user_id, version...)
+// softDelete = false: bảng không có is_deleted, thao tác xóa là xóa cứng (tombstone do trigger ghi lại)
+// Thứ tự khai báo cũng là thứ tự áp dụng: danh mục trước, các bảng tham chiếu danh mục sau.
+// beforeUpdate(client, existing, data): chạy trước khi ghi đè bản ghi (vd. lưu hạn mức các kỳ đã qua của ngân sách)
+// beforeCreate(client, ctx, data): chạy trước khi thêm bản ghi mới (vd. gán danh mục theo quy tắc)
+// validate(client, userId, record): kiểm tra bản ghi sau khi gộp thay đổi (tạo hoặc sửa), trả về thông báo lỗi
+// hoặc null; có lỗi thì chỉ thay đổi đó thất bại
+const SYNC_TABLES = {
+    categories: {
+        softDelete: false,
+        columns: ['name', 'color', 'icon', 'type']
+    },
+    budgets: {
+        softDelete: false,
+        columns: [
+            'category_id', 'category_ids', 'amount', 'period', 'start_date', 'end_date',
+            'alert_threshold', 'is_active', 'rollover_mode', 'period_anchor'
+        ],
+        beforeUpdate: prepareBudgetUpdate,
+        validate: validateBudgetCategories
+    },
+    todos: {
+        softDelete: true,
+        columns: [
+            'title', 'description', 'is_completed', 'category_id', 'priority',
+            'tags', 'due_date', 'reminder_time', 'position', 'completed_at'
+        ]
+    },
+    expenses: {
+        softDelete: true,
+        columns: [
+            'amount', 'type', 'category_id', 'description', 'date', 'payment_method', 'currency',
+            'account_id', 'to_account_id', 'to_amount'
+        ],
+        beforeCreate: prepareExpenseCreate,
+        beforeUpdate: dropStaleSplits,
+        validate: validateTransactionAccounts
+    },
+    events: {
+        softDelete: true,
+        columns: [
+            'title', 'description', 'event_date', 'event_type', 'color', 'icon',
+            'is_recurring', 'recurrence_pattern', 'notification_enabled', 'notification_times'
+        ]
+    }
+};
+
+// Lấy ra các cột hợp lệ có mặt trong payload của client
+const pickColumns = (columns, data) => {
+    const picked = {};
+    for (const col of columns) {
+        if (data[col] !== undefined) picked[col] = data[col];
+    }
+    return picked;
+};
+
+// Khóa bản ghi của user theo id (ưu tiên) hoặc client_id
+const lockRecord = async (client, table, userId, change) => {
+    if (change.id) {
+        const res = await client.query(
+            `SELECT * FROM ${table} WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+            [change.id, userId]
+        );
+        return res.rows[0] || null;
+    }
+    if (change.client_id) {
+        const res = await client.query(
+            `SELECT * FROM ${table} WHERE client_id = $1 AND user_id = $2 FOR UPDATE`,
+            [change.client_id, userId]
+        );
+        return res.rows[0] || null;
+    }
+    return null;
+};
+
+// Ghi nhận thao tác đã áp dụng vào sync_logs
+const logApplied = (client, ctx, action, recordId) => client.query(
+    `INSERT INTO sync_logs (user_id, table_name, record_id, action, client_device_id, sync_status)
+     VALUES ($1, $2, $3, $4, $5, 'success')`,
+    [ctx.userId, ctx.table, recordId, action, ctx.deviceId || null]
+);
+
+// Ghi nhận xung đột vào sync_logs kèm cả bản của client và bản trên server
+const logConflict = (client, ctx, action, existing, change) => client.query(
+    `INSERT INTO sync_logs (user_id, table_name, record_id, action, client_device_id, sync_status, conflict_data)
+     VALUES ($1, $2, $3, $4, $5, 'conflict', $6)`,
+    [ctx.userId, ctx.table, existing.id, action, ctx.deviceId || null, JSON.stringify({ client: change, server: existing })]
+);
+
+const applyCreate = async (client, ctx, change) => {
+    // Idempotency theo client_id: lần gửi lại chỉ trả về bản ghi đã tạo
+    if (change.client_id) {
+        const existing = await lockRecord(client, ctx.table, ctx.userId, { client_id: change.client_id });
+        if (existing) return { status: 'applied', record: existing };
+    }
+
+    const data = pickColumns(ctx.columns, change);
+    const invalid = ctx.validate && await ctx.validate(client, ctx.userId, data);
+    if (invalid) return { status: 'failed', message: invalid };
+    if (ctx.beforeCreate) await ctx.beforeCreate(client, ctx, data);
+    const cols = ['user_id', 'client_id', ...Object.keys(data)];
+    const values = [ctx.userId, change.client_id || null, ...Object.values(data)];
+    const placeholders = cols.map((_, i) => `$${i + 1}`);
+
+    const res = await client.query(
+        `INSERT INTO ${ctx.table} (${cols.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+        values
+    );
+    return { status: 'applied', record: res.rows[0] };
+};
+
+const applyUpdate = async (client, ctx, change) => {
+    if (change.version === undefined || change.version === null) {
+        return { status: 'failed', message: 'Thiếu version cho thao tác cập nhật' };
+    }
+
+    const existing = await lockRecord(client, ctx.table, ctx.userId, change);
+    if (!existing) return { status: 'failed', message: 'Không tìm thấy bản ghi' };
+
+    // Version lệch => bản trên server đã thay đổi kể từ lần client đồng bộ: server thắng
+    if (Number(change.version) !== existing.version) {
+        await logConflict(client, ctx, 'update', existing, change);
+        return { status: 'conflict', winner: existing };
+    }
+
+    const data = pickColumns(ctx.columns, change);
+    const sets = Object.keys(data).map((col, i) => `${col} = $${i + 1}`);
+    const values = Object.values(data);
+
+    const invalid = ctx.validate && await ctx.validate(client, ctx.userId, { ...existing, ...data });
+    if (invalid) return { status: 'failed', message: invalid };
+    if (ctx.beforeUpdate) await ctx.beforeUpdate(client, existing, data);
+
+    const res = await client.query(
+        `UPDATE ${ctx.table} SET ${[...sets, 'version = version + 1'].join(', ')}
+         WHERE id = $${values.length + 1} RETURNING *`,
+        [...values, existing.id]
+    );
+    return { status: 'applied', record: res.rows[0] };
+};
+
+const applyDelete = async (client, ctx, change) => {
+    const existing = await lockRecord(client, ctx.table, ctx.userId, change);
+    if (!existing) return { status: 'failed', message: 'Không tìm thấy bản ghi' };
+    if (existing.is_deleted) return { status: 'applied', record: existing };
+
+    // Version là tùy chọn với thao tác xóa; nếu có thì vẫn kiểm tra xung đột
+    if (change.version !== undefined && change.version !== null && Number(change.version) !== existing.version) {
+        await logConflict(client, ctx, 'delete', existing, change);
+        return { status: 'conflict', winner: existing };
+    }
+
+    if (!ctx.softDelete) {
+        const res = await client.query(`DELETE FROM ${ctx.table} WHERE id = $1 RETURNING *`, [existing.id]);
+        return { status: 'applied', record: res.rows[0] };
+    }
+
+    const res = await client.query(
+        `UPDATE ${ctx.table} SET is_deleted = true, deleted_at = NOW(), version = version + 1
+         WHERE id = $1 RETURNING *`,
+        [existing.id]
+    );
+    return { status: 'applied', record: res.rows[0] };
+};
+
+// Upsert: client gửi trạng thái cuối cùng của bản ghi, server tự xác định tạo/sửa/xóa
+const applyUpsert = async (client, ctx, change) => {
+    const existing = await lockRecord(client, ctx.table, ctx.userId, change);
+    if (!existing) {
+        if (change.id) return { action: 'update', status: 'failed', message: 'Không tìm thấy bản ghi' };
+        if (change.is_deleted) return { action: 'delete', status: 'failed', message: 'Không tìm thấy bản ghi' };
+        return { action: 'create', ...(await applyCreate(client, ctx, change)) };
+    }
+    if (change.is_deleted) return { action: 'delete', ...(await applyDelete(client, ctx, change)) };
+    // Gửi lại bản ghi đã tạo (chỉ có client_id, không có version): trả về bản hiện tại
+    if (!change.id && (change.version === undefined || change.version === null)) {
+        return { action: 'create', status: 'applied', record: existing };
+    }
+    return { action: 'update', ...(await applyUpdate(client, ctx, change)) };
+};
+
+const HANDLERS = [
+    ['create', 'created', applyCreate],
+    ['update', 'updated', applyUpdate],
+    ['delete', 'deleted', applyDelete]
+];
+
+// Kiểm tra cấu trúc { created: [], updated: [], deleted: [] }, trả về thông báo lỗi hoặc null
+const validateChanges = (changes) => {
+    if (changes === undefined || changes === null) return null;
+    if (typeof changes !== 'object' || Array.isArray(changes)) return 'changes phải là object';
+    for (const [, key] of HANDLERS) {
+        if (changes[key] === undefined) continue;
+        if (!Array.isArray(changes[key])) return `changes.${key} phải là mảng`;
+        const index = changes[key].findIndex(item => !item || typeof item !== 'object' || Array.isArray(item));
+        if (index !== -1) return `changes.${key}[${index}] phải là object`;
+    }
+    return null;
+};
+
+// Chạy một thay đổi trong SAVEPOINT riêng và ghi kết quả vào result
+const runChange = async (client, ctx, action, handler, change, result) => {
+    const ref = { action, id: change.id || null, client_id: change.client_id || null };
+
+    await client.query('SAVEPOINT sync_item');
+    try {
+        const outcome = await handler(client, ctx, change);
+        if (outcome.action) ref.action = outcome.action;
+
+        if (outcome.status === 'applied') {
+            await logApplied(client, ctx, ref.action, outcome.record.id);
+            result.applied.push({ ...ref, id: outcome.record.id, version: outcome.record.version, record: outcome.record });
+        } else if (outcome.status === 'conflict') {
+            result.conflicts.push({ ...ref, id: outcome.winner.id, resolution: 'server_wins', winner: outcome.winner, client: change });
+        } else {
+            result.failed.push({ ...ref, message: outcome.message });
+        }
+        await client.query('RELEASE SAVEPOINT sync_item');
+    } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT sync_item');
+        result.failed.push({ ...ref, message: err.message });
+    }
+};
+
+const buildContext = (table, userId, deviceId) => ({ table, userId, deviceId, ...SYNC_TABLES[table] });
+
+/**
+ * Áp dụng lô thay đổi của client. `client` phải đang ở trong transaction (BEGIN).
+ * Trả về { applied, conflicts, failed }; mỗi conflict kèm bản ghi thắng (winner).
+ */
+const applyChanges = async (client, { table, userId, changes, deviceId }) => {
+    const ctx = buildContext(table, userId, deviceId);
+    const result = { applied: [], conflicts: [], failed: [] };
+
+    for (const [action, key, handler] of HANDLERS) {
+        for (const change of (changes && changes[key]) || []) {
+            await runChange(client, ctx, action, handler, change, result);
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Áp dụng danh sách bản ghi dạng upsert (mỗi phần tử là trạng thái cuối của bản ghi,
+ * `is_deleted: true` để xóa mềm). Kết quả có cùng cấu trúc với applyChanges.
+ */
+const applyUpserts = async (client, { table, userId, items, deviceId }) => {
+    const ctx = buildContext(table, userId, deviceId);
+    const result = { applied: [], conflicts: [], failed: [] };
+
+    for (const item of items || []) {
+        await runChange(client, ctx, 'upsert', applyUpsert, item, result);
+    }
+
+    return result;
+};
+
+// --- CURSOR & PULL ---
+
+// Cursor là txid_snapshot của lần đồng bộ trước, được ký HMAC để client không thể sửa
+// và gắn với user + thiết bị đã nhận nó.
+const signCursor = (payload) => crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(payload)
+    .digest('base64url');
+
+const encodeCursor = ({ userId, deviceId, snapshot }) => {
+    const payload = Buffer.from(JSON.stringify({ u: userId, d: deviceId, s: snapshot })).toString('base64url');
+    return `${payload}.${signCursor(payload)}`;
+};
+
+// Trả về snapshot nếu cursor hợp lệ, ngược lại null
+const decodeCursor = (cursor, { userId, deviceId }) => {
+    if (typeof cursor !== 'string') return null;
+    const [payload, signature] = cursor.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(signCursor(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (data.u !== userId || data.d !== deviceId || typeof data.s !== 'string') return null;
+        return data.s;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Snapshot `since` cũ hơn snapshot `latest` (xmax nhỏ hơn): cursor đã bị thay bằng cursor mới hơn
+const isSnapshotBehind = (since, latest) => {
+    const xmax = (snapshot) => BigInt(snapshot.split(':')[1]);
+    try {
+        return xmax(since) < xmax(latest);
+    } catch (e) {
+        return false;
+    }
+};
+
+// Thay đổi "mới" với snapshot trước: txid không nằm trong phần đã nhìn thấy của snapshot đó.
+// Điều kiện sync_txid >= xmin chỉ để tận dụng index.
+const CHANGED_SINCE = `sync_txid >= txid_snapshot_xmin($2::txid_snapshot)
+    AND NOT txid_visible_in_snapshot(sync_txid, $2::txid_snapshot)`;
+
+const tombstoneOf = (row) => ({ id: row.id, client_id: row.client_id || null, deleted_at: row.deleted_at || null });
+
+/**
+ * Lấy thay đổi trên server kể từ snapshot `since` (null = đồng bộ lần đầu, chỉ trả bản ghi còn sống).
+ * `client` phải đang ở trong transaction REPEATABLE READ để mọi truy vấn dùng chung một snapshot.
+ * Trả về { snapshot, changes: { <table>: { upserts, deleted } } }.
+ */
+const pullChanges = async (client, { userId, since }) => {
+    const snapshotRes = await client.query('SELECT txid_current_snapshot()::text AS snapshot');
+    const changes = {};
+
+    for (const [table, config] of Object.entries(SYNC_TABLES)) {
+        const upserts = [];
+        const deleted = [];
+
+        if (!since) {
+            const res = await client.query(
+                `SELECT * FROM ${table} WHERE user_id = $1${config.softDelete ? ' AND is_deleted = false' : ''}`,
+                [userId]
+            );
+            upserts.push(...res.rows);
+        } else {
+            const res = await client.query(
+                `SELECT * FROM ${table} WHERE user_id = $1 AND ${CHANGED_SINCE}`,
+                [userId, since]
+            );
+            for (const row of res.rows) {
+                if (row.is_deleted) deleted.push(tombstoneOf(row));
+                else upserts.push(row);
+            }
+
+            const tombRes = await client.query(
+                `SELECT record_id AS id, client_id, deleted_at FROM sync_tombstones
+                 WHERE user_id = $1 AND table_name = '${table}' AND ${CHANGED_SINCE}`,
+                [userId, since]
+            );
+            deleted.push(...tombRes.rows.map(tombstoneOf));
+        }
+
+        changes[table] = { upserts, deleted };
+    }
+
+    return { snapshot: snapshotRes.rows[0].snapshot, changes };
+};
+
+module.exports = {
+    SYNC_TABLES,
+    validateChanges,
+    applyChanges,
+    applyUpserts,
+    encodeCursor,
+    decodeCursor,
+    isSnapshotBehind,
+    pullChanges
+};
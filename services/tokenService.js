@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../middleware/auth');
+
+// Refresh token được lưu phía server theo "family" (một lần đăng nhập trên một thiết bị).
+// Mỗi lần refresh, token cũ bị thu hồi và thay bằng token mới cùng family; nếu token cũ
+// bị dùng lại, coi như đã bị lộ và thu hồi toàn bộ family.
+
+const newId = () => crypto.randomBytes(16).toString('hex');
+
+// Tạo và lưu refresh token mới cho family
+const createRefreshToken = async (db, user, familyId, meta = {}) => {
+    const jti = newId();
+    const token = generateRefreshToken(user, { jti, familyId });
+    const { exp } = jwt.decode(token);
+
+    await db.query(
+        `INSERT INTO refresh_tokens (user_id, jti, family_id, expires_at, user_agent, ip_address)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [user.id, jti, familyId, new Date(exp * 1000), (meta.userAgent || '').slice(0, 255) || null, meta.ip || null]
+    );
+    return { token, jti };
+};
+
+// Cấp cặp token cho một lần đăng nhập mới (family mới)
+const issueTokens = async (user, meta = {}) => {
+    const { token } = await createRefreshToken(pool, user, newId(), meta);
+    return { accessToken: generateAccessToken(user), refreshToken: token };
+};
+
+const revokeFamily = (db, familyId, reason) => db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = $2
+     WHERE family_id = $1 AND revoked_at IS NULL`,
+    [familyId, reason]
+);
+
+// Thu hồi mọi phiên của user: refresh token và cả access token đã cấp (tăng token_version)
+const revokeAllForUser = async (userId, reason = 'logout_all', db = pool) => {
+    await db.query('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [userId]);
+    return db.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = $2
+         WHERE user_id = $1 AND revoked_at IS NULL`,
+        [userId, reason]
+    );
+};
+
+/**
+ * Đổi refresh token lấy cặp token mới.
+ * Trả về { success: true, tokens } hoặc { success: false, message, reuseDetected? }.
+ */
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+    const payload = verifyRefreshToken(refreshToken);
+    if (!payload || !payload.jti) {
+        return { success: false, message: 'Refresh token không hợp lệ hoặc đã hết hạn' };
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const storedRes = await client.query(
+            `SELECT rt.*, u.email, u.is_active, u.token_version FROM refresh_tokens rt
+             JOIN users u ON u.id = rt.user_id
+             WHERE rt.jti = $1 FOR UPDATE OF rt`,
+            [payload.jti]
+        );
+        const stored = storedRes.rows[0];
+
+        if (!stored || stored.user_id !== payload.id) {
+            await client.query('ROLLBACK');
+            return { success: false, message: 'Refresh token không hợp lệ hoặc đã hết hạn' };
+        }
+
+        // Token đã bị thay thế/thu hồi mà vẫn được gửi lên => thu hồi cả family
+        if (stored.revoked_at) {
+            await revokeFamily(client, stored.family_id, 'reuse_detected');
+            await client.query('COMMIT');
+            console.warn(`[AUTH] Refresh token reuse detected for user ${stored.user_id}, family revoked`);
+            return { success: false, reuseDetected: true, message: 'Phiên đăng nhập không còn hợp lệ, vui lòng đăng nhập lại' };
+        }
+
+        if (!stored.is_active || new Date(stored.expires_at) <= new Date()) {
+            await client.query('ROLLBACK');
+            return { success: false, message: 'Refresh token không hợp lệ hoặc đã hết hạn' };
+        }
+
+        const user = { id: stored.user_id, email: stored.email, token_version: stored.token_version };
+        const next = await createRefreshToken(client, user, stored.family_id, meta);
+        await client.query(
+            `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by = $2 WHERE id = $1`,
+            [stored.id, next.jti]
+        );
+        await client.query('COMMIT');
+
+        return { success: true, tokens: { accessToken: generateAccessToken(user), refreshToken: next.token } };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Đăng xuất thiết bị hiện tại: thu hồi family của refresh token được gửi lên
+const revokeRefreshToken = async (refreshToken) => {
+    const payload = verifyRefreshToken(refreshToken);
+    if (!payload || !payload.fam) return false;
+    const res = await pool.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'logout'
+         WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+        [payload.fam, payload.id]
+    );
+    return res.rowCount > 0;
+};
+
+module.exports = {
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllForUser
+};
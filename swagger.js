@@ -44,12 +44,31 @@ const options = {
             id: { type: 'integer' },
             user_id: { type: 'integer' },
             amount: { type: 'number' },
-            type: { type: 'string', enum: ['income', 'expense'] },
-            category_id: { type: 'integer', nullable: true },
+            type: { type: 'string', enum: ['income', 'expense', 'transfer'] },
+            category_id: { type: 'integer', nullable: true, description: 'Khoản đã tách: danh mục của phần lớn nhất' },
+            splits: {
+              type: 'array',
+              description: 'Các phần tách theo danh mục, tổng bằng amount (rỗng nếu không tách)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  category_id: { type: 'integer', nullable: true },
+                  amount: { type: 'number' },
+                  description: { type: 'string', nullable: true }
+                }
+              }
+            },
+            account_id: { type: 'integer', nullable: true, description: 'Tài khoản (nguồn nếu là chuyển tiền)' },
+            to_account_id: { type: 'integer', nullable: true, description: 'Tài khoản đích của chuyển tiền' },
+            to_amount: { type: 'number', nullable: true, description: 'Số tiền nhận theo tiền tệ tài khoản đích (NULL = amount)' },
             description: { type: 'string', nullable: true },
             date: { type: 'string', format: 'date-time' },
             payment_method: { type: 'string', nullable: true },
-            receipt_image_path: { type: 'string', nullable: true },
+            currency: { type: 'string', nullable: true, example: 'USD', description: 'NULL = tiền tệ gốc của user' },
+            receipt_image: { type: 'string', nullable: true, description: 'Tên file hóa đơn, tải qua GET /api/expenses/{id}/receipt' },
+            receipt_thumbnail: { type: 'string', nullable: true },
+            receipt_mime_type: { type: 'string', nullable: true },
             is_deleted: { type: 'boolean' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' }
@@ -67,6 +86,7 @@ const options = {
             color: { type: 'string' },
             is_recurring: { type: 'boolean' },
             notification_enabled: { type: 'boolean' },
+            notification_times: { type: 'array', items: { type: 'integer' }, description: 'Số phút trước event_date cần nhắc, vd [1440, 60, 0]' },
             is_deleted: { type: 'boolean' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' }
@@ -89,13 +109,17 @@ const options = {
           properties: {
             id: { type: 'integer' },
             user_id: { type: 'integer' },
-            category_id: { type: 'integer' },
+            category_id: { type: 'integer', nullable: true, description: 'Set only when the budget has exactly one category' },
+            category_ids: { type: 'array', items: { type: 'integer' }, description: 'Empty = all spending' },
+            category_names: { type: 'array', items: { type: 'string' } },
             amount: { type: 'number' },
             period: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'yearly'] },
             start_date: { type: 'string', format: 'date-time' },
             end_date: { type: 'string', format: 'date-time', nullable: true },
             alert_threshold: { type: 'integer' },
             is_active: { type: 'boolean' },
+            rollover_mode: { type: 'string', enum: ['none', 'surplus', 'deficit', 'both'] },
+            period_anchor: { type: 'string', enum: ['calendar', 'start_date'], description: 'start_date = periods repeat from the start date (e.g. payday)' },
             created_at: { type: 'string', format: 'date-time' }
           }
         }
@@ -108,7 +132,14 @@ const options = {
       { name: 'Expenses', description: 'Expense & income tracking' },
       { name: 'Events', description: 'Event scheduling' },
       { name: 'Categories', description: 'Category management' },
-      { name: 'Budgets', description: 'Budget tracking' }
+      { name: 'Budgets', description: 'Budget tracking' },
+      { name: 'Recurring', description: 'Recurring transactions (rent, salary, subscriptions)' },
+      { name: 'ExchangeRates', description: 'Exchange rates for multi-currency expenses' },
+      { name: 'Accounts', description: 'Accounts/wallets with balances and transfers' },
+      { name: 'Imports', description: 'Bank statement import (CSV, OFX, QIF)' },
+      { name: 'CategoryRules', description: 'Rules that assign categories automatically' },
+      { name: 'Sync', description: 'Offline multi-entity sync' },
+      { name: 'Admin', description: 'Background job queue administration' }
     ]
   },
   apis: [